@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// Command-line scanner: identifies the meter of every verse in files or stdin.
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { analyzeText, csvField, parseCatalogue, findMeter, formatPattern, METERS, SCHEMES } from '../src/prosody/index.js';
+
+const USAGE = `Usage: chandas scan [file ...] [options]
+
+Scans every verse of the given files (or stdin when no file is given, or for "-")
+and prints its meter and Laghu-Guru patterns. Verses end with ॥ and their number,
+or are separated by blank lines. Padas go on separate lines; a verse printed as
+two half-verse lines is cut into padas.
+
+Options:
+  --format <text|json|csv|tsv>  Output format (default: text).
+  --scheme <auto|${SCHEMES.map(s => s.id).join('|')}>  Input scheme (default: auto).
+  --expect <meter>              Exit with status 1 unless every verse is in this meter (id or name).
+  --catalogue <file>            JSON file of extra or replacement meter definitions.
+  --vedic                       Identify Vedic meters by syllable count first.
+  --strict                      Do not treat the pada-final syllable as anceps.
+  -h, --help                    Show this help.
+
+Exit status: 0 on success, 1 when a verse fails --expect, 2 on usage or input errors.`;
+
+const FORMATS = ['text', 'json', 'csv', 'tsv'];
+
+class UsageError extends Error {}
+
+/**
+ * @param {import('../src/prosody/batch.js').AnalysedVerse & { file: string }} verse
+ */
+function verseRecord(verse) {
+  const { identification, scansion } = verse;
+  return {
+    file: verse.file,
+    verse: verse.number,
+    status: identification.status,
+    meter: identification.meter?.id ?? '',
+    name: identification.meter?.name ?? '',
+    label: identification.label,
+    patterns: scansion.padas.map(p => p.pattern),
+  };
+}
+
+/**
+ * @param {ReturnType<typeof verseRecord>[]} records
+ * @param {string} format
+ * @returns {string}
+ */
+function render(records, format) {
+  if (format === 'json') {
+    return JSON.stringify(records, null, 2);
+  }
+  if (format === 'csv' || format === 'tsv') {
+    const separator = format === 'csv' ? ',' : '\t';
+    const field = format === 'csv' ? csvField : (value) => String(value).replace(/[\t\n]/g, ' ');
+    const header = ['file', 'verse', 'status', 'meter', 'name', 'label', 'patterns'];
+    const rows = records.map(r => [r.file, r.verse, r.status, r.meter, r.name, r.label, r.patterns.join(' / ')].map(field).join(separator));
+    return [header.join(separator), ...rows].join('\n');
+  }
+  return records.map(r => [
+    `${r.file === '-' ? '' : `${r.file} `}${r.verse}: ${r.label}`,
+    ...r.patterns.map(p => `  ${formatPattern(p)}`),
+  ].join('\n')).join('\n\n');
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv Arguments after the script name.
+ * @param {{ stdout: (text: string) => void, stderr: (text: string) => void, readStdin: () => string }} io
+ * @returns {number} Exit status.
+ */
+function main(argv, io) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', default: 'text' },
+        scheme: { type: 'string', default: 'auto' },
+        expect: { type: 'string' },
+        catalogue: { type: 'string' },
+        vedic: { type: 'boolean', default: false },
+        strict: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    io.stderr(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...files] = positionals;
+  if (values.help) {
+    io.stdout(USAGE);
+    return 0;
+  }
+
+  try {
+    if (command !== 'scan') throw new UsageError(command ? `Unknown command "${command}".` : 'Missing command.');
+    if (!FORMATS.includes(values.format)) throw new UsageError(`Unknown format "${values.format}".`);
+    if (values.scheme !== 'auto' && !SCHEMES.some(s => s.id === values.scheme)) {
+      throw new UsageError(`Unknown scheme "${values.scheme}".`);
+    }
+
+    const meters = values.catalogue ? parseCatalogue(readFileSync(values.catalogue, 'utf8')) : METERS;
+    let expected = null;
+    if (values.expect) {
+      const wanted = values.expect.toLowerCase();
+      expected = findMeter(values.expect, meters)
+        || meters.find(m => m.iast.toLowerCase() === wanted || m.deva === values.expect);
+      if (!expected) throw new UsageError(`Unknown meter "${values.expect}".`);
+    }
+
+    const options = { scheme: values.scheme, anceps: !values.strict, meters, mode: values.vedic ? 'vedic' : 'classical' };
+    const records = [];
+    let failed = 0;
+    for (const file of files.length > 0 ? files : ['-']) {
+      const text = file === '-' ? io.readStdin() : readFileSync(file, 'utf8');
+      for (const verse of analyzeText(text, options).verses) {
+        records.push(verseRecord({ ...verse, file }));
+        if (expected && verse.identification.meter?.id !== expected.id) {
+          failed++;
+          io.stderr(`${file === '-' ? 'stdin' : file}, verse ${verse.number}: expected ${expected.name}, got ${verse.identification.label}`);
+        }
+      }
+    }
+
+    io.stdout(render(records, values.format));
+    return failed > 0 ? 1 : 0;
+  } catch (error) {
+    io.stderr(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `chandas: ${error.message}`);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2), {
+  stdout: (text) => process.stdout.write(`${text}\n`),
+  stderr: (text) => process.stderr.write(`${text}\n`),
+  readStdin: () => readFileSync(0, 'utf8'),
+});
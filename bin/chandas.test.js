@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('./chandas.js', import.meta.url));
+
+const GITA = `धर्मक्षेत्रे कुरुक्षेत्रे समवेता युयुत्सवः ।
+मामकाः पाण्डवाश्चैव किमकुर्वत सञ्जय ॥ १-१ ॥
+दृष्ट्वा तु पाण्डवानीकं व्यूढं दुर्योधनस्तदा ।
+आचार्यमुपसङ्गम्य राजा वचनमब्रवीत् ॥ १-२ ॥
+`;
+
+const run = (args, input = '') => spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 30000 });
+
+describe('chandas scan', () => {
+  it('prints the meter and patterns of every verse read from stdin', () => {
+    const { status, stdout } = run(['scan'], GITA);
+    expect(status).toBe(0);
+    expect(stdout).toContain('1-1: अनुष्टुप् (Anuṣṭubh): pathyā\n  G G G G L G G G\n');
+    expect(stdout).toContain('1-2: अनुष्टुप् (Anuṣṭubh)');
+  });
+
+  it('scans a verse of a single word', () => {
+    expect(run(['scan'], 'राम\n')).toMatchObject({ status: 0, stdout: '1: स्त्री (Strī)\n  G L\n' });
+  });
+
+  it('writes JSON, CSV and TSV records', () => {
+    const records = JSON.parse(run(['scan', '--format', 'json'], GITA).stdout);
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({ file: '-', verse: '1-1', status: 'match', meter: 'anushtubh' });
+
+    const [header, first] = run(['scan', '--format', 'csv'], GITA).stdout.split('\n');
+    expect(header).toBe('file,verse,status,meter,name,label,patterns');
+    expect(first).toMatch(/^-,1-1,match,anushtubh,/);
+    expect(run(['scan', '--format', 'tsv'], GITA).stdout.split('\n')[1]).toMatch(/^-\t1-1\tmatch\tanushtubh\t/);
+  });
+
+  it('fails verses outside the --expect meter with status 1', () => {
+    expect(run(['scan', '--expect', 'Anuṣṭubh'], GITA).status).toBe(0);
+    const { status, stderr } = run(['scan', '--expect', 'indravajra'], GITA);
+    expect(status).toBe(1);
+    expect(stderr).toContain('stdin, verse 1-1: expected इन्द्रवज्रा (Indravajrā), got अनुष्टुप् (Anuṣṭubh): pathyā');
+  });
+
+  it('exits with status 2 and the usage on bad arguments', () => {
+    for (const args of [[], ['scan', '--format', 'xml'], ['scan', '--scheme', 'itrans'], ['scan', '--expect', 'nonesuch'], ['scan', '--bogus']]) {
+      const { status, stderr } = run(args);
+      expect(status, args.join(' ')).toBe(2);
+      expect(stderr).toContain('Usage: chandas scan');
+    }
+    expect(run(['scan', 'no-such-file.txt']).stderr).toMatch(/^chandas: ENOENT/);
+  });
+
+  it('prints the usage with --help', () => {
+    expect(run(['--help'])).toMatchObject({ status: 0, stdout: expect.stringContaining('Exit status:') });
+  });
+});
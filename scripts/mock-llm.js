@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// A stand-in for an OpenAI-compatible server, for trying the chat's model
+// provider without a real model. Replies quote the question and the meter the
+// prompt was given, so the request contents can be checked.
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    fail: { type: 'boolean', default: false },
+  },
+});
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+};
+
+/**
+ * @param {import('node:http').ServerResponse} response
+ * @param {number} status
+ * @param {object} body
+ */
+function send(response, status, body) {
+  response.writeHead(status, { ...CORS, 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * The reply to a chat completion request.
+ * @param {{ model?: string, messages?: { role: string, content: string }[] }} request
+ */
+function reply(request) {
+  const messages = request.messages ?? [];
+  const question = messages.at(-1)?.content ?? '';
+  const system = messages.find(m => m.role === 'system')?.content ?? '';
+  const meter = system.match(/"iast":"([^"]+)"/)?.[1];
+  return `[mock ${request.model ?? 'model'}] You asked: "${question}". ${meter ? `The verse is in ${meter}.` : 'No meter was given.'}`;
+}
+
+const server = createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS);
+    response.end();
+    return;
+  }
+  if (request.method === 'GET' && request.url === '/v1/models') {
+    send(response, 200, { object: 'list', data: [{ id: 'mock', object: 'model' }] });
+    return;
+  }
+  if (request.method !== 'POST' || request.url !== '/v1/chat/completions') {
+    send(response, 404, { error: { message: `No route for ${request.method} ${request.url}` } });
+    return;
+  }
+
+  let body = '';
+  request.on('data', (chunk) => { body += chunk; });
+  request.on('end', () => {
+    if (values.fail) {
+      send(response, 500, { error: { message: 'Mock failure' } });
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      send(response, 400, { error: { message: 'Request body is not JSON' } });
+      return;
+    }
+    process.stdout.write(`${new Date().toISOString()} ${parsed.model}: ${parsed.messages?.at(-1)?.content}\n`);
+    send(response, 200, {
+      id: `chatcmpl-mock-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: parsed.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: reply(parsed) }, finish_reason: 'stop' }],
+    });
+  });
+});
+
+// Port 0 picks a free port; the line printed here gives the one in use.
+server.listen(Number(values.port), () => {
+  process.stdout.write(`Mock OpenAI-compatible server on http://localhost:${server.address().port}/v1${values.fail ? ' (failing every request)' : ''}\n`);
+});
@@ -1,4 +1,52 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  scan,
+  identify,
+  analyzeText,
+  toJSON,
+  toCSV,
+  toTEI,
+  toHTMLReport,
+  formatPattern,
+  rhythmOf,
+  segmentVerse,
+  needsSegmentation,
+  checkComposition,
+  uddishta,
+  nashta,
+  prastaraMeters,
+  prastaraPosition,
+  splitGanas,
+  ganaFormula,
+  formulaToPattern,
+  jatiOf,
+  practiceVerses,
+  pickPracticeVerse,
+  gradeWeights,
+  gradeMeterName,
+  gradeGanas,
+  fromDevanagari,
+  detectScheme,
+  describeMeter,
+  parseCatalogue,
+  METERS,
+  SCHEMES,
+  WEIGHT_REASONS,
+  ANCEPS_NOTE,
+} from './prosody/index.js';
+import {
+  createEntry,
+  listEntries,
+  saveEntry,
+  deleteEntry,
+  matchesSearch,
+  exportLibrary,
+  importLibrary,
+} from './library.js';
+import { PROVIDERS, loadSettings, saveSettings, askTutor, testProvider } from './llm.js';
+import { ROUND_LABELS, loadScores, recordScore } from './scores.js';
+import { playRhythm } from './audio.js';
+import { shareUrl, readShareUrl } from './share.js';
 
 // --- Mock shadcn/ui components using Tailwind for single-file mandate ---
 // Note: This defines the UI components locally since external imports are not allowed in a single file.
@@ -12,6 +60,10 @@ const Button = React.forwardRef(({ className, variant = "default", size = "defau
 
   let sizeClasses = "h-10 py-2 px-4"; // default
 
+  if (size === "sm") {
+    sizeClasses = "h-9 px-3";
+  }
+
   return (
     <button
       className={`${baseClasses} ${variantClasses} ${sizeClasses} ${className}`}
@@ -36,195 +88,87 @@ const CardContent = ({ className, ...props }) => (
 );
 // --- End Mock UI Components ---
 
+// Export formats offered for a single analysis and for the whole session.
+const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON', extension: 'json', type: 'application/json', render: toJSON },
+  { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv', render: toCSV },
+  { id: 'tei', label: 'TEI-XML', extension: 'xml', type: 'application/tei+xml', render: toTEI },
+  { id: 'html', label: 'HTML report', extension: 'html', type: 'text/html', render: toHTMLReport },
+];
+
 /**
- * @typedef {object} ChatMessage
- * @property {'user' | 'bot'} role
- * @property {string} content
- * @property {string} [pattern]
- * @property {string} [chandasType]
+ * Saves text as a file through a temporary download link.
+ * @param {string} name
+ * @param {string} type MIME type.
+ * @param {string} content
  */
+const downloadFile = (name, type, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
-// Utility functions for Devanagari character analysis
-
-function isDevanagari(char) {
-  const code = char.charCodeAt(0);
-  return code >= 0x0900 && code <= 0x097F;
-}
-
-function isVowel(char) {
-  // Checks for both independent vowels (अ-औ) and dependent vowel marks (matras)
-  const code = char.charCodeAt(0);
-  return (code >= 0x0905 && code <= 0x0914) || (code >= 0x093E && code <= 0x094C) || char === 'अ' || char === 'आ' || char === 'इ' || char === 'ई' || char === 'उ' || char === 'ऊ' || char === 'ए' || char === 'ऐ' || char === 'ओ' || char === 'औ';
-}
+// Colours of the yati markers drawn between syllables, by how the caesura is realised.
+const YATI_COLORS = {
+  word: 'bg-blue-500',
+  compound: 'bg-blue-400',
+  sandhi: 'bg-blue-300',
+  joined: 'bg-amber-400',
+  none: 'bg-red-600',
+};
 
-function isShortVowel(char) {
-  // Short Vowels: अ, इ, उ, ऋ, ऌ (independent) and ि, ु, ृ (dependent)
-  const shortVowels = new Set(['अ', 'इ', 'उ', 'ऋ', 'ऌ', 'ि', 'ु', 'ृ']);
-  return shortVowels.has(char);
-}
-
-function isConsonant(char) {
-  // SAFETY FIX: Prevent TypeError if the character argument is undefined (occurs at end of string)
-  if (!char) return false;
-  const code = char.charCodeAt(0);
-  return (code >= 0x0915 && code <= 0x0939) || (code >= 0x0958 && code <= 0x0961) || (code >= 0x0978 && code <= 0x097F);
-}
-
-function isHalant(char) {
-  return char === '\u094D';
-}
-
-function isAnusvaraVisarga(char) {
-  return char === '\u0902' || char === '\u0903'; // Anusvara (ं) or Visarga (ः)
-}
+// Rows of the prastāra explorer shown at a time, and its longest pattern (utkṛti, 26 syllables).
+const PRASTARA_PAGE = 32;
+const PRASTARA_MAX = 26;
 
 /**
- * Calculates the Laghu (L) and Guru (G) pattern for a given Devanagari text.
- * @param {string} text The Sanskrit/Hindi verse line.
- * @returns {string} The Laghu-Guru pattern string (e.g., "L G L L G G").
+ * Names the padas a prastāra row gives a meter: nothing for all four.
+ * @param {number[]} padas
  */
-function getLaghuGuru(text) {
-  // Remove whitespace and punctuation (like danda/double danda) that aren't part of the syllabic structure
-  const cleanedText = text.replace(/[\s\|।॥]/g, '');
-  const patternParts = [];
-  let i = 0;
-
-  while (i < cleanedText.length) {
-    let char = cleanedText[i];
-    let isGuru = false;
-    let currentVowelChar = '';
-
-    // Skip non-Devanagari or Halant at the start of iteration
-    if (!isDevanagari(char) || isHalant(char)) {
-      i++;
-      continue;
-    }
-
-    // --- 1. Identify the Syllable Core (Consonant + Vowel or Vowel) ---
-
-    if (isConsonant(char)) {
-      i++; // Move past the consonant
-
-      // Look for dependent vowel mark (matra)
-      if (i < cleanedText.length && isVowel(cleanedText[i])) {
-        currentVowelChar = cleanedText[i];
-        i++;
-      } else {
-        // Implied 'a' (अ), which is a short vowel.
-        currentVowelChar = 'अ';
-      }
-    }
-    // 2. Independent Vowel
-    else if (isVowel(char)) {
-      currentVowelChar = char;
-      i++;
-    } else {
-      // Should not happen if initial check passes, but for safety
-      i++;
-      continue;
-    }
-
-    // --- 2. Syllable Length Determination (Rules) ---
-
-    // Rule A: Intrinsic Vowel Length (Guru if long vowel: ā, ī, ū, e, ai, o, au)
-    if (isVowel(currentVowelChar) && !isShortVowel(currentVowelChar)) {
-      isGuru = true;
-    }
-
-    // Rule B: Syllable followed by Anusvara (ं) or Visarga (ः)
-    if (i < cleanedText.length && isAnusvaraVisarga(cleanedText[i])) {
-      isGuru = true;
-      i++; // Consume Anusvara/Visarga
-    }
-
-    // CRITICAL FIX: If 'i' moved past the end of the string, the syllable is complete.
-    // Push the result and break the loop to prevent errors in Rule C.
-    if (i >= cleanedText.length) {
-      patternParts.push(isGuru ? 'G' : 'L');
-      break;
-    }
-
-    // Rule C: Syllable followed by a conjunct consonant (Samyuktakshara)
-    // A preceding short syllable becomes Guru if followed by a consonant cluster (conjunct).
-    let nextChar = cleanedText[i];
-    // Check for Halant followed by Consonant (e.g., ष् + क = ष्क)
-    let isNextHalant = (nextChar === '\u094D' && i + 1 < cleanedText.length && isConsonant(cleanedText[i + 1]));
-    // Check for Consonant followed by Consonant (implied conjunct, e.g., क्र, क्त)
-    let isNextSamyuktakshara = isConsonant(nextChar) && i + 1 < cleanedText.length && isConsonant(cleanedText[i + 1]);
-
-    if (!isGuru && (isNextHalant || isNextSamyuktakshara)) {
-      // Only a *short* syllable can be made Guru by the following conjunct.
-      isGuru = true;
-    }
-
-    // After processing the syllable, push the result.
-    patternParts.push(isGuru ? 'G' : 'L');
-  }
-  return patternParts.join(' ');
-}
+const padasLabel = (padas) => {
+  if (padas.length === 4) return '';
+  if (padas.join() === '1,3') return 'odd padas';
+  if (padas.join() === '2,4') return 'even padas';
+  return `pada ${padas.join(', ')}`;
+};
 
 /**
- * Identifies the Chandas (meter type) based on the Laghu-Guru pattern.
- * @param {string} pattern The Laghu-Guru pattern string.
- * @returns {string} The identified Chandas type.
+ * @typedef {object} ChatMessage
+ * @property {'user' | 'bot'} role
+ * @property {string} content
+ * @property {import('./prosody/scan.js').Scansion} [scansion]
+ * @property {import('./prosody/identify.js').Identification} [identification]
+ * @property {number} [selectedCandidate] Index of the close meter whose differences are highlighted.
+ * @property {string} [verseNumber] Number of the verse in an analysed text.
+ * @property {'rules' | 'model'} [source] Who answered a chat question.
+ * @property {string} [model] The model that answered.
+ * @property {string} [error] Why the model could not answer.
+ * @property {'classical' | 'vedic'} [mode] The meters the verse was identified among.
  */
-function getChandasType(pattern) {
-  const lines = pattern.split(' | ');
-  const linePatterns = lines.map(line => line.replace(/ /g, '').trim());
-  const firstLineLength = lines[0].split(' ').filter(p => p.length > 0).length;
-
-  if (firstLineLength === 0) {
-    return 'No recognizable meter structure.';
-  }
-
-  // Basic check for syllable consistency (for Vrtta - syllabic meters)
-  if (lines.some(l => l.split(' ').filter(p => p.length > 0).length !== firstLineLength)) {
-    return `Irregular (${firstLineLength} syllables in first line, varying others)`;
-  }
-
-  const linePattern = linePatterns[0]; // Use the first line for Vrtta pattern matching
-
-  // Common syllabic meters (Vritta) based on number of syllables and required pattern
-  const chandasMap = {
-    // 8 Syllables
-    'अनुष्टुप् (Anuṣṭubh)': { syllables: 8, patterns: ['LGLGLGLG', 'GLGLGLGL', 'LLGLGLGG', 'GGLGLGLG'] },
-    'गायत्री (Gāyatrī)': { syllables: 8, patterns: ['LGLGLGLG'] },
-
-    // 11 Syllables
-    'इन्द्रवज्रा (Indravajrā)': { syllables: 11, patterns: ['GGLGGLGGLGG'] }, // T T J G G
-    'उपेन्द्रवज्रा (Upendravajrā)': { syllables: 11, patterns: ['LGLGGLGGLGG'] }, // J T J G G
-    'शालिनी (Śālinī)': { syllables: 11, patterns: ['GGLGLGGLGGL'] }, // M T T G G
-
-    // 12 Syllables
-    'वंशस्थ (Vaṃśastha)': { syllables: 12, patterns: ['LGLGGLGLGLGG'] }, // J T J R
-    'भुजङ्गप्रयात (Bhujaṅgaprayāta)': { syllables: 12, patterns: ['LGGLGGLGGLGG'] }, // Y Y Y Y
-    'द्रुतविलम्बित (Drutavilambita)': { syllables: 12, patterns: ['LLLGLLGLLGLG'] }, // N B B R
-
-    // 14 Syllables
-    'वसन्ततिलका (Vasantatilakā)': { syllables: 14, patterns: ['GGLGLGLGLGGGLG'] },
-
-    // 17 Syllables
-    'मन्दाक्रान्ता (Mandākrāntā)': { syllables: 17, patterns: ['GGGLGLLLLLLGGLGG'] },
-  };
-
-  const candidates = Object.entries(chandasMap).filter(([, data]) => data.syllables === firstLineLength);
-
-  if (candidates.length === 0) {
-    return `Unknown ${firstLineLength}-syllable meter.`;
-  }
-
-  // Check for exact pattern match
-  for (const [name, data] of candidates) {
-    // Only check if the actual pattern matches the length of the expected pattern
-    if (data.patterns.includes(linePattern.substring(0, data.syllables))) {
-      return name;
-    }
-  }
-
-  // If no exact Vrutta match, return a generic identification
-  return `Candidate ${firstLineLength}-syllable meter (No exact match found: ${linePattern.substring(0, 15)}...).`;
-}
 
+/**
+ * Scans and identifies a verse: the user's message with the verse and the bot's with its analysis.
+ * @param {string} verse
+ * @param {{ scheme: string, anceps: boolean, mode: 'classical' | 'vedic', meters: import('./prosody/meters.js').Meter[] }} options
+ * @returns {ChatMessage[]}
+ */
+const analysisMessages = (verse, { scheme, anceps, mode, meters }) => {
+  const scansion = scan(verse, { scheme, anceps });
+  const identification = identify(scansion, meters, { mode });
+  return [
+    { role: 'user', content: verse },
+    {
+      role: 'bot',
+      content: 'The analysis is complete! Here is the detailed scansion and meter identification based on classical Sanskrit prosody rules.',
+      scansion,
+      identification,
+      mode,
+    },
+  ];
+};
 
 export default function App() {
   const [inputVerse, setInputVerse] = useState('');
@@ -234,34 +178,205 @@ export default function App() {
   const [showLearningPanel, setShowLearningPanel] = useState(false);
   const [inputMessage, setInputMessage] = useState('');
   const [currentChandas, setCurrentChandas] = useState('');
+  const [currentMeter, setCurrentMeter] = useState(null);
+  const [meters, setMeters] = useState(METERS);
+  const [catalogueName, setCatalogueName] = useState('');
+  const [catalogueError, setCatalogueError] = useState('');
+  const [inputScheme, setInputScheme] = useState('auto');
+  const [meterMode, setMeterMode] = useState('classical');
+  const [batchText, setBatchText] = useState('');
+  const [batchResult, setBatchResult] = useState(null);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [libraryEntries, setLibraryEntries] = useState([]);
+  const [librarySearch, setLibrarySearch] = useState('');
+  const [libraryError, setLibraryError] = useState('');
+  // The library entry being recorded, and where its messages start in chatHistory.
+  const [currentEntry, setCurrentEntry] = useState(null);
+  const [entryStart, setEntryStart] = useState(0);
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [isAnswering, setIsAnswering] = useState(false);
+  const [showProviderSettings, setShowProviderSettings] = useState(false);
+  const [providerSettings, setProviderSettings] = useState(loadSettings);
+  const [providerStatus, setProviderStatus] = useState('');
+  const [practice, setPractice] = useState(null);
+  const [learner, setLearner] = useState('');
+  const [scores, setScores] = useState(loadScores);
+  const [rhythmTempo, setRhythmTempo] = useState(120);
+  const [rhythmLoop, setRhythmLoop] = useState(false);
+  const [rhythmSpeak, setRhythmSpeak] = useState(false);
+  // The message being played and the syllable sounding now.
+  const [playback, setPlayback] = useState(null);
+  const playerRef = useRef(null);
+  // A verse shared by URL, read once on load.
+  const [sharedVerse] = useState(() => readShareUrl(window.location.search));
+  // Pada splits proposed for a verse pasted on one or two lines, and the split being edited.
+  const [segmentation, setSegmentation] = useState(null);
+  const [composeMeterId, setComposeMeterId] = useState('anushtubh');
+  const [composeText, setComposeText] = useState('');
+  // Feedback on copying the share link of a message: { index, text }.
+  const [shareStatus, setShareStatus] = useState(null);
+  const [prastaraLength, setPrastaraLength] = useState(8);
+  // First row shown, the row looked up or opened from a pada, and the lookup box.
+  const [prastaraFrom, setPrastaraFrom] = useState(1);
+  const [prastaraRow, setPrastaraRow] = useState(null);
+  const [prastaraQuery, setPrastaraQuery] = useState('');
+  const [prastaraError, setPrastaraError] = useState('');
+  const [prastaraNamedOnly, setPrastaraNamedOnly] = useState(false);
+  const prastaraRef = useRef(null);
+  const [padaFinalAnceps, setPadaFinalAnceps] = useState(true);
+  const [displayScheme, setDisplayScheme] = useState('devanagari');
   const messagesEndRef = useRef(null);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory]);
 
-  const renderPatternVisualization = (pattern, originalText) => {
-    const lines = pattern.split(' | ');
-    const textLines = originalText.split('\n');
+  useEffect(() => () => playerRef.current?.stop(), []);
+
+  // Shows a saved entry: its conversation, meter and learning panel.
+  const openEntry = useCallback((entry) => {
+    const analysis = entry.messages.find(message => message.identification);
+    setChatHistory(entry.messages);
+    setEntryStart(0);
+    setCurrentEntry(entry);
+    setInputVerse(entry.verse);
+    setSegmentation(null);
+    setCurrentChandas(analysis ? analysis.identification.meter?.name ?? analysis.identification.label : '');
+    setCurrentMeter(analysis?.identification.meter ?? null);
+    setShowLearningPanel(Boolean(analysis));
+  }, []);
+
+  // Open a shared verse (?verse=…&scheme=…) analysed, or else reopen the most recent session.
+  useEffect(() => {
+    if (sharedVerse) {
+      const { verse, scheme, mode, strict } = sharedVerse;
+      // Drop the query so a reload does not analyse the verse again.
+      window.history.replaceState(null, '', window.location.pathname);
+      setInputVerse(verse);
+      setInputScheme(scheme);
+      setMeterMode(mode);
+      setPadaFinalAnceps(!strict);
+      const messages = analysisMessages(verse, { scheme, anceps: !strict, mode, meters: METERS });
+      const { identification } = messages[1];
+      setChatHistory(messages);
+      setEntryStart(0);
+      setCurrentEntry(createEntry(verse));
+      setCurrentChandas(identification.meter?.name ?? identification.label);
+      setCurrentMeter(identification.meter);
+      setShowLearningPanel(true);
+    }
+    listEntries().then((entries) => {
+      setLibraryEntries(entries);
+      if (entries.length > 0 && !sharedVerse) openEntry(entries[0]);
+    }).catch((error) => setLibraryError(`The verse library is unavailable: ${error.message}`));
+  }, [sharedVerse, openEntry]);
+
+  // Save the current analysis and its conversation whenever the chat changes.
+  useEffect(() => {
+    if (!currentEntry) return;
+    const messages = chatHistory.slice(entryStart);
+    if (messages.length === 0 || (entryStart === 0 && chatHistory === currentEntry.messages)) return;
+    const analysis = messages.find(message => message.identification);
+    const meter = analysis ? analysis.identification.meter?.name ?? analysis.identification.label : '';
+    saveEntry({ ...currentEntry, messages, meter }).then((saved) => {
+      setLibraryEntries((prev) => [saved, ...prev.filter(entry => entry.id !== saved.id)]);
+    }).catch((error) => setLibraryError(error.message));
+  }, [chatHistory, currentEntry, entryStart]);
+
+  // Opens the prastāra explorer at a row.
+  const showPrastaraRow = (length, index) => {
+    setPrastaraLength(length);
+    setPrastaraFrom(Math.floor((index - 1) / PRASTARA_PAGE) * PRASTARA_PAGE + 1);
+    setPrastaraRow(index);
+    setPrastaraNamedOnly(false);
+    setPrastaraError('');
+    prastaraRef.current?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  // The prastāra row of a pada and the catalogue meter there, if any.
+  const renderPrastaraLink = (pattern) => {
+    const position = prastaraPosition(pattern, meters);
+    const named = position.meters.length > 0 ? position.meters : position.guruFinal?.meters ?? [];
+    return (
+      <>
+        {' · '}
+        <button
+          type="button"
+          onClick={() => showPrastaraRow(pattern.length, position.index)}
+          title={`Row ${position.index} of the ${position.total} patterns of ${pattern.length} syllables (uddiṣṭa). Click to open the prastāra.`}
+          className="underline decoration-dotted hover:text-purple-900"
+        >
+          prastāra #{position.index.toLocaleString()}
+        </button>
+        {named.length > 0 && ` = ${named.map(m => m.meter.iast).join(', ')}`}
+        {position.meters.length === 0 && named.length > 0 && ` (#${position.guruFinal.index.toLocaleString()}, final as Guru)`}
+      </>
+    );
+  };
+
+  const renderPatternVisualization = (scansion, identification, differences = [], active = null) => {
+    // Differences by pada and syllable; a syllable missing at the end marks the last one.
+    const differenceAt = (padaIndex, position) => differences.find(d =>
+      d.pada === padaIndex + 1 && Math.min(d.position, scansion.padas[padaIndex].syllables.length) === position);
+    const yatiAfter = (padaIndex, position) => identification?.yati?.points.find(p =>
+      p.pada === padaIndex + 1 && p.position === position);
+
     return (
       <div className="pattern-visualization p-4 bg-gray-100 rounded-lg shadow-inner">
-        {lines.map((linePattern, index) => (
+        {scansion.padas.map((pada, index) => (
           <div key={index} className="mb-4 last:mb-0">
-            <div className="text-line font-medium text-lg mb-2 text-gray-800">
-              {/* Display the original text line, trimming whitespace and showing placeholder if empty */}
-              {textLines[index] ? textLines[index].trim() : `Line ${index + 1}`}
+            <div className="flex items-baseline justify-between gap-2 mb-2">
+              <div className="text-line font-medium text-lg text-gray-800">
+                {fromDevanagari(pada.text, displayScheme) || `Line ${index + 1}`}
+              </div>
+              <span className="text-xs text-purple-700 whitespace-nowrap">
+                {identification?.padas[index]?.component && `${identification.padas[index].component} · `}
+                {pada.syllables.length} syllables · {identification?.matras[index]} mātrās
+                {pada.pattern.length > 0 && pada.pattern.length <= PRASTARA_MAX && renderPrastaraLink(pada.pattern)}
+              </span>
             </div>
-            <div className="pattern-line flex flex-wrap gap-1">
-              {linePattern.split(' ').filter(char => char.length > 0).map((char, charIndex) => (
-                <span
-                  key={charIndex}
-                  className={`px-3 py-1 rounded-md text-sm font-mono shadow-sm font-bold ${char === 'L'
-                      ? 'bg-green-200 text-green-800 border border-green-300'
-                      : 'bg-red-200 text-red-800 border border-red-300'
-                    }`}
-                >
-                  {char}
-                </span>
+            <div className="pattern-line flex flex-wrap gap-2">
+              {pada.ganas.map((gana) => (
+                <div key={gana.start} className="flex flex-col items-center">
+                  <div className="flex gap-1">
+                    {pada.syllables.slice(gana.start, gana.start + gana.pattern.length).map((syllable, offset) => {
+                      const difference = differenceAt(index, gana.start + offset + 1);
+                      const yati = yatiAfter(index, gana.start + offset + 1);
+                      const playing = active?.pada === index && active?.index === gana.start + offset;
+                      let reason = syllable.reason ? WEIGHT_REASONS[syllable.reason] : 'Laghu: short vowel, not followed by a conjunct.';
+                      if (syllable.anceps) reason += `\n${ANCEPS_NOTE}`;
+                      return (
+                        <React.Fragment key={gana.start + offset}>
+                          <div
+                            className="flex flex-col items-center"
+                            title={difference ? `${difference.message}\n${reason}` : reason}
+                          >
+                            <span className={`text-base mb-1 rounded px-1 ${playing ? 'bg-yellow-200 text-gray-900' : 'text-gray-700'} ${devanagariFont}`}>
+                              {fromDevanagari(syllable.text, displayScheme)}
+                            </span>
+                            <span
+                              className={`px-3 py-1 rounded-md text-sm font-mono shadow-sm font-bold ${syllable.weight === 'L'
+                                  ? 'bg-green-200 text-green-800 border border-green-300'
+                                  : 'bg-red-200 text-red-800 border border-red-300'
+                                } ${syllable.anceps ? 'border-dashed' : ''} ${difference ? 'ring-2 ring-offset-1 ring-orange-500' : ''} ${playing ? 'ring-4 ring-blue-500 scale-110' : ''}`}
+                            >
+                              {syllable.weight}
+                            </span>
+                          </div>
+                          {yati && (
+                            <div
+                              className={`w-1 self-stretch rounded-full ${YATI_COLORS[yati.status]}`}
+                              title={yati.message}
+                            />
+                          )}
+                        </React.Fragment>
+                      );
+                    })}
+                  </div>
+                  <div className="w-full mt-1 border-t-2 border-purple-300 text-center text-xs text-purple-700 font-semibold">
+                    {gana.letter} ({gana.name})
+                  </div>
+                </div>
               ))}
             </div>
           </div>
@@ -270,100 +385,338 @@ export default function App() {
     );
   };
 
-  const getLearningTip = (chandasType) => {
-    const tips = {
-      'त्रिष्टुभ् (Triṣṭubh)': 'Triṣṭubh has 11 syllables per quarter and is known for its majestic rhythm. Often used in heroic poetry and the Rigveda.',
-      'जगती (Jagatī)': 'Jagatī consists of 12 syllables per quarter and creates a flowing, elegant rhythm. Commonly found in Vedic hymns.',
-      'भुजङ्गप्रयात (Bhujaṅgaprayāta)': 'Bhujaṅgaprayāta means "serpent\'s movement" (4 yagan/LGG). It has a distinctive, rapid rhythm often used in devotional poetry.',
-      'इन्द्रवज्रा (Indravajrā)': 'Indravajrā (G G L | G G L | G L G | G G) is a powerful 11-syllable meter often used for dramatic and forceful expressions in classical poetry.',
-      'उपेन्द्रवज्रा (Upendravajrā)': 'Upendravajrā (L G L | G G L | G L G | G G) is a variation of Indravajrā, lighter in tone, used in lyrical compositions.',
-      'वंशस्थ (Vaṃśastha)': 'Vaṃśastha (L G L | G G L | L G L | G L G) is known for its bamboo-like regularity (J-T-J-R) and is used in many classical works.',
-      'अनुष्टुप् (Anuṣṭubh)': 'Anuṣṭubh is the most common meter with 8 syllables per quarter, highly flexible, and used in epics like Mahabharata.',
-      'गायत्री (Gāyatrī)': 'Gāyatrī has 24 syllables in three lines of 8 (8-8-8), famous for the Gāyatrī Mantra, symbolizing enlightenment.',
-      'शालिनी (Śālinī)': 'Śālinī (G G L | G L G | G L G | G L) is an 11-syllable meter with a graceful, measured pace.',
-      'वसन्ततिलका (Vasantatilakā)': 'Vasantatilakā is a 14-syllable meter, evocative of the spring season (T-B-J-J-G-G), used for descriptions of nature and love.',
-      'मन्दाक्रान्ता (Mandākrāntā)': 'Mandākrāntā is a 17-syllable meter, known for its slow and majestic gait (M-B-N-T-T-G-G).',
-    };
-    return tips[chandasType] || `This is an interesting meter (${chandasType}). Learn more about its structure and usage.`;
+  // Plays the rhythm of an analysed message, or stops it if it is playing.
+  const toggleRhythm = (messageIndex, message) => {
+    const wasPlaying = playback?.messageIndex === messageIndex;
+    playerRef.current?.stop();
+    if (wasPlaying) return;
+    setPlayback({ messageIndex, beat: null });
+    playerRef.current = playRhythm(rhythmOf(message.scansion, message.identification.yati), {
+      tempo: rhythmTempo,
+      loop: rhythmLoop,
+      speak: rhythmSpeak ? message.scansion.padas.map(pada => pada.text).join(' । ') : '',
+      onBeat: (beat) => setPlayback({ messageIndex, beat }),
+      onEnd: () => {
+        playerRef.current = null;
+        setPlayback(null);
+      },
+    });
+  };
+
+  const getLearningTip = (meter) => {
+    if (!meter) {
+      return `This is an interesting meter (${currentChandas}). Learn more about its structure and usage.`;
+    }
+    return describeMeter(meter);
+  };
+
+  const getExampleVerse = (meter) => {
+    return meter?.example || meter?.lakshana || 'No typical example available for this meter. Try searching online or checking the chat for tips!';
   };
 
-  const getExampleVerse = (chandasType) => {
-    const examples = {
-      'त्रिष्टुभ् (Triṣṭubh)': 'अग्ने यं यज्ञमध्वरं विश्वतः परिभूरसि ।\nस देवानेहि वक्षि ॥',
-      'जगती (Jagatī)': 'यः शुक्र इव सूर्ये ज्योतिषा महान् विबाति देवानां नामभिर्विमान इव ।',
-      'भुजङ्गप्रयात (Bhujaṅgaprayāta)': 'नवाम्भुजैर्मार्द्रसगन्धिभिः स्निग्धः ।\nप्रियामुखैस्ते हि समाः स्मरः कालः ॥',
-      'इन्द्रवज्रा (Indravajrā)': 'स्यादिन्द्रवज्रा यदि तौ जगौ गः ।\nतेजस्वि नावधीतमस्तु मा विद्विषावहै ।',
-      'उपेन्द्रवज्रा (Upendravajrā)': 'उपेंद्रवज्रा जतजास्ततो गौ ।\nत्वमेव माता च पिता त्वमेव ।',
-      'वंशस्थ (Vaṃśastha)': 'जतो वंशस्थमुदीरितं जरौ ।\nप्रकृत्या यत् सुन्दरमेतदिष्टम् ॥',
-      'अनुष्टुप् (Anuṣṭubh)': 'धर्मक्षेत्रे कुरुक्षेत्रे\nसमवेता युयुत्सवः ।\nमामकाः पाण्डवाश्चैव\nकिमकुर्वत सञ्जय ॥',
-      'गायत्री (Gāyatrī)': 'ओम भूर्भुवस्स्वः ।\nतत्सवितुर्वरेण्यं ।\nभर्गो देवस्य धीमहि ।\nधियो यो नः प्रचोदयात् ॥',
-      'वसन्ततिलका (Vasantatilakā)': 'उक्ता वसन्ततिलका तभजा जगौ गः ।\nतद् दृष्ट्वोदितं वदनं रमणाननं च ॥',
-      'मन्दाक्रान्ता (Mandākrāntā)': 'मेघालोके भवति सुखिनोऽप्यन्यथावृत्ति चेतः ।\nकण्ठाश्लेषप्रणयिनि जने किं पुनर्दूरसंस्थे ॥',
-    };
-    return examples[chandasType] || 'No typical example available for this meter. Try searching online or checking the chat for tips!';
+  const handleLoadCatalogue = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then((text) => {
+      const loaded = parseCatalogue(text);
+      setMeters(loaded);
+      setCatalogueName(file.name);
+      setCatalogueError('');
+    }).catch((error) => {
+      setCatalogueError(error.message);
+    });
+    e.target.value = '';
   };
 
-  const handleIdentifyChandas = () => {
-    if (!inputVerse.trim()) return;
+  const handleIdentifyChandas = (verse = inputVerse, { split = true, scheme = inputScheme, mode = meterMode, anceps = padaFinalAnceps } = {}) => {
+    if (!verse.trim()) return;
+    setSegmentation(null);
+
+    // A verse pasted without its line breaks is offered a pada split first.
+    if (split && needsSegmentation(verse)) {
+      const proposals = segmentVerse(verse, { scheme, anceps, meters, mode });
+      const lines = verse.split('\n').filter(line => line.trim()).length;
+      if (proposals.length > 0 && proposals[0].padas > lines) {
+        setSegmentation({ verse, proposals, text: proposals[0].text });
+        return;
+      }
+    }
+
     setIsProcessing(true);
-    /** @type {ChatMessage} */
-    const userMessage = { role: 'user', content: inputVerse };
-    setChatHistory((prev) => [...prev, userMessage]);
     setShowLearningPanel(false); // Hide panel for new analysis
+    setCurrentEntry(createEntry(verse));
+    setEntryStart(chatHistory.length);
 
     // --- INSTANT ANALYSIS (removed setTimeout) ---
-    const lines = inputVerse.split('\n').map(l => l.trim()).filter(l => l);
-
-    // Process each line and join them with ' | ' for multi-line analysis display
-    const patterns = lines.map(getLaghuGuru);
-    const pattern = patterns.join(' | ');
-    const chandasType = getChandasType(pattern);
-
-    /** @type {ChatMessage} */
-    const newBotMessage = {
-      role: 'bot',
-      content: 'The analysis is complete! Here is the detailed scansion and meter identification based on classical Sanskrit prosody rules.',
-      pattern,
-      chandasType,
-    };
+    const messages = analysisMessages(verse, { scheme, anceps, mode, meters });
+    const { identification } = messages[1];
 
-    setChatHistory((prev) => [...prev, newBotMessage]);
-    setCurrentChandas(chandasType);
+    setChatHistory((prev) => [...prev, ...messages]);
+    setCurrentChandas(identification.meter?.name ?? identification.label);
+    setCurrentMeter(identification.meter);
     setShowLearningPanel(true);
     setIsProcessing(false);
     // --- END INSTANT ANALYSIS ---
   };
 
+  const handleAcceptSegmentation = () => {
+    setInputVerse(segmentation.text);
+    handleIdentifyChandas(segmentation.text, { split: false });
+  };
+
+  const analysesOf = (messages) => messages
+    .filter(message => message.scansion && message.identification)
+    .map(message => ({ number: message.verseNumber, scansion: message.scansion, identification: message.identification }));
+
+  const exportAnalyses = (messages, formatId, name) => {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    const content = format.render(analysesOf(messages), { scheme: displayScheme });
+    downloadFile(`${name}.${format.extension}`, format.type, content);
+  };
+
+  // Opens the HTML report in a new window and offers to print it (or save it as PDF).
+  const printReport = (messages) => {
+    const report = window.open('', '_blank');
+    if (!report) return;
+    report.document.write(toHTMLReport(analysesOf(messages), { scheme: displayScheme }));
+    report.document.close();
+    report.focus();
+    report.print();
+  };
+
+  // Copies a link that opens the app with this verse analysed.
+  const copyShareLink = (message, index) => {
+    const verse = message.scansion.padas.map(pada => pada.source).join('\n');
+    const link = shareUrl(window.location.href, verse, { scheme: message.scansion.scheme, mode: message.mode ?? (message.identification.meter?.kind === 'vedic' ? 'vedic' : 'classical'), strict: !message.scansion.anceps });
+    navigator.clipboard.writeText(link)
+      .then(() => setShareStatus({ index, text: 'Link copied.' }))
+      .catch(() => window.prompt('Copy this link:', link));
+  };
+
+  const renderExportMenu = (messages, name) => (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <span className="text-gray-500">Export:</span>
+      {EXPORT_FORMATS.map(format => (
+        <button
+          key={format.id}
+          type="button"
+          onClick={() => exportAnalyses(messages, format.id, name)}
+          className="px-2 py-1 rounded-md border border-gray-300 hover:bg-gray-100"
+        >
+          {format.label}
+        </button>
+      ))}
+      <button
+        type="button"
+        onClick={() => printReport(messages)}
+        className="px-2 py-1 rounded-md border border-gray-300 hover:bg-gray-100"
+      >
+        Print / PDF
+      </button>
+    </div>
+  );
+
+  const updateEntry = (entry) => {
+    saveEntry(entry).then((saved) => {
+      setLibraryEntries((prev) => prev.map(e => (e.id === saved.id ? saved : e)));
+      setCurrentEntry((current) => (current?.id === saved.id ? { ...current, title: saved.title, tags: saved.tags } : current));
+    }).catch((error) => setLibraryError(error.message));
+  };
+
+  const handleSaveEdit = () => {
+    const entry = libraryEntries.find(e => e.id === editingEntry.id);
+    const tags = editingEntry.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    updateEntry({ ...entry, title: editingEntry.title.trim() || entry.title, tags });
+    setEditingEntry(null);
+  };
+
+  const handleDeleteEntry = (entry) => {
+    if (!window.confirm(`Delete "${entry.title}" from the library?`)) return;
+    deleteEntry(entry.id).then(() => {
+      setLibraryEntries((prev) => prev.filter(e => e.id !== entry.id));
+      if (currentEntry?.id === entry.id) setCurrentEntry(null);
+    }).catch((error) => setLibraryError(error.message));
+  };
+
+  const handleExportLibrary = () => {
+    exportLibrary()
+      .then((content) => downloadFile('chandas-library.json', 'application/json', content))
+      .catch((error) => setLibraryError(error.message));
+  };
+
+  const handleImportLibrary = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text()
+      .then(importLibrary)
+      .then(listEntries)
+      .then((entries) => {
+        setLibraryEntries(entries);
+        setLibraryError('');
+      })
+      .catch((error) => setLibraryError(error.message));
+    e.target.value = '';
+  };
+
+  const handleLoadText = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then(setBatchText);
+    e.target.value = '';
+  };
+
+  const handleAnalyzeText = () => {
+    if (!batchText.trim()) return;
+    setBatchResult({ ...analyzeText(batchText, { scheme: inputScheme, anceps: padaFinalAnceps, meters, mode: meterMode }), mode: meterMode });
+  };
+
+  // Shows a verse of the batch in the chat with its full scansion.
+  const openBatchVerse = (verse) => {
+    setChatHistory((prev) => [
+      ...prev,
+      { role: 'user', content: verse.text },
+      {
+        role: 'bot',
+        content: `Verse ${verse.number} of the text.`,
+        verseNumber: verse.number,
+        scansion: verse.scansion,
+        identification: verse.identification,
+        mode: batchResult.mode,
+      },
+    ]);
+    setCurrentChandas(verse.identification.meter?.name ?? verse.identification.label);
+    setCurrentMeter(verse.identification.meter);
+  };
+
+  const selectCandidate = (messageIndex, candidateIndex) => {
+    setChatHistory((prev) => prev.map((message, index) =>
+      index === messageIndex ? { ...message, selectedCandidate: candidateIndex } : message));
+  };
+
   const handleSendMessage = () => {
-    if (!inputMessage.trim() || !currentChandas) return;
-    const msgToSend = inputMessage;
+    if (!inputMessage.trim() || isAnswering) return;
+    const question = inputMessage;
+    // Answer from the most recent analysis in the conversation, with the chat that followed it.
+    const analysisIndex = chatHistory.findLastIndex(msg => msg.role === 'bot' && msg.scansion);
+    const lastAnalysis = chatHistory[analysisIndex];
+    const history = chatHistory.slice(analysisIndex + 1)
+      .map(msg => ({ role: msg.role === 'user' ? 'user' : 'assistant', content: msg.content }));
 
-    setChatHistory([...chatHistory, { role: 'user', content: inputMessage }]);
+    setChatHistory((prev) => [...prev, { role: 'user', content: question }]);
     setInputMessage('');
-    setIsProcessing(true);
+    setIsAnswering(true);
+    askTutor(question, {
+      scansion: lastAnalysis?.scansion,
+      identification: lastAnalysis?.identification,
+      meters,
+      history,
+    }, providerSettings).then((reply) => {
+      setChatHistory((prev) => [...prev, { role: 'bot', content: reply.text, source: reply.source, model: reply.model, error: reply.error }]);
+    }).catch((error) => {
+      setChatHistory((prev) => [...prev, { role: 'bot', content: `Sorry, I could not answer that: ${error.message}` }]);
+    }).finally(() => setIsAnswering(false));
+  };
 
-    // Simple rule-based response for chat functionality
-    setTimeout(() => {
-      let response = 'I can provide examples, tips, or more details about the meter. Ask me about **"example"** or **"tip"**!';
-      const lowerMsg = msgToSend.toLowerCase();
-
-      const lastAnalysis = chatHistory.slice().reverse().find(msg => msg.role === 'bot' && msg.pattern);
-
-      if (lowerMsg.includes('example') || lowerMsg.includes('show another')) {
-        response = `Here is a classic example verse in the **${currentChandas}** meter:\n\n${getExampleVerse(currentChandas)}`;
-      } else if (lowerMsg.includes('tip') || lowerMsg.includes('learn') || lowerMsg.includes('about')) {
-        response = getLearningTip(currentChandas);
-      } else if (lowerMsg.includes('pattern') || lowerMsg.includes('gana')) {
-        response = `The pattern for the first quarter of **${currentChandas}** is: ${lastAnalysis?.pattern?.split(' | ')[0] || 'L G L L G G...'} (L: Laghu, G: Guru). If this is a Vrutta (syllabic meter), it follows a specific sequence of Gaṇas (feet).`;
-      } else if (lowerMsg.includes('laghu') || lowerMsg.includes('guru')) {
-        response = 'A **Laghu** (L) syllable is short (e.g., implied "a," "i," "u"). A **Guru** (G) syllable is long (e.g., long vowel "ā," "ī," "ū," or a syllable followed by Anusvāra, Visarga, or a conjunct consonant).';
-      }
+  const updateProviderSettings = (changes) => {
+    const settings = { ...providerSettings, ...changes };
+    setProviderSettings(settings);
+    saveSettings(settings);
+    setProviderStatus('');
+  };
+
+  const handleTestProvider = () => {
+    setProviderStatus('Connecting…');
+    testProvider(providerSettings)
+      .then((reply) => setProviderStatus(`Connected. ${providerSettings.model} replied: ${reply}`))
+      .catch((error) => setProviderStatus(`Connection failed: ${error.message}`));
+  };
+
+  const learnerName = () => learner.trim() || 'Guest';
+
+  const startPractice = () => {
+    const verse = pickPracticeVerse(practiceVerses(meters), practice?.verse);
+    if (!verse) return;
+    setPractice({
+      verse,
+      marks: verse.scansion.padas.map(pada => pada.syllables.map(() => null)),
+      weightGrade: null,
+      meterAnswer: '',
+      meterGrade: null,
+      ganaAnswer: '',
+      ganaGrade: null,
+    });
+  };
+
+  // Clicking an akshara cycles its mark: unmarked, Laghu, Guru.
+  const toggleMark = (padaIndex, index) => {
+    if (practice.weightGrade) return;
+    const next = { null: 'L', L: 'G', G: null };
+    setPractice({
+      ...practice,
+      marks: practice.marks.map((marks, p) => (p === padaIndex ? marks.map((mark, i) => (i === index ? next[mark] : mark)) : marks)),
+    });
+  };
+
+  const checkWeights = () => {
+    const grade = gradeWeights(practice.verse.scansion, practice.marks);
+    setPractice({ ...practice, weightGrade: grade });
+    setScores(recordScore(scores, learnerName(), 'weights', grade.correct, grade.total));
+  };
 
-      setChatHistory((prev) => [...prev, { role: 'bot', content: response }]);
-      setIsProcessing(false);
-    }, 1000); // Kept 1 second delay for the chat responses to simulate thought
+  const checkMeterName = () => {
+    const grade = gradeMeterName(practice.meterAnswer, practice.verse.meter, meters);
+    setPractice({ ...practice, meterGrade: grade });
+    setScores(recordScore(scores, learnerName(), 'meter', grade.correct ? 1 : 0, 1));
   };
 
+  const checkGanas = () => {
+    const grade = gradeGanas(practice.ganaAnswer, practice.verse.scansion.padas[0]);
+    setPractice({ ...practice, ganaGrade: grade });
+    setScores(recordScore(scores, learnerName(), 'ganas', grade.correct ? 1 : 0, 1));
+  };
+
+  const composeMeter = meters.find(m => m.id === composeMeterId) ?? meters[0];
+  const composition = composeMeter ? checkComposition(composeText, composeMeter, { scheme: inputScheme, anceps: padaFinalAnceps, meters }) : null;
+
+  const analyzeComposition = () => {
+    setInputVerse(composeText);
+    handleIdentifyChandas(composeText, { split: false });
+  };
+
+  // Looks up a row number (naṣṭa), or a Laghu-Guru pattern or gaṇa formula (uddiṣṭa).
+  const lookUpPrastara = () => {
+    const query = prastaraQuery.trim();
+    setPrastaraError('');
+    if (/^\d+$/.test(query)) {
+      const index = Number(query);
+      if (index < 1 || index > 2 ** prastaraLength) {
+        setPrastaraError(`The prastāra of ${prastaraLength} syllables has rows 1 to ${(2 ** prastaraLength).toLocaleString()}.`);
+        return;
+      }
+      showPrastaraRow(prastaraLength, index);
+      return;
+    }
+    let pattern = query.toUpperCase().replace(/[\s-]/g, '');
+    if (!/^[LG]+$/.test(pattern)) {
+      try {
+        pattern = formulaToPattern(query.toLowerCase());
+      } catch {
+        setPrastaraError('Enter a row number, a pattern such as "GGLGGLLGLGG" or a gaṇa formula such as "ta ta ja ga ga".');
+        return;
+      }
+    }
+    if (pattern.length > PRASTARA_MAX) {
+      setPrastaraError(`The explorer goes up to ${PRASTARA_MAX} syllables.`);
+      return;
+    }
+    showPrastaraRow(pattern.length, uddishta(pattern));
+  };
+
+  const prastaraNamed = prastaraMeters(prastaraLength, meters);
+  const prastaraRows = prastaraNamedOnly
+    ? [...prastaraNamed.keys()]
+    : Array.from({ length: Math.min(PRASTARA_PAGE, 2 ** prastaraLength - prastaraFrom + 1) }, (_, i) => prastaraFrom + i);
+
   // Set the correct font family for Devanagari display
   const devanagariFont = "font-['Noto_Sans_Devanagari',_Arial,_sans-serif]";
 
@@ -371,7 +724,14 @@ export default function App() {
     <div className={`min-h-screen ${devanagariFont} bg-gradient-to-br from-indigo-50 to-violet-50 p-6`}>
       <div className="max-w-7xl mx-auto shadow-2xl rounded-xl bg-white overflow-hidden">
         {/* Header */}
-        <header className="text-center py-8 bg-gradient-to-r from-blue-600 to-purple-600 text-white">
+        <header className="relative text-center py-8 bg-gradient-to-r from-blue-600 to-purple-600 text-white">
+          <button
+            type="button"
+            onClick={() => setShowLibrary(!showLibrary)}
+            className="absolute left-6 top-6 px-3 py-1 rounded-md bg-white/20 hover:bg-white/30 text-sm font-medium"
+          >
+            📚 Library ({libraryEntries.length})
+          </button>
           <div className="flex items-center justify-center mb-4">
             <div className="text-5xl mr-4">📜</div>
             <h1 className="text-5xl font-bold">Chandas Identifier</h1>
@@ -379,6 +739,89 @@ export default function App() {
           <p className="text-xl">AI-powered Sanskrit poetic meter analysis with interactive chat</p>
         </header>
 
+        {/* Verse Library */}
+        {showLibrary && (
+          <aside className="fixed inset-y-0 left-0 z-20 w-96 max-w-full overflow-y-auto bg-white shadow-2xl p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <h2 className="text-xl font-bold text-gray-800">Verse Library</h2>
+              <Button variant="ghost" size="sm" onClick={() => setShowLibrary(false)}>Close</Button>
+            </div>
+            <input
+              type="search"
+              aria-label="Search the library"
+              value={librarySearch}
+              onChange={(e) => setLibrarySearch(e.target.value)}
+              placeholder="Search verses, meters, tags…"
+              className="w-full p-2 border border-gray-300 rounded-md text-sm"
+            />
+            <div className="flex items-center gap-3 text-sm">
+              <button type="button" onClick={handleExportLibrary} className="text-blue-700 hover:underline">Export library</button>
+              <label className="cursor-pointer text-blue-700 hover:underline">
+                Import…
+                <input type="file" accept=".json,application/json" onChange={handleImportLibrary} className="hidden" />
+              </label>
+            </div>
+            {libraryError && <div className="text-sm text-red-700">{libraryError}</div>}
+            <ul className="space-y-2">
+              {libraryEntries.filter(entry => matchesSearch(entry, librarySearch)).map((entry) => (
+                <li
+                  key={entry.id}
+                  className={`rounded-lg border p-3 text-sm ${currentEntry?.id === entry.id ? 'border-blue-400 bg-blue-50' : 'border-gray-200'}`}
+                >
+                  {editingEntry?.id === entry.id ? (
+                    <div className="space-y-2">
+                      <input
+                        aria-label="Title"
+                        value={editingEntry.title}
+                        onChange={(e) => setEditingEntry({ ...editingEntry, title: e.target.value })}
+                        className="w-full p-1 border border-gray-300 rounded-md"
+                      />
+                      <input
+                        aria-label="Tags"
+                        value={editingEntry.tags}
+                        onChange={(e) => setEditingEntry({ ...editingEntry, tags: e.target.value })}
+                        placeholder="Tags, separated by commas"
+                        className="w-full p-1 border border-gray-300 rounded-md"
+                      />
+                      <div className="flex gap-3">
+                        <button type="button" onClick={handleSaveEdit} className="text-blue-700 hover:underline">Save</button>
+                        <button type="button" onClick={() => setEditingEntry(null)} className="text-gray-600 hover:underline">Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div>
+                      <button type="button" onClick={() => openEntry(entry)} className={`text-left font-semibold text-gray-800 hover:underline ${devanagariFont}`}>
+                        {entry.title}
+                      </button>
+                      <div className="text-purple-700">{entry.meter}</div>
+                      <div className="text-xs text-gray-500">{new Date(entry.updatedAt).toLocaleString()}</div>
+                      {entry.tags.length > 0 && (
+                        <div className="mt-1 flex flex-wrap gap-1">
+                          {entry.tags.map(tag => (
+                            <span key={tag} className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs">{tag}</span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="mt-2 flex gap-3 text-xs">
+                        <button type="button" onClick={() => openEntry(entry)} className="text-blue-700 hover:underline">Open</button>
+                        <button
+                          type="button"
+                          onClick={() => setEditingEntry({ id: entry.id, title: entry.title, tags: entry.tags.join(', ') })}
+                          className="text-blue-700 hover:underline"
+                        >
+                          Rename / tag
+                        </button>
+                        <button type="button" onClick={() => handleDeleteEntry(entry)} className="text-red-700 hover:underline">Delete</button>
+                      </div>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {libraryEntries.length === 0 && <p className="text-sm text-gray-500">Analyses you make are saved here.</p>}
+          </aside>
+        )}
+
         {/* Main Content */}
         <div className="grid grid-cols-1 lg:col-span-3 gap-8 p-8">
           {/* Input Section */}
@@ -388,19 +831,90 @@ export default function App() {
             </CardHeader>
             <CardContent className="space-y-6 pt-6">
               <div className="space-y-3">
-                <label htmlFor="verse-input" className="text-sm font-semibold text-gray-700">
-                  Devanagari Text (हिन्दी/संस्कृत)
+                <div className="flex items-center justify-between">
+                  <label htmlFor="verse-input" className="text-sm font-semibold text-gray-700">
+                    Sanskrit Text (देवनागरी, IAST, HK, SLP1)
+                  </label>
+                  <select
+                    aria-label="Input scheme"
+                    value={inputScheme}
+                    onChange={(e) => setInputScheme(e.target.value)}
+                    className="text-sm border border-gray-300 rounded-md p-1"
+                  >
+                    <option value="auto">
+                      Auto-detect{inputVerse.trim() ? ` (${SCHEMES.find(s => s.id === detectScheme(inputVerse)).label})` : ''}
+                    </option>
+                    {SCHEMES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                  </select>
+                </div>
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                  <label htmlFor="meter-mode">Meters:</label>
+                  <select
+                    id="meter-mode"
+                    value={meterMode}
+                    onChange={(e) => setMeterMode(e.target.value)}
+                    className="text-sm border border-gray-300 rounded-md p-1"
+                  >
+                    <option value="classical">Classical (vṛtta and jāti)</option>
+                    <option value="vedic">Vedic (syllable count: Gāyatrī, Triṣṭubh, Jagatī…)</option>
+                  </select>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={padaFinalAnceps}
+                    onChange={(e) => setPadaFinalAnceps(e.target.checked)}
+                  />
+                  Pada-final syllable may be Laghu or Guru (turn off for strict scansion)
                 </label>
                 <textarea
                   id="verse-input"
                   value={inputVerse}
-                  onChange={(e) => setInputVerse(e.target.value)}
-                  placeholder="Paste your Sanskrit verse here (e.g., Bhagavad Gita verse). Separate padas (quarters) with new lines."
+                  onChange={(e) => {
+                    setInputVerse(e.target.value);
+                    setSegmentation(null);
+                  }}
+                  placeholder="Paste your Sanskrit verse here in Devanagari or IAST/HK/SLP1 (e.g., Bhagavad Gita verse). Separate padas (quarters) with new lines."
                   className={`w-full min-h-[150px] p-4 border border-gray-300 rounded-lg resize-y focus:outline-none focus:ring-2 focus:ring-blue-500 shadow-sm ${devanagariFont}`}
                 />
               </div>
+              {segmentation && (
+                <div className="space-y-3 p-4 border border-amber-300 bg-amber-50 rounded-lg text-sm">
+                  <div className="font-semibold text-amber-900">
+                    The verse has no pada lines. Proposed split (edit it if needed):
+                  </div>
+                  <textarea
+                    aria-label="Proposed pada split"
+                    value={segmentation.text}
+                    onChange={(e) => setSegmentation({ ...segmentation, text: e.target.value })}
+                    rows={Math.max(3, segmentation.text.split('\n').length)}
+                    className={`w-full p-3 border border-gray-300 rounded-lg resize-y focus:outline-none focus:ring-2 focus:ring-amber-500 ${devanagariFont}`}
+                  />
+                  <div className="space-y-1">
+                    {segmentation.proposals.map((proposal, i) => (
+                      <button
+                        key={i}
+                        type="button"
+                        onClick={() => setSegmentation({ ...segmentation, text: proposal.text })}
+                        className={`block w-full text-left px-2 py-1 rounded hover:bg-amber-100 ${proposal.text === segmentation.text ? 'bg-amber-100 font-semibold' : ''}`}
+                      >
+                        {proposal.padas} {proposal.padas === 1 ? 'pada' : 'padas'}: {proposal.identification.label}
+                        {proposal.midWordCuts > 0 && ` · ${proposal.midWordCuts} cut${proposal.midWordCuts === 1 ? '' : 's'} inside a word`}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <Button size="sm" onClick={handleAcceptSegmentation} className="bg-amber-600 hover:bg-amber-700 text-white">
+                      Accept split
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => handleIdentifyChandas(segmentation.verse, { split: false })}>
+                      Keep as entered
+                    </Button>
+                  </div>
+                </div>
+              )}
               <Button
-                onClick={handleIdentifyChandas}
+                onClick={() => handleIdentifyChandas()}
                 disabled={isProcessing || !inputVerse.trim()}
                 className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded-lg shadow-md"
               >
@@ -425,6 +939,18 @@ export default function App() {
                   'Identify Chandas'
                 )}
               </Button>
+              <div className="text-sm text-gray-600 space-y-1">
+                <div className="flex items-center justify-between">
+                  <span>
+                    Meter catalogue: {catalogueName || 'built-in'} ({meters.length} meters)
+                  </span>
+                  <label className="cursor-pointer text-blue-700 hover:underline">
+                    Load catalogue…
+                    <input type="file" accept=".json,application/json" onChange={handleLoadCatalogue} className="hidden" />
+                  </label>
+                </div>
+                {catalogueError && <div className="text-red-700">{catalogueError}</div>}
+              </div>
             </CardContent>
           </Card>
 
@@ -434,9 +960,87 @@ export default function App() {
               <CardTitle className="text-2xl flex items-center text-green-800">
                 <div className="w-4 h-4 bg-green-500 rounded-full mr-3 animate-pulse"></div>
                 Sanskrit Teacher Bot
+                <button
+                  type="button"
+                  onClick={() => setShowProviderSettings(!showProviderSettings)}
+                  className="ml-auto text-sm font-normal text-green-800 hover:underline"
+                >
+                  ⚙️ {PROVIDERS[providerSettings.provider] ? providerSettings.model : 'Rule-based'}
+                </button>
               </CardTitle>
             </CardHeader>
             <CardContent className='p-6 pt-0'>
+              {showProviderSettings && (
+                <div className="mb-4 p-4 border border-green-200 rounded-lg bg-green-50 space-y-3 text-sm">
+                  <p className="text-gray-600">
+                    Without a model, the rule-based tutor answers. A model receives the verse, its scansion and the meter
+                    definition, and the rule-based tutor stands in whenever it cannot be reached.
+                  </p>
+                  <label className="flex items-center gap-2">
+                    <span className="w-24 font-medium text-gray-700">Provider</span>
+                    <select
+                      value={providerSettings.provider}
+                      onChange={(e) => updateProviderSettings({ provider: e.target.value })}
+                      className="flex-1 p-2 border border-gray-300 rounded-md bg-white"
+                    >
+                      <option value="rules">Rule-based tutor only</option>
+                      {Object.values(PROVIDERS).map(provider => (
+                        <option key={provider.id} value={provider.id}>{provider.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {PROVIDERS[providerSettings.provider] && (
+                    <>
+                      <label className="flex items-center gap-2">
+                        <span className="w-24 font-medium text-gray-700">Base URL</span>
+                        <input
+                          value={providerSettings.baseUrl}
+                          onChange={(e) => updateProviderSettings({ baseUrl: e.target.value })}
+                          placeholder="http://localhost:11434/v1"
+                          className="flex-1 p-2 border border-gray-300 rounded-md"
+                        />
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <span className="w-24 font-medium text-gray-700">Model</span>
+                        <input
+                          value={providerSettings.model}
+                          onChange={(e) => updateProviderSettings({ model: e.target.value })}
+                          className="flex-1 p-2 border border-gray-300 rounded-md"
+                        />
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <span className="w-24 font-medium text-gray-700">API key</span>
+                        <input
+                          type="password"
+                          value={providerSettings.apiKey}
+                          onChange={(e) => updateProviderSettings({ apiKey: e.target.value })}
+                          placeholder="Optional for local servers"
+                          className="flex-1 p-2 border border-gray-300 rounded-md"
+                        />
+                      </label>
+                      <label className="flex items-center gap-2">
+                        <span className="w-24 font-medium text-gray-700">Temperature</span>
+                        <input
+                          type="number"
+                          min="0"
+                          max="2"
+                          step="0.1"
+                          value={providerSettings.temperature}
+                          onChange={(e) => updateProviderSettings({ temperature: Number(e.target.value) })}
+                          className="w-24 p-2 border border-gray-300 rounded-md"
+                        />
+                      </label>
+                      <div className="flex items-center gap-3">
+                        <Button variant="ghost" size="sm" onClick={handleTestProvider}>Test connection</Button>
+                        {providerStatus && <span className="text-gray-700">{providerStatus}</span>}
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+              {chatHistory.some(message => message.scansion) && (
+                <div className="mb-3">{renderExportMenu(chatHistory, 'chandas-session')}</div>
+              )}
               <div className="h-[450px] overflow-y-auto p-4 bg-gray-50 rounded-lg shadow-inner">
                 {chatHistory.length === 0 ? (
                   <div className="text-center text-gray-500 py-12">
@@ -466,20 +1070,137 @@ export default function App() {
                             <div>
                               <div className="font-semibold text-green-700 mb-3">Sanskrit Teacher</div>
                               <div className="mb-4 text-gray-800 whitespace-pre-line">{message.content}</div>
-                              {message.pattern && message.chandasType && (
+                              {message.source && (
+                                <div className="-mt-2 mb-2 text-xs text-gray-400">
+                                  {message.source === 'model' ? `Answered by ${message.model}` : 'Rule-based answer'}
+                                  {message.error && ` (the model could not be reached: ${message.error})`}
+                                </div>
+                              )}
+                              {message.scansion && message.identification && (
                                 <div className="space-y-4">
                                   <div>
                                     <div className="font-semibold text-sm text-gray-600 mb-1">Detected Meter:</div>
-                                    <div className="font-bold text-xl text-purple-700">{message.chandasType}</div>
+                                    <div className="font-bold text-xl text-purple-700">{message.identification.label}</div>
+                                    {message.identification.report?.violations.length > 0 && (
+                                      <ul className="mt-2 list-disc list-inside text-sm text-red-700">
+                                        {message.identification.report.violations.map((violation, violationIndex) => (
+                                          <li key={violationIndex}>{violation.message}</li>
+                                        ))}
+                                      </ul>
+                                    )}
+                                    {message.identification.report?.cadences && (
+                                      <ul className="mt-2 text-sm text-gray-600">
+                                        {message.identification.report.cadences.map((cadence) => (
+                                          <li key={cadence.pada} className={cadence.follows ? 'text-green-700' : 'text-amber-700'}>
+                                            Pada {cadence.pada} cadence: {formatPattern(cadence.actual)}
+                                            {cadence.follows ? ' (typical)' : ` (typical: ${formatPattern(cadence.expected)})`}
+                                          </li>
+                                        ))}
+                                      </ul>
+                                    )}
+                                    {message.identification.yati && (
+                                      <div className="mt-2 text-sm">
+                                        <div className={message.identification.yati.valid ? 'text-green-700' : 'text-red-700'}>
+                                          Yati (caesura): {message.identification.yati.valid
+                                            ? 'every caesura falls on a word break.'
+                                            : `${message.identification.yati.violations.length} caesura(s) fall inside a word.`}
+                                        </div>
+                                        <ul className="list-disc list-inside text-gray-600">
+                                          {message.identification.yati.points.filter(p => p.status === 'none' || p.status === 'joined').map((point) => (
+                                            <li key={`${point.pada}-${point.position}`}>{point.message}</li>
+                                          ))}
+                                        </ul>
+                                      </div>
+                                    )}
                                   </div>
+                                  {message.identification.candidates.length > 0 && (
+                                    <div>
+                                      <div className="font-semibold text-sm text-gray-600 mb-1">Closest meters (differing syllables are outlined):</div>
+                                      <ol className="space-y-1 text-sm">
+                                        {message.identification.candidates.map((candidate, candidateIndex) => {
+                                          const selected = (message.selectedCandidate ?? 0) === candidateIndex;
+                                          return (
+                                            <li key={candidate.meter.id}>
+                                              <button
+                                                type="button"
+                                                onClick={() => selectCandidate(index, candidateIndex)}
+                                                className={`text-left w-full rounded-md px-2 py-1 ${selected ? 'bg-orange-100 text-orange-900' : 'hover:bg-gray-100 text-gray-800'}`}
+                                              >
+                                                {candidateIndex + 1}. {candidate.meter.name} · {Math.round(candidate.score * 100)}% · {candidate.differences.length} {candidate.differences.length === 1 ? 'difference' : 'differences'}
+                                              </button>
+                                              {selected && (
+                                                <ul className="ml-6 list-disc list-inside text-orange-800">
+                                                  {candidate.differences.map((difference, differenceIndex) => (
+                                                    <li key={differenceIndex}>{difference.message}</li>
+                                                  ))}
+                                                </ul>
+                                              )}
+                                            </li>
+                                          );
+                                        })}
+                                      </ol>
+                                    </div>
+                                  )}
                                   <div>
-                                    <div className="font-semibold text-sm text-gray-600 mb-2">Pattern Analysis (L: Laghu, G: Guru):</div>
+                                    <div className="flex items-center justify-between mb-2">
+                                      <div className="font-semibold text-sm text-gray-600">Pattern Analysis (L: Laghu, G: Guru):</div>
+                                      <select
+                                        aria-label="Display scheme"
+                                        value={displayScheme}
+                                        onChange={(e) => setDisplayScheme(e.target.value)}
+                                        className="text-xs border border-gray-300 rounded-md p-1"
+                                      >
+                                        {SCHEMES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                                      </select>
+                                    </div>
+                                    <div className="flex flex-wrap items-center gap-3 mb-2 text-xs text-gray-600">
+                                      <Button
+                                        size="sm"
+                                        onClick={() => toggleRhythm(index, message)}
+                                        className="bg-blue-600 hover:bg-blue-700 text-white"
+                                      >
+                                        {playback?.messageIndex === index ? '■ Stop' : '▶ Play rhythm'}
+                                      </Button>
+                                      <label className="flex items-center gap-1">
+                                        Tempo
+                                        <input
+                                          type="range"
+                                          min="40"
+                                          max="300"
+                                          step="10"
+                                          value={rhythmTempo}
+                                          onChange={(e) => setRhythmTempo(Number(e.target.value))}
+                                          disabled={playback !== null}
+                                        />
+                                        {rhythmTempo} mātrās/min
+                                      </label>
+                                      <label className="flex items-center gap-1">
+                                        <input type="checkbox" checked={rhythmLoop} onChange={(e) => setRhythmLoop(e.target.checked)} disabled={playback !== null} />
+                                        Loop
+                                      </label>
+                                      <label className="flex items-center gap-1" title="Read the verse aloud with the browser's speech synthesis">
+                                        <input type="checkbox" checked={rhythmSpeak} onChange={(e) => setRhythmSpeak(e.target.checked)} disabled={playback !== null} />
+                                        Speak verse
+                                      </label>
+                                    </div>
                                     {renderPatternVisualization(
-                                      message.pattern,
-                                      // Find the most recent user input message associated with this bot response
-                                      chatHistory.find((msg, idx) => idx < index && msg.role === 'user')?.content || ''
+                                      message.scansion,
+                                      message.identification,
+                                      message.identification.candidates[message.selectedCandidate ?? 0]?.differences,
+                                      playback?.messageIndex === index ? playback.beat : null,
                                     )}
                                   </div>
+                                  {renderExportMenu([message], `chandas-verse-${message.verseNumber ?? index + 1}`)}
+                                  <div className="flex items-center gap-2 text-xs">
+                                    <button
+                                      type="button"
+                                      onClick={() => copyShareLink(message, index)}
+                                      className="px-2 py-1 rounded-md border border-gray-300 hover:bg-gray-100"
+                                    >
+                                      🔗 Share link
+                                    </button>
+                                    {shareStatus?.index === index && <span className="text-gray-500">{shareStatus.text}</span>}
+                                  </div>
                                 </div>
                               )}
                             </div>
@@ -487,6 +1208,7 @@ export default function App() {
                         </div>
                       </div>
                     ))}
+                    {isAnswering && <div className="text-sm text-gray-500">The teacher is thinking…</div>}
                     <div ref={messagesEndRef} />
                   </div>
                 )}
@@ -494,7 +1216,7 @@ export default function App() {
               <div className="mt-4 flex border-t border-gray-200 pt-4">
                 <textarea
                   className="flex-1 p-3 border border-gray-300 rounded-l-lg focus:outline-none focus:ring-2 focus:ring-green-500 resize-none"
-                  placeholder="Ask a question about the analysis (e.g., 'What is a tip?', 'Show an example')..."
+                  placeholder="Ask about the analysis (e.g., 'Why is syllable 3 of pada 2 guru?', 'Which pada breaks the meter?')..."
                   value={inputMessage}
                   onChange={(e) => setInputMessage(e.target.value)}
                   onKeyDown={(e) => {
@@ -507,7 +1229,7 @@ export default function App() {
                 />
                 <Button
                   onClick={handleSendMessage}
-                  disabled={isProcessing || !inputMessage.trim() || !currentChandas}
+                  disabled={isAnswering || !inputMessage.trim()}
                   className="rounded-l-none bg-green-600 hover:bg-green-700 text-white font-medium"
                 >
                   Send
@@ -517,6 +1239,124 @@ export default function App() {
           </Card>
         </div>
 
+        {/* Batch Analysis */}
+        <Card className="m-8 shadow-lg">
+          <CardHeader className="bg-purple-100 p-6">
+            <CardTitle className="text-2xl text-purple-800">Analyze a Whole Text</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4 pt-6">
+            <p className="text-sm text-gray-600">
+              Paste a canto or chapter, or load a .txt file. Verses end with ॥ and their number; padas go on separate lines.
+              The scheme, pada-final and meter settings above apply.
+            </p>
+            <textarea
+              aria-label="Text to analyze"
+              value={batchText}
+              onChange={(e) => setBatchText(e.target.value)}
+              placeholder="धर्मक्षेत्रे कुरुक्षेत्रे&#10;समवेता युयुत्सवः ।&#10;मामकाः पाण्डवाश्चैव&#10;किमकुर्वत सञ्जय ॥ १ ॥"
+              className={`w-full min-h-[150px] p-4 border border-gray-300 rounded-lg resize-y focus:outline-none focus:ring-2 focus:ring-purple-500 shadow-sm ${devanagariFont}`}
+            />
+            <div className="flex items-center gap-4">
+              <Button
+                onClick={handleAnalyzeText}
+                disabled={!batchText.trim()}
+                className="bg-purple-600 hover:bg-purple-700 text-white font-semibold"
+              >
+                Analyze Text
+              </Button>
+              <label className="cursor-pointer text-sm text-purple-700 hover:underline">
+                Load .txt file…
+                <input type="file" accept=".txt,text/plain" onChange={handleLoadText} className="hidden" />
+              </label>
+            </div>
+
+            {batchResult && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-sm">
+                <div>
+                  <h4 className="font-semibold text-gray-700 mb-2">
+                    Meters ({batchResult.verses.length} verses)
+                  </h4>
+                  <table className="w-full">
+                    <tbody>
+                      {batchResult.meters.map((entry) => (
+                        <tr key={entry.meter.id} className="border-b border-gray-100">
+                          <td className="py-1">{entry.meter.name}</td>
+                          <td className="py-1 text-right">{entry.count}</td>
+                          <td className="py-1 text-right text-gray-500">
+                            {Math.round((entry.count / batchResult.verses.length) * 100)}%
+                          </td>
+                        </tr>
+                      ))}
+                      {batchResult.failures.length > 0 && (
+                        <tr>
+                          <td className="py-1 text-red-700">Not identified</td>
+                          <td className="py-1 text-right text-red-700">{batchResult.failures.length}</td>
+                          <td className="py-1 text-right text-gray-500">
+                            {Math.round((batchResult.failures.length / batchResult.verses.length) * 100)}%
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-gray-700 mb-2">Meter changes</h4>
+                  {batchResult.changes.length === 0 ? (
+                    <p className="text-gray-500">The meter never changes.</p>
+                  ) : (
+                    <ul className="space-y-1">
+                      {batchResult.changes.map((change) => (
+                        <li key={change.index}>
+                          <button type="button" onClick={() => openBatchVerse(batchResult.verses[change.index])} className="text-purple-700 hover:underline">
+                            Verse {batchResult.verses[change.index].number}
+                          </button>
+                          : {change.from.iast} → {change.to.iast}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+                <div>
+                  <h4 className="font-semibold text-gray-700 mb-2">Verses that failed to scan</h4>
+                  {batchResult.failures.length === 0 ? (
+                    <p className="text-gray-500">Every verse was identified.</p>
+                  ) : (
+                    <ul className="space-y-1">
+                      {batchResult.failures.map((index) => (
+                        <li key={index}>
+                          <button type="button" onClick={() => openBatchVerse(batchResult.verses[index])} className="text-red-700 hover:underline">
+                            Verse {batchResult.verses[index].number}
+                          </button>
+                          : {batchResult.verses[index].identification.label}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+                <div className="md:col-span-3">
+                  <h4 className="font-semibold text-gray-700 mb-2">All verses</h4>
+                  <div className="flex flex-wrap gap-2">
+                    {batchResult.verses.map((verse) => (
+                      <button
+                        key={verse.index}
+                        type="button"
+                        onClick={() => openBatchVerse(verse)}
+                        title={verse.identification.label}
+                        className={`px-2 py-1 rounded-md border ${verse.identification.status === 'match'
+                            ? 'border-purple-200 bg-purple-50 text-purple-800 hover:bg-purple-100'
+                            : 'border-red-200 bg-red-50 text-red-800 hover:bg-red-100'
+                          }`}
+                      >
+                        {verse.number}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
         {/* Learning Panel */}
         {showLearningPanel && currentChandas && (
           <Card className="m-8 shadow-lg">
@@ -540,19 +1380,365 @@ export default function App() {
                     What is it?
                   </h3>
                   <p className="text-gray-700 leading-relaxed text-lg">
-                    {getLearningTip(currentChandas)}
+                    {getLearningTip(currentMeter)}
                   </p>
+                  {currentMeter?.lakshana && (
+                    <p className={`mt-4 text-gray-600 italic whitespace-pre-line ${devanagariFont}`}>
+                      Lakṣaṇa: {currentMeter.lakshana}
+                    </p>
+                  )}
                 </div>
                 <div className="bg-yellow-50 p-6 rounded-xl shadow-inner border border-yellow-200">
                   <h3 className="font-extrabold text-2xl mb-3 text-yellow-800">Example Verse</h3>
                   <div className={`text-lg leading-relaxed whitespace-pre-line ${devanagariFont}`}>
-                    {getExampleVerse(currentChandas)}
+                    {getExampleVerse(currentMeter)}
                   </div>
                 </div>
               </div>
             </CardContent>
           </Card>
         )}
+
+        {/* Practice */}
+        <Card className="m-8 shadow-lg">
+          <CardHeader className="bg-teal-100 p-6">
+            <CardTitle className="text-2xl text-teal-800">Practice</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4 pt-6">
+            <p className="text-sm text-gray-600">
+              Mark every akshara of a verse from the catalogue as Laghu or Guru (click to cycle: unmarked, L, G), then name
+              its meter and split its first pada into gaṇas.
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                aria-label="Learner name"
+                value={learner}
+                onChange={(e) => setLearner(e.target.value)}
+                placeholder="Your name"
+                list="learners"
+                className="p-2 border border-gray-300 rounded-md text-sm"
+              />
+              <datalist id="learners">
+                {Object.keys(scores).map(name => <option key={name} value={name} />)}
+              </datalist>
+              <Button onClick={startPractice} className="bg-teal-600 hover:bg-teal-700 text-white">
+                {practice ? 'Next verse' : 'Start practice'}
+              </Button>
+            </div>
+
+            {practice && (
+              <div className="space-y-4">
+                <div className="space-y-3">
+                  {practice.verse.scansion.padas.map((pada, padaIndex) => (
+                    <div key={padaIndex} className="flex flex-wrap gap-2">
+                      {pada.syllables.map((syllable, index) => {
+                        const mark = practice.marks[padaIndex][index];
+                        const graded = practice.weightGrade !== null;
+                        const right = graded && !practice.weightGrade.mistakes.some(m => m.pada === padaIndex + 1 && m.position === index + 1);
+                        const colour = !graded
+                          ? (mark === 'L' ? 'bg-green-100 border-green-400' : mark === 'G' ? 'bg-red-100 border-red-400' : 'bg-white border-gray-300')
+                          : (right ? 'bg-green-50 border-green-600' : 'bg-red-50 border-red-600 ring-2 ring-red-400');
+                        return (
+                          <button
+                            type="button"
+                            key={index}
+                            onClick={() => toggleMark(padaIndex, index)}
+                            className={`flex flex-col items-center px-2 py-1 border rounded-md ${colour}`}
+                          >
+                            <span className={`text-lg ${devanagariFont}`}>{syllable.text}</span>
+                            <span className="font-mono font-bold text-sm">
+                              {mark ?? '·'}
+                              {graded && !right && <span className="text-red-700"> → {syllable.weight}</span>}
+                            </span>
+                          </button>
+                        );
+                      })}
+                    </div>
+                  ))}
+                </div>
+
+                {!practice.weightGrade ? (
+                  <Button onClick={checkWeights} className="bg-teal-600 hover:bg-teal-700 text-white">Check marking</Button>
+                ) : (
+                  <div className="space-y-4">
+                    <div className={practice.weightGrade.mistakes.length === 0 ? 'text-green-700 font-semibold' : 'text-gray-800 font-semibold'}>
+                      {practice.weightGrade.correct} of {practice.weightGrade.total} syllables right.
+                    </div>
+                    {practice.weightGrade.mistakes.length > 0 && (
+                      <ul className="space-y-2 text-sm">
+                        {practice.weightGrade.mistakes.map(mistake => (
+                          <li key={`${mistake.pada}-${mistake.position}`} className="p-2 bg-red-50 rounded-md whitespace-pre-line">
+                            {mistake.marked ? `You marked ${mistake.marked}. ` : 'You left it unmarked. '}
+                            {mistake.explanation}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-3">
+                      <label className="text-sm font-medium text-gray-700" htmlFor="practice-meter">Which meter is this?</label>
+                      <input
+                        id="practice-meter"
+                        value={practice.meterAnswer}
+                        onChange={(e) => setPractice({ ...practice, meterAnswer: e.target.value })}
+                        disabled={practice.meterGrade !== null}
+                        className="p-2 border border-gray-300 rounded-md text-sm"
+                      />
+                      {!practice.meterGrade && (
+                        <Button variant="ghost" size="sm" onClick={checkMeterName} disabled={!practice.meterAnswer.trim()}>Check</Button>
+                      )}
+                      {practice.meterGrade && (
+                        <span className={practice.meterGrade.correct ? 'text-green-700' : 'text-red-700'}>{practice.meterGrade.message}</span>
+                      )}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-3">
+                      <label className="text-sm font-medium text-gray-700" htmlFor="practice-ganas">Gaṇas of pada 1:</label>
+                      <input
+                        id="practice-ganas"
+                        value={practice.ganaAnswer}
+                        onChange={(e) => setPractice({ ...practice, ganaAnswer: e.target.value })}
+                        disabled={practice.ganaGrade !== null}
+                        placeholder="e.g. ta ta ja ga ga"
+                        className="p-2 border border-gray-300 rounded-md text-sm"
+                      />
+                      {!practice.ganaGrade && (
+                        <Button variant="ghost" size="sm" onClick={checkGanas} disabled={!practice.ganaAnswer.trim()}>Check</Button>
+                      )}
+                      {practice.ganaGrade && (
+                        <span className={practice.ganaGrade.correct ? 'text-green-700' : 'text-red-700'}>{practice.ganaGrade.message}</span>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {Object.keys(scores).length > 0 && (
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="text-left border-b border-gray-300">
+                    <th className="py-1 pr-4">Learner</th>
+                    <th className="py-1 pr-4">Verses</th>
+                    {Object.values(ROUND_LABELS).map(label => <th key={label} className="py-1 pr-4">{label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(scores).sort((a, b) => b[1].updatedAt - a[1].updatedAt).map(([name, score]) => (
+                    <tr key={name} className="border-b border-gray-100">
+                      <td className="py-1 pr-4 font-medium">{name}</td>
+                      <td className="py-1 pr-4">{score.verses}</td>
+                      {Object.keys(ROUND_LABELS).map(round => {
+                        const { correct, total } = score.rounds[round];
+                        return (
+                          <td key={round} className="py-1 pr-4">
+                            {total === 0 ? '–' : `${correct}/${total} (${Math.round((correct / total) * 100)}%)`}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Composition */}
+        <Card className="m-8 shadow-lg">
+          <CardHeader className="bg-rose-100 p-6">
+            <CardTitle className="text-2xl text-rose-800">Compose</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4 pt-6">
+            <p className="text-sm text-gray-600">
+              Pick a meter and write one pada per line. Each slot shows the weight the meter expects over the one written;
+              hover over a red slot for what would fit it.
+            </p>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label htmlFor="compose-meter" className="font-medium text-gray-700">Meter:</label>
+              <select
+                id="compose-meter"
+                value={composeMeter?.id ?? ''}
+                onChange={(e) => setComposeMeterId(e.target.value)}
+                className="border border-gray-300 rounded-md p-1"
+              >
+                {meters.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+              </select>
+            </div>
+            <textarea
+              aria-label="Verse being composed"
+              value={composeText}
+              onChange={(e) => setComposeText(e.target.value)}
+              placeholder="One pada per line, in Devanagari or IAST/HK/SLP1."
+              className={`w-full min-h-[120px] p-4 border border-gray-300 rounded-lg resize-y focus:outline-none focus:ring-2 focus:ring-rose-500 ${devanagariFont}`}
+            />
+
+            {composition && (
+              <div className="space-y-4">
+                {composition.padas.map(pada => (
+                  <div key={pada.pada} className="space-y-2">
+                    <div className="flex flex-wrap items-baseline gap-3 text-sm">
+                      <span className="font-semibold text-gray-800">Pada {pada.pada}</span>
+                      <span className={pada.remaining < 0 ? 'text-red-700' : pada.remaining === 0 ? 'text-green-700' : 'text-gray-600'}>
+                        {pada.remaining === 0
+                          ? `✓ ${pada.target} ${pada.unit === 'matras' ? 'mātrās' : 'syllables'}`
+                          : pada.remaining > 0
+                            ? `${pada.remaining} ${pada.unit === 'matras' ? 'mātrā' : 'syllable'}${pada.remaining === 1 ? '' : 's'} to go (${pada.written}/${pada.target})`
+                            : `${-pada.remaining} ${pada.unit === 'matras' ? 'mātrā' : 'syllable'}${pada.remaining === -1 ? '' : 's'} too many (${pada.written}/${pada.target})`}
+                      </span>
+                      {pada.note && <span className="text-gray-500 italic">{pada.note}</span>}
+                    </div>
+                    {pada.slots.length > 0 && (
+                      <div className="flex flex-wrap gap-1">
+                        {pada.slots.map(slot => {
+                          const colour = {
+                            match: 'bg-green-50 border-green-400',
+                            mismatch: 'bg-red-50 border-red-500 ring-2 ring-red-400',
+                            open: 'bg-white border-gray-300 border-dashed',
+                            extra: 'bg-orange-50 border-orange-400',
+                          }[slot.status];
+                          return (
+                            <div
+                              key={slot.position}
+                              title={slot.suggestion ?? (slot.provisional ? 'Becomes Guru if a conjunct follows.' : '')}
+                              className={`flex flex-col items-center min-w-[2.5rem] px-1 py-1 border rounded-md ${colour}`}
+                            >
+                              <span className="font-mono text-xs text-gray-500">{slot.expected === 'x' ? 'L/G' : slot.expected || '×'}</span>
+                              <span className={`text-lg ${devanagariFont}`}>{slot.text || '\u00a0'}</span>
+                              <span className="font-mono font-bold text-sm">
+                                {slot.actual || '·'}
+                                {slot.provisional && '?'}
+                              </span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                    {pada.slots.filter(slot => slot.status === 'mismatch').map(slot => (
+                      <div key={slot.position} className="text-sm text-red-800">
+                        Syllable {slot.position}: {slot.suggestion}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+                {composition.extraLines.length > 0 && (
+                  <div className="text-sm text-orange-700">
+                    {composeMeter.iast} has {composition.padas.length} padas; the lines after them are not counted.
+                  </div>
+                )}
+                {composition.complete && (
+                  <div className="flex flex-wrap items-center gap-3">
+                    <span className={composition.fits ? 'text-green-700 font-semibold' : 'text-red-700 font-semibold'}>
+                      {composition.fits ? `The verse is in ${composition.identification.label}.` : `Not yet ${composeMeter.iast}: ${composition.identification.label}`}
+                    </span>
+                    <Button variant="ghost" size="sm" onClick={analyzeComposition}>Analyze in chat</Button>
+                  </div>
+                )}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Prastāra */}
+        <Card className="m-8 shadow-lg">
+          <CardHeader className="bg-indigo-100 p-6">
+            <CardTitle className="text-2xl text-indigo-800">Prastāra Explorer</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4 pt-6" ref={prastaraRef}>
+            <p className="text-sm text-gray-600">
+              Piṅgala's prastāra lists every Laghu-Guru pattern of a length, from all Guru (row 1) to all Laghu. Naṣṭa gives the
+              pattern of a row, uddiṣṭa the row of a pattern; the rows of named vṛttas are marked.
+            </p>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <label htmlFor="prastara-length" className="font-medium text-gray-700">Syllables:</label>
+              <input
+                id="prastara-length"
+                type="number"
+                min={1}
+                max={PRASTARA_MAX}
+                value={prastaraLength}
+                onChange={(e) => {
+                  const length = Math.min(PRASTARA_MAX, Math.max(1, Number(e.target.value) || 1));
+                  setPrastaraLength(length);
+                  setPrastaraFrom(1);
+                  setPrastaraRow(null);
+                }}
+                className="w-20 p-1 border border-gray-300 rounded-md"
+              />
+              <span className="text-gray-600">
+                {jatiOf(prastaraLength) && `${jatiOf(prastaraLength)} · `}
+                {(2 ** prastaraLength).toLocaleString()} patterns · {prastaraNamed.size} named
+              </span>
+              <label className="flex items-center gap-1 text-gray-600">
+                <input type="checkbox" checked={prastaraNamedOnly} onChange={(e) => setPrastaraNamedOnly(e.target.checked)} />
+                Named vṛttas only
+              </label>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <input
+                aria-label="Row, pattern or gaṇa formula"
+                value={prastaraQuery}
+                onChange={(e) => setPrastaraQuery(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && lookUpPrastara()}
+                placeholder="Row number, L/G pattern or gaṇas"
+                className="p-2 border border-gray-300 rounded-md w-72"
+              />
+              <Button variant="ghost" size="sm" onClick={lookUpPrastara} disabled={!prastaraQuery.trim()}>Look up</Button>
+              {prastaraError && <span className="text-red-700">{prastaraError}</span>}
+            </div>
+
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="text-left border-b border-gray-300">
+                  <th className="py-1 pr-4">Row</th>
+                  <th className="py-1 pr-4">Pattern</th>
+                  <th className="py-1 pr-4">Gaṇas</th>
+                  <th className="py-1 pr-4">Vṛtta</th>
+                </tr>
+              </thead>
+              <tbody>
+                {prastaraRows.map(index => {
+                  const pattern = nashta(prastaraLength, index);
+                  const named = prastaraNamed.get(index) ?? [];
+                  return (
+                    <tr
+                      key={index}
+                      className={`border-b border-gray-100 ${index === prastaraRow ? 'bg-yellow-100' : named.length > 0 ? 'bg-indigo-50' : ''}`}
+                    >
+                      <td className="py-1 pr-4 font-mono">{index.toLocaleString()}</td>
+                      <td className="py-1 pr-4 font-mono whitespace-nowrap">{formatPattern(pattern)}</td>
+                      <td className="py-1 pr-4">{ganaFormula(splitGanas(pattern))}</td>
+                      <td className="py-1 pr-4 font-semibold text-indigo-800">
+                        {named.map(m => (padasLabel(m.padas) ? `${m.meter.name} (${padasLabel(m.padas)})` : m.meter.name)).join(', ')}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {prastaraNamedOnly && prastaraRows.length === 0 && (
+              <div className="text-sm text-gray-500">No vṛtta in the catalogue has {prastaraLength} syllables.</div>
+            )}
+            {!prastaraNamedOnly && (
+              <div className="flex items-center gap-2 text-sm">
+                <Button variant="ghost" size="sm" onClick={() => setPrastaraFrom(Math.max(1, prastaraFrom - PRASTARA_PAGE))} disabled={prastaraFrom === 1}>
+                  ← Previous
+                </Button>
+                <span className="text-gray-600">
+                  Rows {prastaraFrom.toLocaleString()}–{(prastaraFrom + prastaraRows.length - 1).toLocaleString()} of {(2 ** prastaraLength).toLocaleString()}
+                </span>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setPrastaraFrom(prastaraFrom + PRASTARA_PAGE)}
+                  disabled={prastaraFrom + PRASTARA_PAGE > 2 ** prastaraLength}
+                >
+                  Next →
+                </Button>
+              </div>
+            )}
+          </CardContent>
+        </Card>
       </div>
     </div>
   );
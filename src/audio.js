@@ -0,0 +1,96 @@
+// Plays the rhythm of a scanned verse with WebAudio: a short high tone for each
+// Laghu and a tone twice as long and lower for each Guru, optionally with the
+// browser reading the verse aloud.
+
+/**
+ * @typedef {import('./prosody/rhythm.js').Rhythm} Rhythm
+ * @typedef {import('./prosody/rhythm.js').RhythmBeat} RhythmBeat
+ */
+
+/**
+ * @typedef {object} PlayOptions
+ * @property {number} tempo Mātrās per minute.
+ * @property {boolean} [loop] Start again after the last pada until stopped.
+ * @property {string} [speak] Text to read aloud with speech synthesis at each pass.
+ * @property {(beat: RhythmBeat | null) => void} [onBeat] Called as each syllable starts, and with null at the end.
+ * @property {() => void} [onEnd] Called when playback ends by itself or is stopped.
+ */
+
+const TONES = { L: 880, G: 440 };
+const VOLUME = 0.25;
+// How much of a beat the tone lasts, leaving a gap before the next syllable.
+const SOUNDING = 0.8;
+
+/**
+ * Picks a voice for Sanskrit, falling back to Hindi, which reads Devanagari.
+ * @returns {SpeechSynthesisVoice | undefined}
+ */
+function sanskritVoice() {
+  const voices = window.speechSynthesis.getVoices();
+  return voices.find(v => v.lang.startsWith('sa')) || voices.find(v => v.lang.startsWith('hi'));
+}
+
+/**
+ * Starts playing a rhythm.
+ * @param {Rhythm} rhythm
+ * @param {PlayOptions} options
+ * @returns {{ stop: () => void }}
+ */
+export function playRhythm(rhythm, { tempo, loop = false, speak = '', onBeat = () => {}, onEnd = () => {} }) {
+  const context = new AudioContext();
+  const secondsPerMatra = 60 / tempo;
+  const timers = [];
+  let stopped = false;
+
+  const tone = (beat, at) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const end = at + beat.duration * secondsPerMatra * SOUNDING;
+    oscillator.frequency.value = TONES[beat.weight];
+    gain.gain.setValueAtTime(0, at);
+    gain.gain.linearRampToValueAtTime(VOLUME, at + 0.01);
+    gain.gain.setValueAtTime(VOLUME, Math.max(at + 0.01, end - 0.03));
+    gain.gain.linearRampToValueAtTime(0, end);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(at);
+    oscillator.stop(end);
+  };
+
+  const speakVerse = () => {
+    if (!speak || !('speechSynthesis' in window)) return;
+    const utterance = new SpeechSynthesisUtterance(speak);
+    const voice = sanskritVoice();
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice?.lang ?? 'hi-IN';
+    utterance.rate = Math.min(2, Math.max(0.5, tempo / 120));
+    window.speechSynthesis.speak(utterance);
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    timers.forEach(clearTimeout);
+    context.close();
+    if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+    onBeat(null);
+    onEnd();
+  };
+
+  const pass = () => {
+    timers.length = 0;
+    const start = context.currentTime + 0.05;
+    const delay = (matras) => (start - context.currentTime + matras * secondsPerMatra) * 1000;
+    speakVerse();
+    for (const beat of rhythm.beats) {
+      tone(beat, start + beat.start * secondsPerMatra);
+      timers.push(setTimeout(() => onBeat(beat), delay(beat.start)));
+    }
+    timers.push(setTimeout(loop ? pass : stop, delay(rhythm.duration)));
+  };
+
+  // The context may start suspended until a user gesture has resumed it.
+  context.resume().then(() => {
+    if (!stopped) pass();
+  });
+  return { stop };
+}
@@ -0,0 +1,113 @@
+// Embedding the scanner in other pages: a <chandas-scan> custom element and a
+// small JS API around the prosody library, with no React and no server.
+//
+//   <script type="module" src="chandas-scan.es.js"></script>
+//   <chandas-scan scheme="iast" app="https://example.org/chandas/">
+//     tat savitur vareṇyaṃ
+//     bhargo devasya dhīmahi
+//     dhiyo yo naḥ pracodayāt
+//   </chandas-scan>
+//
+// The verse is the `verse` attribute or, to keep its line breaks easily, the
+// element's text, which may still be arriving when a script in <head> defines
+// the element. Loading the script defines the element.
+import { scan, identify, toHTMLFragment, METERS, SCHEMES } from './prosody/index.js';
+import { shareUrl } from './share.js';
+
+/**
+ * @typedef {object} EmbedOptions
+ * @property {import('./prosody/transliterate.js').Scheme | 'auto'} [scheme] Input scheme.
+ * @property {'classical' | 'vedic'} [mode]
+ * @property {boolean} [strict] Do not treat the pada-final syllable as anceps.
+ * @property {import('./prosody/meters.js').Meter[]} [meters]
+ * @property {import('./prosody/transliterate.js').Scheme} [display] Script the verse is shown in (Devanagari by default).
+ * @property {string} [app] URL of the full app, to link to the analysis there.
+ */
+
+/**
+ * @typedef {object} Analysis
+ * @property {import('./prosody/scan.js').Scansion} scansion
+ * @property {import('./prosody/identify.js').Identification} identification
+ */
+
+const ATTRIBUTES = ['verse', 'scheme', 'mode', 'strict', 'display', 'app'];
+
+// An attribute naming a scheme, or the fallback when it names none we know.
+const schemeOf = (value, fallback) => (SCHEMES.some(s => s.id === value) ? value : fallback);
+
+/**
+ * Scans and identifies a verse.
+ * @param {string} verse One pada per line.
+ * @param {EmbedOptions} [options]
+ * @returns {Analysis}
+ */
+export function analyzeVerse(verse, { scheme = 'auto', mode = 'classical', strict = false, meters = METERS } = {}) {
+  const scansion = scan(verse, { scheme, anceps: !strict });
+  return { scansion, identification: identify(scansion, meters, { mode }) };
+}
+
+/**
+ * Analyses a verse and shows the result in an element or shadow root,
+ * replacing its content.
+ * @param {Element | ShadowRoot} target
+ * @param {string} verse
+ * @param {EmbedOptions} [options]
+ * @returns {Analysis}
+ */
+export function renderVerse(target, verse, options = {}) {
+  const analysis = analyzeVerse(verse, options);
+  const link = options.app
+    ? `<div class="report"><p class="description"><a href="${shareUrl(options.app, verse, options).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}" target="_blank" rel="noopener">Open in the Chandas Identifier</a></p></div>`
+    : '';
+  target.innerHTML = toHTMLFragment([analysis], { scheme: options.display }) + link;
+  return analysis;
+}
+
+/**
+ * Defines the <chandas-scan> element. It renders into its shadow root whenever
+ * an attribute or its text changes, and fires a `chandas-analysed` event with
+ * the analysis. Unknown schemes fall back to auto-detection and Devanagari.
+ * @param {string} [name]
+ */
+export function defineChandasScan(name = 'chandas-scan') {
+  if (customElements.get(name)) return;
+  customElements.define(name, class extends HTMLElement {
+    static get observedAttributes() {
+      return ATTRIBUTES;
+    }
+
+    connectedCallback() {
+      // The parser may add the text after the element is connected.
+      this.observer ??= new MutationObserver(() => this.render());
+      this.observer.observe(this, { childList: true, characterData: true, subtree: true });
+      this.render();
+    }
+
+    disconnectedCallback() {
+      this.observer?.disconnect();
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) this.render();
+    }
+
+    render() {
+      const root = this.shadowRoot ?? this.attachShadow({ mode: 'open' });
+      const verse = this.getAttribute('verse') ?? this.textContent.split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+      if (!verse) {
+        root.innerHTML = '';
+        return;
+      }
+      const analysis = renderVerse(root, verse, {
+        scheme: schemeOf(this.getAttribute('scheme'), 'auto'),
+        mode: this.getAttribute('mode') === 'vedic' ? 'vedic' : 'classical',
+        strict: this.hasAttribute('strict'),
+        display: schemeOf(this.getAttribute('display'), 'devanagari'),
+        app: this.getAttribute('app') || undefined,
+      });
+      this.dispatchEvent(new CustomEvent('chandas-analysed', { detail: analysis }));
+    }
+  });
+}
+
+if (typeof customElements !== 'undefined') defineChandasScan();
@@ -0,0 +1,96 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it } from 'vitest';
+import { analyzeVerse, defineChandasScan, renderVerse } from './embed.js';
+
+const GAYATRI = 'tat savitur vareṇyaṃ\nbhargo devasya dhīmahi\ndhiyo yo naḥ pracodayāt';
+const INDRAVAJRA = 'गोष्ठे गिरिं सव्यकरेण धृत्वा\nरुष्टेन्द्रवज्राहतिमुक्तवृष्टौ ।\nयो गोकुलं गोपकुलं च सुस्थं\nचक्रे स नो रक्षतु चक्रपाणिः ॥';
+
+// A <chandas-scan> in the page with the given attributes and text.
+const element = (attributes = {}, text = '') => {
+  const scanner = document.createElement('chandas-scan');
+  for (const [name, value] of Object.entries(attributes)) scanner.setAttribute(name, value);
+  scanner.textContent = text;
+  document.body.append(scanner);
+  return scanner;
+};
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('analyzeVerse', () => {
+  it('scans and identifies a verse', () => {
+    expect(analyzeVerse(INDRAVAJRA).identification.meter.id).toBe('indravajra');
+    expect(analyzeVerse(GAYATRI, { mode: 'vedic' }).identification.meter.id).toBe('gayatri');
+    expect(analyzeVerse(INDRAVAJRA, { strict: true }).scansion.anceps).toBe(false);
+  });
+});
+
+describe('renderVerse', () => {
+  it('replaces the content of the target with the report', () => {
+    const target = document.createElement('div');
+    target.textContent = 'stale';
+    const analysis = renderVerse(target, INDRAVAJRA);
+    expect(analysis.identification.meter.id).toBe('indravajra');
+    expect(target.textContent).not.toContain('stale');
+    expect(target.querySelector('.report .meter').textContent).toBe(analysis.identification.label);
+    expect(target.querySelectorAll('.report .pada')).toHaveLength(4);
+  });
+
+  it('links to the analysis in the app inside a styled block', () => {
+    const target = document.createElement('div');
+    renderVerse(target, GAYATRI, { scheme: 'iast', mode: 'vedic', app: 'https://example.org/chandas/' });
+    const link = target.querySelector('.report .description a');
+    expect(Object.fromEntries(new URL(link.href).searchParams)).toEqual({ verse: GAYATRI, scheme: 'iast', mode: 'vedic' });
+    expect(renderVerse(target, GAYATRI).identification).toBeDefined();
+    expect(target.querySelector('a')).toBeNull();
+  });
+});
+
+describe('<chandas-scan>', () => {
+  it('is defined once on load', () => {
+    expect(customElements.get('chandas-scan')).toBeDefined();
+    expect(() => defineChandasScan()).not.toThrow();
+  });
+
+  it('renders its text into its shadow root and reports the analysis', () => {
+    const scanner = document.createElement('chandas-scan');
+    scanner.textContent = `\n  ${INDRAVAJRA.replace(/\n/g, '\n  ')}\n`;
+    let detail = null;
+    scanner.addEventListener('chandas-analysed', (event) => { detail = event.detail; });
+    document.body.append(scanner);
+    expect(detail.identification.meter.id).toBe('indravajra');
+    expect(scanner.shadowRoot.querySelectorAll('.pada')).toHaveLength(4);
+  });
+
+  it('prefers the verse attribute and re-renders when an attribute changes', () => {
+    const scanner = element({ verse: GAYATRI, scheme: 'iast' }, 'not the verse');
+    expect(scanner.shadowRoot.querySelector('.meter').textContent).not.toContain('गायत्री');
+    scanner.setAttribute('mode', 'vedic');
+    expect(scanner.shadowRoot.querySelector('.meter').textContent).toContain('गायत्री');
+  });
+
+  it('shows the verse in the display script', () => {
+    const scanner = element({ display: 'iast' }, INDRAVAJRA);
+    expect(scanner.shadowRoot.querySelector('.pada-text').textContent).toBe('goṣṭhe giriṃ savyakareṇa dhṛtvā');
+  });
+
+  it('falls back to auto-detection and Devanagari for unknown schemes', () => {
+    const scanner = element({ scheme: 'klingon', display: 'klingon', app: 'https://example.org/' }, INDRAVAJRA);
+    expect(scanner.shadowRoot.querySelector('.pada-text').textContent).toBe('गोष्ठे गिरिं सव्यकरेण धृत्वा');
+    expect(new URL(scanner.shadowRoot.querySelector('a').href).searchParams.has('scheme')).toBe(false);
+  });
+
+  it('renders text added after it is connected', async () => {
+    const scanner = element();
+    expect(scanner.shadowRoot.innerHTML).toBe('');
+    scanner.append(INDRAVAJRA);
+    await Promise.resolve();
+    expect(scanner.shadowRoot.querySelectorAll('.pada')).toHaveLength(4);
+
+    scanner.remove();
+    scanner.textContent = GAYATRI;
+    await Promise.resolve();
+    expect(scanner.shadowRoot.querySelectorAll('.pada')).toHaveLength(4);
+  });
+});
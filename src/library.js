@@ -0,0 +1,185 @@
+// Verse library: analyses and their chat conversations, saved in IndexedDB.
+
+/**
+ * @typedef {object} LibraryEntry
+ * @property {string} id
+ * @property {string} title
+ * @property {string[]} tags
+ * @property {string} verse The verse as entered.
+ * @property {string} meter Name of the identified meter, or the identification label.
+ * @property {object[]} messages The chat messages of the analysis, with their scansions.
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+const DB_NAME = 'chandas-identifier';
+const STORE = 'library';
+const FILE_FORMAT = 'chandas-library';
+
+let database = null;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request
+ */
+const promised = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function open() {
+  if (!database) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    database = promised(request);
+  }
+  return database;
+}
+
+/**
+ * @param {IDBTransactionMode} mode
+ * @returns {Promise<IDBObjectStore>}
+ */
+async function store(mode) {
+  const db = await open();
+  return db.transaction(STORE, mode).objectStore(STORE);
+}
+
+/**
+ * Creates an entry for a new analysis; it is not saved until `saveEntry`.
+ * @param {string} verse
+ * @returns {LibraryEntry}
+ */
+export function createEntry(verse) {
+  const now = Date.now();
+  const firstLine = verse.trim().split('\n')[0] || 'Untitled verse';
+  return {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    title: firstLine.length > 60 ? `${firstLine.slice(0, 60)}…` : firstLine,
+    tags: [],
+    verse,
+    meter: '',
+    messages: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Lists all entries, most recently updated first.
+ * @returns {Promise<LibraryEntry[]>}
+ */
+export async function listEntries() {
+  const entries = await promised((await store('readonly')).getAll());
+  return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Saves (adds or replaces) an entry.
+ * @param {LibraryEntry} entry
+ * @returns {Promise<LibraryEntry>}
+ */
+export async function saveEntry(entry) {
+  const saved = { ...entry, updatedAt: Date.now() };
+  await promised((await store('readwrite')).put(saved));
+  return saved;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteEntry(id) {
+  await promised((await store('readwrite')).delete(id));
+}
+
+/**
+ * Whether an entry matches a search: every word must occur in its title,
+ * verse, meter or tags.
+ * @param {LibraryEntry} entry
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesSearch(entry, query) {
+  const haystack = [entry.title, entry.verse, entry.meter, ...entry.tags].join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+/**
+ * Serialises the whole library for sharing.
+ * @returns {Promise<string>}
+ */
+export async function exportLibrary() {
+  return JSON.stringify({ format: FILE_FORMAT, version: 1, entries: await listEntries() }, null, 2);
+}
+
+/**
+ * Whether a message's analysis can be shown: a scansion whose padas have
+ * their syllables and gaṇas, and an identification with its label, padas and
+ * candidates.
+ * @param {object} message
+ * @returns {boolean}
+ */
+function hasValidAnalysis({ scansion, identification }) {
+  return Array.isArray(scansion?.padas)
+    && scansion.padas.length > 0
+    && scansion.padas.every(pada => typeof pada?.pattern === 'string' && Array.isArray(pada.syllables) && Array.isArray(pada.ganas))
+    && typeof identification?.label === 'string'
+    && Array.isArray(identification.padas)
+    && Array.isArray(identification.candidates);
+}
+
+/**
+ * Checks a message of an imported entry. A message whose analysis is broken
+ * keeps its text and loses the analysis.
+ * @param {unknown} message
+ * @returns {object}
+ */
+function importedMessage(message) {
+  if (!message || typeof message !== 'object' || !['user', 'bot'].includes(message.role) || typeof message.content !== 'string') {
+    throw new Error('Library file contains an invalid message.');
+  }
+  if (!('scansion' in message || 'identification' in message) || hasValidAnalysis(message)) return message;
+  const { scansion: _scansion, identification: _identification, selectedCandidate: _selectedCandidate, ...text } = message;
+  return text;
+}
+
+/**
+ * Reads the entries of an exported library file, checking their shape.
+ * @param {string} text
+ * @returns {LibraryEntry[]}
+ */
+export function parseLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Library file is not valid JSON: ${error.message}`);
+  }
+  if (data?.format !== FILE_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error('Not a Chandas Identifier library file.');
+  }
+  return data.entries.map((entry) => {
+    if (typeof entry?.id !== 'string' || !Array.isArray(entry.messages)) {
+      throw new Error('Library file contains an invalid entry.');
+    }
+    return { ...entry, tags: Array.isArray(entry.tags) ? entry.tags : [], messages: entry.messages.map(importedMessage) };
+  });
+}
+
+/**
+ * Adds the entries of an exported library; entries with the same id are replaced.
+ * @param {string} text
+ * @returns {Promise<number>} Number of entries imported.
+ */
+export async function importLibrary(text) {
+  const entries = parseLibrary(text);
+  const objects = await store('readwrite');
+  await Promise.all(entries.map(entry => promised(objects.put(entry))));
+  return entries.length;
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+import { createEntry, importLibrary, matchesSearch, parseLibrary } from './library.js';
+import { identify } from './prosody/identify.js';
+import { scan } from './prosody/scan.js';
+
+const VERSE = 'धर्मक्षेत्रे कुरुक्षेत्रे\nसमवेता युयुत्सवः\nमामकाः पाण्डवाश्चैव\nकिमकुर्वत सञ्जय';
+
+const analysed = () => {
+  const scansion = scan(VERSE);
+  return [{ role: 'user', content: VERSE }, { role: 'bot', content: '', scansion, identification: identify(scansion) }];
+};
+
+const fileOf = (entries) => JSON.stringify({ format: 'chandas-library', version: 1, entries });
+
+describe('createEntry', () => {
+  it('titles an entry after the first line of its verse', () => {
+    const entry = createEntry(VERSE);
+    expect(entry).toMatchObject({ title: 'धर्मक्षेत्रे कुरुक्षेत्रे', tags: [], verse: VERSE, meter: '', messages: [] });
+    expect(entry.createdAt).toBe(entry.updatedAt);
+    expect(createEntry('  ').title).toBe('Untitled verse');
+    expect(createEntry('क'.repeat(70)).title).toBe(`${'क'.repeat(60)}…`);
+  });
+});
+
+describe('matchesSearch', () => {
+  const entry = { ...createEntry(VERSE), meter: 'Anuṣṭubh', tags: ['Gītā', 'chapter 1'] };
+
+  it('needs every word somewhere in the title, verse, meter or tags', () => {
+    expect(matchesSearch(entry, 'anuṣṭubh gītā')).toBe(true);
+    expect(matchesSearch(entry, 'सञ्जय   CHAPTER')).toBe(true);
+    expect(matchesSearch(entry, 'anuṣṭubh rāmāyaṇa')).toBe(false);
+    expect(matchesSearch(entry, '')).toBe(true);
+  });
+});
+
+describe('parseLibrary', () => {
+  it('reads the entries of an exported library', () => {
+    const messages = analysed();
+    const [entry] = parseLibrary(fileOf([{ ...createEntry(VERSE), id: 'a', messages }]));
+    expect(entry.id).toBe('a');
+    expect(entry.messages).toEqual(JSON.parse(JSON.stringify(messages)));
+  });
+
+  it('drops analyses that cannot be shown and keeps their text', () => {
+    const [user, bot] = analysed();
+    const broken = [
+      { ...bot, scansion: { padas: 'none' } },
+      { ...bot, scansion: { ...bot.scansion, padas: [{ pattern: 'GL' }] } },
+      { ...bot, identification: { label: 'Anuṣṭubh' }, selectedCandidate: 0 },
+    ];
+    const [entry] = parseLibrary(fileOf([{ id: 'b', tags: 'gita', messages: [user, ...broken] }]));
+    expect(entry.tags).toEqual([]);
+    expect(entry.messages).toEqual([user, { role: 'bot', content: '' }, { role: 'bot', content: '' }, { role: 'bot', content: '' }]);
+  });
+
+  it('rejects files that are not libraries', () => {
+    expect(() => parseLibrary('{')).toThrow('Library file is not valid JSON');
+    expect(() => parseLibrary(JSON.stringify({ entries: [] }))).toThrow('Not a Chandas Identifier library file.');
+    expect(() => parseLibrary(fileOf([{ id: 1, messages: [] }]))).toThrow('Library file contains an invalid entry.');
+    expect(() => parseLibrary(fileOf([{ id: 'c', messages: [{ role: 'system', content: '' }] }]))).toThrow('Library file contains an invalid message.');
+    expect(() => parseLibrary(fileOf([{ id: 'c', messages: [null] }]))).toThrow('Library file contains an invalid message.');
+  });
+
+  it('is checked before anything is stored', async () => {
+    await expect(importLibrary(fileOf([{ id: 'd' }]))).rejects.toThrow('Library file contains an invalid entry.');
+  });
+});
@@ -0,0 +1,176 @@
+// Language-model backends for the teacher chat. A provider turns chat messages
+// into a reply; without one, the rule-based tutor answers.
+import { answerQuestion, describeMeter, toRecords } from './prosody/index.js';
+
+/**
+ * @typedef {object} ChatTurn
+ * @property {'system' | 'user' | 'assistant'} role
+ * @property {string} content
+ */
+
+/**
+ * @typedef {object} ProviderSettings
+ * @property {string} provider Id of the provider; 'rules' for the rule-based tutor only.
+ * @property {string} baseUrl Base URL of the API, e.g. 'http://localhost:11434/v1'.
+ * @property {string} model
+ * @property {string} apiKey Sent as a bearer token when set.
+ * @property {number} temperature
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} id
+ * @property {string} label
+ * @property {(turns: ChatTurn[], settings: ProviderSettings, options?: { signal?: AbortSignal }) => Promise<string>} complete
+ */
+
+/**
+ * @typedef {object} TutorReply
+ * @property {string} text
+ * @property {'rules' | 'model'} source Who answered.
+ * @property {string} [model] The model that answered.
+ * @property {string} [error] Why the model could not answer, when the rules stood in.
+ */
+
+const SETTINGS_KEY = 'chandas-llm-settings';
+const TIMEOUT = 60000;
+// Earlier chat turns sent along with a question.
+const HISTORY_TURNS = 6;
+
+/** @type {ProviderSettings} */
+export const DEFAULT_SETTINGS = {
+  provider: 'rules',
+  baseUrl: 'http://localhost:11434/v1',
+  model: 'llama3.1',
+  apiKey: '',
+  temperature: 0.2,
+};
+
+/**
+ * Any server speaking the OpenAI chat completions API: llama.cpp, Ollama,
+ * vLLM, LM Studio or a hosted service.
+ * @type {Provider}
+ */
+const openAICompatible = {
+  id: 'openai',
+  label: 'OpenAI-compatible endpoint',
+  async complete(turns, settings, { signal } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+    const response = await fetch(`${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: settings.model, messages: turns, temperature: Number(settings.temperature) }),
+      signal: signal ?? AbortSignal.timeout(TIMEOUT),
+    });
+    if (!response.ok) {
+      throw new Error(`${settings.baseUrl} answered ${response.status} ${response.statusText}`.trim());
+    }
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || !content.trim()) throw new Error('The model returned an empty reply.');
+    return content.trim();
+  },
+};
+
+/** The available providers, by id. Add an entry here to support another API. */
+export const PROVIDERS = {
+  [openAICompatible.id]: openAICompatible,
+};
+
+/**
+ * Reads the saved settings.
+ * @returns {ProviderSettings}
+ */
+export function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * @param {ProviderSettings} settings
+ */
+export function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * The meter as the catalogue defines it, without compiled fields the model does not need.
+ * @param {import('./prosody/meters.js').Meter} meter
+ */
+function meterDefinition(meter) {
+  const { id, deva, iast, kind, ganas, patterns, syllables, padaSyllables, odd, even, padas, components, yati, lakshana } = meter;
+  return { id, deva, iast, kind, ganas, patterns, syllables, padaSyllables, odd, even, padas, components, yati, lakshana, description: describeMeter(meter) };
+}
+
+/**
+ * Builds the chat turns sent to the model: instructions, the verse with its
+ * structured scansion and meter definition, the rule-based answer as a reference,
+ * the recent conversation and the question.
+ * @param {string} question
+ * @param {{ scansion?: object, identification?: object, meters?: object[], history?: ChatTurn[] }} context
+ * @returns {ChatTurn[]}
+ */
+export function buildPrompt(question, { scansion = null, identification = null, meters, history = [] } = {}) {
+  const lines = [
+    'You are a teacher of Sanskrit prosody (chandaḥśāstra). Answer the student\'s question about the verse below.',
+    'Base every statement about syllable weights, gaṇas and the meter on the analysis given; do not rescan the verse yourself.',
+    'L is Laghu (light), G is Guru (heavy). Be concise and explain the rules you cite.',
+  ];
+  if (scansion && identification) {
+    const [record] = toRecords([{ scansion, identification }]);
+    lines.push(
+      '',
+      `Verse:\n${scansion.padas.map(p => p.text).join('\n')}`,
+      '',
+      `Scansion and identification (JSON):\n${JSON.stringify(record)}`,
+    );
+    if (identification.meter) {
+      lines.push('', `Meter definition (JSON):\n${JSON.stringify(meterDefinition(identification.meter))}`);
+    }
+  } else {
+    lines.push('', 'No verse has been analysed yet.');
+  }
+  const reference = answerQuestion(question, { scansion, identification, meters }).text;
+  lines.push('', `Rule-based answer, for reference:\n${reference}`);
+
+  return [
+    { role: 'system', content: lines.join('\n') },
+    ...history.slice(-HISTORY_TURNS),
+    { role: 'user', content: question },
+  ];
+}
+
+/**
+ * Answers a chat question with the configured provider, or with the rule-based
+ * tutor when none is configured or the provider fails.
+ * @param {string} question
+ * @param {Parameters<typeof buildPrompt>[1]} context
+ * @param {ProviderSettings} settings
+ * @returns {Promise<TutorReply>}
+ */
+export async function askTutor(question, context, settings) {
+  const rules = () => answerQuestion(question, context).text;
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) return { text: rules(), source: 'rules' };
+  try {
+    const text = await provider.complete(buildPrompt(question, context), settings);
+    return { text, source: 'model', model: settings.model };
+  } catch (error) {
+    return { text: rules(), source: 'rules', error: error.message };
+  }
+}
+
+/**
+ * Sends a short request to check that a provider answers.
+ * @param {ProviderSettings} settings
+ * @returns {Promise<string>} The model's reply.
+ */
+export async function testProvider(settings) {
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) throw new Error('No model provider is selected.');
+  return provider.complete([{ role: 'user', content: 'Reply with the single word OK.' }], settings);
+}
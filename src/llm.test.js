@@ -0,0 +1,86 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { askTutor, buildPrompt, DEFAULT_SETTINGS } from './llm.js';
+import { findMeter } from './prosody/meters.js';
+import { identify } from './prosody/identify.js';
+import { scan } from './prosody/scan.js';
+
+const MOCK = fileURLToPath(new URL('../scripts/mock-llm.js', import.meta.url));
+
+/**
+ * Starts the mock server on a free port and resolves with it and its base URL.
+ * @param {string[]} args
+ */
+function startMock(args = []) {
+  const child = spawn(process.execPath, [MOCK, '--port', '0', ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.stdout.setEncoding('utf8');
+    child.stdout.once('data', (line) => {
+      const baseUrl = line.match(/(http:\/\/\S+\/v1)/)?.[1];
+      if (baseUrl) resolve({ child, baseUrl });
+      else reject(new Error(`Unexpected output from the mock server: ${line}`));
+    });
+  });
+}
+
+const scansion = scan(findMeter('indravajra').example);
+const context = { scansion, identification: identify(scansion) };
+
+describe('buildPrompt', () => {
+  it('sends the scansion, the meter and the rule-based answer ahead of the question', () => {
+    const history = Array.from({ length: 8 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `turn ${i}` }));
+    const turns = buildPrompt('where is the yati?', { ...context, history });
+    expect(turns).toHaveLength(8);
+    expect(turns[0].role).toBe('system');
+    expect(turns[0].content).toContain('Verse:\nगोष्ठे गिरिं सव्यकरेण धृत्वा');
+    expect(turns[0].content).toContain('"iast":"Indravajrā"');
+    expect(turns[0].content).toContain('Rule-based answer, for reference:\nIndravajrā has its caesurae');
+    expect(turns.slice(1, -1).map(t => t.content)).toEqual(['turn 2', 'turn 3', 'turn 4', 'turn 5', 'turn 6', 'turn 7']);
+    expect(turns.at(-1)).toEqual({ role: 'user', content: 'where is the yati?' });
+  });
+
+  it('says when no verse has been analysed', () => {
+    expect(buildPrompt('what is a guru?')[0].content).toContain('No verse has been analysed yet.');
+  });
+});
+
+describe('askTutor', () => {
+  it('answers with the rules when no model is configured', async () => {
+    const reply = await askTutor('where is the yati?', context, DEFAULT_SETTINGS);
+    expect(reply).toEqual({ text: expect.stringMatching(/^Indravajrā has its caesurae/), source: 'rules' });
+  });
+
+  describe('with a model that answers', () => {
+    let mock;
+    beforeAll(async () => {
+      mock = await startMock();
+    });
+    afterAll(() => mock?.child.kill());
+
+    it('returns the model reply', async () => {
+      const reply = await askTutor('where is the yati?', context, { ...DEFAULT_SETTINGS, provider: 'openai', baseUrl: mock.baseUrl, model: 'mock' });
+      expect(reply).toEqual({
+        text: '[mock mock] You asked: "where is the yati?". The verse is in Indravajrā.',
+        source: 'model',
+        model: 'mock',
+      });
+    });
+  });
+
+  describe('with a model that fails', () => {
+    let mock;
+    beforeAll(async () => {
+      mock = await startMock(['--fail']);
+    });
+    afterAll(() => mock?.child.kill());
+
+    it('falls back to the rules and says why', async () => {
+      const reply = await askTutor('where is the yati?', context, { ...DEFAULT_SETTINGS, provider: 'openai', baseUrl: mock.baseUrl, model: 'mock' });
+      expect(reply.source).toBe('rules');
+      expect(reply.text).toMatch(/^Indravajrā has its caesurae/);
+      expect(reply.error).toBe(`${mock.baseUrl} answered 500 Internal Server Error`);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Rule-based checks for the Anuṣṭubh (śloka) meter.
+ *
+ * A śloka has four padas of eight syllables. Only syllables 2-7 are regulated:
+ * - in every pada, syllables 2 and 3 may not both be Laghu;
+ * - even padas end in ja-gaṇa (L G L) at syllables 5-7, and syllables 2-4 may not form ra-gaṇa (G L G);
+ * - odd padas end in ya-gaṇa (L G G) at syllables 5-7 (pathyā), or in one of the vipulā variants,
+ *   which need a Guru at syllable 4.
+ */
+
+/**
+ * @typedef {'pathya' | 'na-vipula' | 'bha-vipula' | 'ma-vipula' | 'ra-vipula'} AnushtubhForm
+ */
+
+/**
+ * @typedef {object} Violation
+ * @property {number} pada 1-based pada number.
+ * @property {number} position 1-based syllable position within the pada.
+ * @property {string} expected 'L' or 'G'.
+ * @property {string} actual 'L' or 'G'.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} AnushtubhPada
+ * @property {number} pada 1-based pada number.
+ * @property {'odd' | 'even'} parity
+ * @property {AnushtubhForm | null} form The odd-pada form, or null for even padas and unrecognised odd padas.
+ * @property {Violation[]} violations
+ */
+
+/**
+ * @typedef {object} AnushtubhReport
+ * @property {boolean} valid
+ * @property {AnushtubhPada[]} padas
+ * @property {Violation[]} violations All violations, in pada order.
+ * @property {string} label Short description of the result.
+ */
+
+/** Display names of the odd-pada forms. */
+export const ANUSHTUBH_FORMS = {
+  'pathya': 'pathyā',
+  'na-vipula': 'na-vipulā',
+  'bha-vipula': 'bha-vipulā',
+  'ma-vipula': 'ma-vipulā',
+  'ra-vipula': 'ra-vipulā',
+};
+
+// Odd-pada variants: syllables 5-7, and the syllables 2-4 each one requires ('x' = either).
+// Every vipulā needs a Guru before it; which openings are preferred varies by author
+// (Rāmāyaṇa 1.1.1 has a na-vipulā after G G G, Gītā 4.24 a bha-vipulā after G L G).
+const ODD_FORMS = [
+  { form: 'pathya', cadence: 'LGG', opening: 'xxx' },
+  { form: 'na-vipula', cadence: 'LLL', opening: 'xxG' },
+  { form: 'bha-vipula', cadence: 'GLL', opening: 'xxG' },
+  { form: 'ma-vipula', cadence: 'GGG', opening: 'xxG' },
+  { form: 'ra-vipula', cadence: 'GLG', opening: 'xxG' },
+];
+
+/**
+ * Compares part of a pada against a template and reports each mismatch.
+ * @param {string} pattern The pada pattern.
+ * @param {number} from 0-based start index.
+ * @param {string} template Expected weights; 'x' matches anything.
+ * @param {number} pada 1-based pada number.
+ * @param {string} rule Description of the rule being checked.
+ * @returns {Violation[]}
+ */
+function mismatches(pattern, from, template, pada, rule) {
+  const violations = [];
+  for (let i = 0; i < template.length; i++) {
+    const expected = template[i];
+    const actual = pattern[from + i];
+    if (expected !== 'x' && actual !== expected) {
+      violations.push({
+        pada,
+        position: from + i + 1,
+        expected,
+        actual,
+        message: `Pada ${pada}, syllable ${from + i + 1}: expected ${expected}, got ${actual} (${rule}).`,
+      });
+    }
+  }
+  return violations;
+}
+
+/**
+ * @param {string} pattern
+ * @param {number} pada
+ * @returns {AnushtubhPada}
+ */
+function checkPada(pattern, pada) {
+  const parity = pada % 2 === 1 ? 'odd' : 'even';
+
+  if (pattern.length !== 8) {
+    return {
+      pada,
+      parity,
+      form: null,
+      violations: [{
+        pada,
+        position: pattern.length,
+        expected: '',
+        actual: '',
+        message: `Pada ${pada} has ${pattern.length} syllables; Anuṣṭubh needs 8.`,
+      }],
+    };
+  }
+
+  const violations = [];
+  if (pattern[1] === 'L' && pattern[2] === 'L') {
+    violations.push({
+      pada,
+      position: 3,
+      expected: 'G',
+      actual: 'L',
+      message: `Pada ${pada}, syllables 2-3: both Laghu, which no pada allows.`,
+    });
+  }
+
+  if (parity === 'even') {
+    violations.push(...mismatches(pattern, 4, 'LGL', pada, 'even padas end in ja-gaṇa at syllables 5-7'));
+    if (pattern.slice(1, 4) === 'GLG') {
+      violations.push({
+        pada,
+        position: 4,
+        expected: 'L',
+        actual: 'G',
+        message: `Pada ${pada}, syllables 2-4: ra-gaṇa (G L G) is not allowed in an even pada.`,
+      });
+    }
+    return { pada, parity, form: null, violations };
+  }
+
+  const cadence = pattern.slice(4, 7);
+  const variant = ODD_FORMS.find(f => f.cadence === cadence);
+  if (!variant) {
+    violations.push(...mismatches(pattern, 4, 'LGG', pada, 'odd padas need ya-gaṇa at syllables 5-7, or a vipulā'));
+    return { pada, parity, form: null, violations };
+  }
+  violations.push(...mismatches(pattern, 1, variant.opening, pada, `${ANUSHTUBH_FORMS[variant.form]} needs ${variant.opening.replace(/x/g, '·')} at syllables 2-4`));
+  return { pada, parity, form: variant.form, violations };
+}
+
+/**
+ * The weights an Anuṣṭubh pada needs, as eight slots ('x' = either), for a
+ * pada being written. Odd padas follow the vipulā their syllables 5-7 already
+ * form, or pathyā; syllables 2 and 3 may not both be Laghu, so once one of them
+ * is Laghu the other must be Guru.
+ * @param {string} pattern The pada so far.
+ * @param {number} pada 1-based pada number.
+ * @returns {{ template: string, form: AnushtubhForm | null }}
+ */
+export function anushtubhTemplate(pattern, pada) {
+  let template;
+  let form = null;
+  if (pada % 2 === 0) {
+    template = 'xxxxLGLx';
+  } else {
+    const variant = ODD_FORMS.find(f => f.form !== 'pathya' && f.cadence === pattern.slice(4, 7)) ?? ODD_FORMS[0];
+    template = `x${variant.opening}${variant.cadence}x`;
+    form = variant.form;
+  }
+  const slots = [...template];
+  if (pattern[1] === 'L' && slots[2] === 'x') slots[2] = 'G';
+  else if (pattern[2] === 'L' && slots[1] === 'x') slots[1] = 'G';
+  return { template: slots.join(''), form };
+}
+
+/**
+ * Checks a list of pada patterns against the rules of Anuṣṭubh.
+ * @param {string[]} patterns One compact Laghu-Guru pattern per pada.
+ * @returns {AnushtubhReport}
+ */
+export function checkAnushtubh(patterns) {
+  const padas = patterns.map((pattern, index) => checkPada(pattern, index + 1));
+  const violations = padas.flatMap(p => p.violations);
+  const valid = patterns.length > 0 && violations.length === 0;
+
+  let label;
+  if (valid) {
+    const vipulas = padas.filter(p => p.form && p.form !== 'pathya');
+    label = vipulas.length === 0
+      ? 'pathyā'
+      : vipulas.map(p => `${ANUSHTUBH_FORMS[p.form]} in pada ${p.pada}`).join(', ');
+  } else {
+    label = violations[0]?.message || 'No padas to check.';
+  }
+
+  return { valid, padas, violations, label };
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { anushtubhTemplate, checkAnushtubh } from './anushtubh.js';
+
+describe('checkAnushtubh', () => {
+  it('accepts a pathyā śloka', () => {
+    const report = checkAnushtubh(['GGGGLGGG', 'LLGGLGLG', 'GLGGLGGL', 'LLGLLGLL']);
+    expect(report.valid).toBe(true);
+    expect(report.label).toBe('pathyā');
+  });
+
+  it('names each vipulā', () => {
+    const report = checkAnushtubh(['GGGGLLLG', 'LGGGLGLG', 'GLGGGLLG', 'LGGGLGLG']);
+    expect(report.valid).toBe(true);
+    expect(report.padas.map(p => p.form)).toEqual(['na-vipula', null, 'bha-vipula', null]);
+    expect(report.label).toBe('na-vipulā in pada 1, bha-vipulā in pada 3');
+  });
+
+  it('needs a Guru at syllable 4 before a vipulā', () => {
+    const report = checkAnushtubh(['GGGLGGGG', 'LGGGLGLG']);
+    expect(report.valid).toBe(false);
+    expect(report.violations).toMatchObject([{ pada: 1, position: 4, expected: 'G', actual: 'L' }]);
+  });
+
+  it('names the pada and syllable that break a rule', () => {
+    const report = checkAnushtubh(['GGGGLGGG', 'GGGGLGGG']);
+    expect(report.violations.map(v => [v.pada, v.position])).toEqual([[2, 7]]);
+    expect(report.label).toBe('Pada 2, syllable 7: expected L, got G (even padas end in ja-gaṇa at syllables 5-7).');
+  });
+
+  it('rejects Laghu at both syllables 2 and 3, and ra-gaṇa at 2-4 of an even pada', () => {
+    const report = checkAnushtubh(['GLLGLGGG', 'GGLGLGLG']);
+    expect(report.violations.map(v => [v.pada, v.position])).toEqual([[1, 3], [2, 4]]);
+  });
+
+  it('reports a pada of the wrong length', () => {
+    expect(checkAnushtubh(['GGGGLGG']).label).toBe('Pada 1 has 7 syllables; Anuṣṭubh needs 8.');
+  });
+});
+
+describe('anushtubhTemplate', () => {
+  it('gives the slots of the form an odd pada is taking', () => {
+    expect(anushtubhTemplate('GGGG', 1)).toEqual({ template: 'xxxxLGGx', form: 'pathya' });
+    expect(anushtubhTemplate('GGGGGLL', 1)).toEqual({ template: 'xxxGGLLx', form: 'bha-vipula' });
+    expect(anushtubhTemplate('GL', 2)).toEqual({ template: 'xxGxLGLx', form: null });
+  });
+});
@@ -0,0 +1,154 @@
+import { scan } from './scan.js';
+import { identify } from './identify.js';
+import { detectScheme } from './transliterate.js';
+import { METERS } from './meters.js';
+import { needsSegmentation, segmentVerse } from './segment.js';
+
+/**
+ * Batch analysis of whole texts: a canto or chapter is split into verses, each
+ * verse is scanned and identified, and the results are summarised.
+ */
+
+/**
+ * @typedef {import('./meters.js').Meter} Meter
+ * @typedef {import('./scan.js').Scansion} Scansion
+ * @typedef {import('./identify.js').Identification} Identification
+ */
+
+/**
+ * @typedef {object} VerseText
+ * @property {string} number The verse number written after ॥, or the running count when there is none.
+ * @property {string} text The verse line by line, without the closing daṇḍas and number.
+ * @property {number} start Offset of the verse in the text.
+ * @property {number} end Offset just past the verse (and its number) in the text.
+ */
+
+/**
+ * A verse with its scansion. Verses written as half-verse lines ("pada pada ।")
+ * have `text` cut into padas, one per line.
+ * @typedef {VerseText & { index: number, scansion: Scansion, identification: Identification }} AnalysedVerse
+ */
+
+/**
+ * @typedef {object} MeterCount
+ * @property {Meter} meter
+ * @property {number} count
+ * @property {number[]} verses Indexes into `verses`.
+ */
+
+/**
+ * @typedef {object} MeterChange
+ * @property {number} index Index of the verse where the new meter starts.
+ * @property {Meter} from
+ * @property {Meter} to
+ */
+
+/**
+ * @typedef {object} TextAnalysis
+ * @property {import('./transliterate.js').Scheme} scheme
+ * @property {AnalysedVerse[]} verses
+ * @property {MeterCount[]} meters Verses per meter, most frequent first.
+ * @property {MeterChange[]} changes Where the meter differs from the previous identified verse.
+ * @property {number[]} failures Indexes of the verses no meter was found for.
+ */
+
+// "॥ १२ ॥", "॥१२॥", "॥ १-१ ॥", "|| 12 ||" or a lone "॥" closes a verse.
+const VERSE_END = /(?:॥|\|\|)\s*([०-९0-9][०-९0-9.-]*)?\s*(?:॥|\|\|)?/g;
+
+// Speaker lines such as "सञ्जय उवाच" stand outside the verse.
+const SPEAKER = /(?:उवाच|uvāca|uvAca|uvaca)\s*[।|]?$/i;
+
+const DIGITS = '०१२३४५६७८९';
+const toArabic = (number) => number.replace(/[०-९]/g, d => String(DIGITS.indexOf(d)));
+
+/**
+ * Splits a text into verses. Verses end with a double daṇḍa (॥ or ||), usually
+ * followed by the verse number; a text without double daṇḍas is split at blank lines.
+ * Speaker lines ("सञ्जय उवाच") are left out.
+ * @param {string} text
+ * @returns {VerseText[]}
+ */
+export function splitVerses(text) {
+  const verses = [];
+  const push = (raw, start, end, number) => {
+    const lines = raw.split('\n').map(line => line.trim()).filter(line => line && !SPEAKER.test(line));
+    if (lines.length === 0) return;
+    verses.push({ number: number || String(verses.length + 1), text: lines.join('\n'), start, end });
+  };
+
+  VERSE_END.lastIndex = 0;
+  if (!VERSE_END.test(text)) {
+    const blocks = /\n\s*\n/g;
+    let start = 0;
+    let match;
+    while ((match = blocks.exec(text)) !== null) {
+      push(text.slice(start, match.index), start, match.index);
+      start = match.index + match[0].length;
+    }
+    push(text.slice(start), start, text.length);
+    return verses;
+  }
+
+  VERSE_END.lastIndex = 0;
+  let start = 0;
+  let match;
+  while ((match = VERSE_END.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    push(text.slice(start, match.index), start, end, match[1] && toArabic(match[1]));
+    start = end;
+  }
+  push(text.slice(start), start, text.length);
+  return verses;
+}
+
+/**
+ * Scans and identifies every verse of a text and summarises the meters used.
+ * @param {string} text
+ * @param {{ scheme?: import('./transliterate.js').Scheme | 'auto', anceps?: boolean, meters?: Meter[], mode?: 'classical' | 'vedic' }} [options]
+ *   Options for `scan()` and `identify()`; the scheme is detected once for the whole text.
+ * @returns {TextAnalysis}
+ */
+export function analyzeText(text, { scheme = 'auto', anceps = true, meters = METERS, mode = 'classical' } = {}) {
+  const textScheme = scheme === 'auto' ? detectScheme(text) : scheme;
+  // Most editions print a verse as two half-verse lines; cut them into padas
+  // first, keeping the verse as written when no split can be made.
+  const padasOf = (verseText) => {
+    if (!needsSegmentation(verseText)) return verseText;
+    try {
+      return segmentVerse(verseText, { scheme: textScheme, anceps, meters, mode }, 1)[0]?.text ?? verseText;
+    } catch {
+      return verseText;
+    }
+  };
+  const verses = splitVerses(text).map((verse, index) => {
+    const verseText = padasOf(verse.text);
+    const scansion = scan(verseText, { scheme: textScheme, anceps });
+    return { ...verse, text: verseText, index, scansion, identification: identify(scansion, meters, { mode }) };
+  });
+
+  const counts = new Map();
+  const changes = [];
+  const failures = [];
+  let previous = null;
+  for (const verse of verses) {
+    const { meter, status } = verse.identification;
+    if (status !== 'match') {
+      failures.push(verse.index);
+      continue;
+    }
+    if (!counts.has(meter.id)) counts.set(meter.id, { meter, count: 0, verses: [] });
+    const entry = counts.get(meter.id);
+    entry.count++;
+    entry.verses.push(verse.index);
+    if (previous && previous.id !== meter.id) changes.push({ index: verse.index, from: previous, to: meter });
+    previous = meter;
+  }
+
+  return {
+    scheme: textScheme,
+    verses,
+    meters: Array.from(counts.values()).sort((a, b) => b.count - a.count),
+    changes,
+    failures,
+  };
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeText, splitVerses } from './batch.js';
+import { findMeter } from './meters.js';
+
+const GITA = `धृतराष्ट्र उवाच ।
+धर्मक्षेत्रे कुरुक्षेत्रे समवेता युयुत्सवः ।
+मामकाः पाण्डवाश्चैव किमकुर्वत सञ्जय ॥ १-१ ॥
+सञ्जय उवाच ।
+दृष्ट्वा तु पाण्डवानीकं व्यूढं दुर्योधनस्तदा ।
+आचार्यमुपसङ्गम्य राजा वचनमब्रवीत् ॥ १-२ ॥`;
+
+describe('splitVerses', () => {
+  it('splits at double daṇḍas, keeps hyphenated numbers and drops speaker lines', () => {
+    expect(splitVerses(GITA).map(v => [v.number, v.text])).toEqual([
+      ['1-1', 'धर्मक्षेत्रे कुरुक्षेत्रे समवेता युयुत्सवः ।\nमामकाः पाण्डवाश्चैव किमकुर्वत सञ्जय'],
+      ['1-2', 'दृष्ट्वा तु पाण्डवानीकं व्यूढं दुर्योधनस्तदा ।\nआचार्यमुपसङ्गम्य राजा वचनमब्रवीत्'],
+    ]);
+  });
+
+  it('reads romanized double daṇḍas and numbers the verses without one', () => {
+    const verses = splitVerses('a b || 12 ||\nc d ||\ne f');
+    expect(verses.map(v => v.number)).toEqual(['12', '2', '3']);
+    expect(verses[0]).toMatchObject({ text: 'a b', start: 0, end: 12 });
+  });
+
+  it('splits at blank lines when there are no double daṇḍas', () => {
+    expect(splitVerses('a\nb\n\n\nc\nd\n').map(v => v.text)).toEqual(['a\nb', 'c\nd']);
+  });
+});
+
+describe('analyzeText', () => {
+  it('cuts half-verse lines into padas before identifying them', () => {
+    const { verses, meters, failures } = analyzeText(GITA);
+    expect(verses.map(v => v.identification.label)).toEqual(['अनुष्टुप् (Anuṣṭubh): pathyā', 'अनुष्टुप् (Anuṣṭubh): pathyā']);
+    expect(verses[0].text.split('\n')).toEqual(['धर्मक्षेत्रे कुरुक्षेत्रे', 'समवेता युयुत्सवः ।', 'मामकाः पाण्डवाश्चैव', 'किमकुर्वत सञ्जय']);
+    expect(meters).toEqual([{ meter: findMeter('anushtubh'), count: 2, verses: [0, 1] }]);
+    expect(failures).toEqual([]);
+  });
+
+  it('reports where the meter changes and which verses fail', () => {
+    const text = `${GITA}\n${findMeter('vasantatilaka').example}\nराम\nराम राम\nराम\nराम ॥ ४ ॥`;
+    const { verses, changes, failures } = analyzeText(text);
+    expect(verses.map(v => v.identification.meter?.id ?? null)).toEqual(['anushtubh', 'anushtubh', 'vasantatilaka', null]);
+    expect(changes).toEqual([{ index: 2, from: findMeter('anushtubh'), to: findMeter('vasantatilaka') }]);
+    expect(failures).toEqual([3]);
+  });
+
+  it('keeps verses too short to split as written', () => {
+    const { verses } = analyzeText(`राम ॥ १ ॥\nनमः ॥ २ ॥\n${findMeter('vasantatilaka').example}`);
+    expect(verses.map(v => v.text)).toEqual(['राम', 'नमः', findMeter('vasantatilaka').example.replace(/\s*॥$/, '')]);
+    expect(verses.map(v => v.identification.meter?.id ?? null)).toEqual(['stri', null, 'vasantatilaka']);
+  });
+});
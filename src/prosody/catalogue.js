@@ -0,0 +1,647 @@
+/**
+ * The built-in meter catalogue, following the Vṛttaratnākara of Kedārabhaṭṭa.
+ *
+ * Entries are plain JSON-compatible objects in the format accepted by
+ * `compileCatalogue()` (see meters.js), so a user catalogue file has exactly the
+ * same shape. Sama meters are given by their gaṇa formula and the pattern is
+ * derived from it; `yati` lists the syllable counts between caesuras.
+ */
+
+/** @type {import('./meters.js').CatalogueEntry[]} */
+export const CATALOGUE = [
+  // 1-7 syllables (ukta to uṣṇik)
+  { id: 'shri', deva: 'श्री', iast: 'Śrī', ganas: 'ga' },
+  { id: 'stri', deva: 'स्त्री', iast: 'Strī', ganas: 'ga ga' },
+  { id: 'nari', deva: 'नारी', iast: 'Nārī', ganas: 'ma' },
+  { id: 'mrgi', deva: 'मृगी', iast: 'Mṛgī', ganas: 'ra' },
+  { id: 'kanya', deva: 'कन्या', iast: 'Kanyā', ganas: 'ma ga' },
+  { id: 'pankti', deva: 'पङ्क्ति', iast: 'Paṅkti', ganas: 'bha ga ga' },
+  { id: 'tanumadhya', deva: 'तनुमध्या', iast: 'Tanumadhyā', ganas: 'ta ya' },
+  { id: 'shashivadana', deva: 'शशिवदना', iast: 'Śaśivadanā', ganas: 'na ya' },
+  { id: 'vidyullekha', deva: 'विद्युल्लेखा', iast: 'Vidyullekhā', ganas: 'ma ma' },
+  { id: 'madalekha', deva: 'मदलेखा', iast: 'Madalekhā', ganas: 'ma sa ga' },
+  { id: 'kumaralalita', deva: 'कुमारललिता', iast: 'Kumāralalitā', ganas: 'ja sa ga' },
+
+  // 8 syllables (anuṣṭubh)
+  {
+    id: 'anushtubh',
+    deva: 'अनुष्टुप्',
+    iast: 'Anuṣṭubh',
+    syllables: 8,
+    rules: 'anushtubh',
+    lakshana: 'श्लोके षष्ठं गुरु ज्ञेयं सर्वत्र लघु पञ्चमम् ।\nद्विचतुष्पादयोर्ह्रस्वं सप्तमं दीर्घमन्ययोः ॥',
+    example: 'धर्मक्षेत्रे कुरुक्षेत्रे\nसमवेता युयुत्सवः ।\nमामकाः पाण्डवाश्चैव\nकिमकुर्वत सञ्जय ॥',
+    description: 'Anuṣṭubh (śloka) is the most common meter, with 8 syllables per quarter. It is rule-based rather than fixed: syllables 5-6-7 are L G G in odd padas and L G L in even padas, with vipulā variants allowed in odd padas. It carries the epics, the Mahābhārata and the Rāmāyaṇa.',
+  },
+  {
+    id: 'vidyunmala',
+    deva: 'विद्युन्माला',
+    iast: 'Vidyunmālā',
+    ganas: 'ma ma ga ga',
+    yati: [4, 4],
+    lakshana: 'मो मो गो गो विद्युन्माला',
+    description: 'Vidyunmālā ("garland of lightning") has eight heavy syllables, with a caesura after the fourth.',
+  },
+  { id: 'citrapada', deva: 'चित्रपदा', iast: 'Citrapadā', ganas: 'bha bha ga ga', lakshana: 'चित्रपदा यदि भौ गौ' },
+  { id: 'manavaka', deva: 'माणवक', iast: 'Māṇavaka', ganas: 'bha ta la ga', lakshana: 'भात्तलगा माणवकम्' },
+  {
+    id: 'samanika',
+    deva: 'समानिका',
+    iast: 'Samānikā',
+    ganas: 'ra ja ga la',
+    description: 'Samānikā reverses Pramāṇikā, alternating heavy and light syllables (ra-ja-ga-la).',
+  },
+  {
+    id: 'pramanika',
+    deva: 'प्रमाणिका',
+    iast: 'Pramāṇikā',
+    ganas: 'ja ra la ga',
+    lakshana: 'प्रमाणिका जरौ लगौ',
+    example: 'नमामि भक्तवत्सलं\nकृपालुशीलकोमलम् ।\nभजामि ते पदाम्बुजं\nअकामिनां स्वधामदम् ॥',
+    description: 'Pramāṇikā alternates light and heavy syllables through its 8 syllables (ja-ra-la-ga); Pañcacāmara is the same rhythm at twice the length.',
+  },
+
+  // 9 syllables (bṛhatī)
+  { id: 'halamukhi', deva: 'हलमुखी', iast: 'Halamukhī', ganas: 'ra na sa' },
+  { id: 'bhujagashishubhrta', deva: 'भुजगशिशुभृता', iast: 'Bhujagaśiśubhṛtā', ganas: 'na na ma', yati: [7, 2] },
+
+  // 10 syllables (paṅkti)
+  { id: 'rukmavati', deva: 'रुक्मवती', iast: 'Rukmavatī', ganas: 'bha ma sa ga' },
+  { id: 'matta', deva: 'मत्ता', iast: 'Mattā', ganas: 'ma bha sa ga', yati: [4, 6], lakshana: 'ज्ञेया मत्ता मभसगयुक्ता' },
+  { id: 'manorama', deva: 'मनोरमा', iast: 'Manoramā', ganas: 'na ra ja ga' },
+  { id: 'shuddhavirat', deva: 'शुद्धविराट्', iast: 'Śuddhavirāṭ', ganas: 'ma sa ja ga' },
+  { id: 'panava', deva: 'पणव', iast: 'Paṇava', ganas: 'ma na ya ga', yati: [5, 5] },
+  { id: 'mayurasarini', deva: 'मयूरसारिणी', iast: 'Mayūrasāriṇī', ganas: 'ra ja ra ga' },
+
+  // 11 syllables (triṣṭubh)
+  {
+    id: 'indravajra',
+    deva: 'इन्द्रवज्रा',
+    iast: 'Indravajrā',
+    ganas: 'ta ta ja ga ga',
+    yati: [5, 6],
+    lakshana: 'स्यादिन्द्रवज्रा यदि तौ जगौ गः',
+    example: 'गोष्ठे गिरिं सव्यकरेण धृत्वा\nरुष्टेन्द्रवज्राहतिमुक्तवृष्टौ ।\nयो गोकुलं गोपकुलं च सुस्थं\nचक्रे स नो रक्षतु चक्रपाणिः ॥',
+    description: 'Indravajrā (G G L | G G L | L G L | G G) is a powerful 11-syllable meter often used for dramatic and forceful expressions in classical poetry.',
+  },
+  {
+    id: 'upendravajra',
+    deva: 'उपेन्द्रवज्रा',
+    iast: 'Upendravajrā',
+    ganas: 'ja ta ja ga ga',
+    yati: [5, 6],
+    lakshana: 'उपेन्द्रवज्रा जतजास्ततो गौ',
+    example: 'त्वमेव माता च पिता त्वमेव\nत्वमेव बन्धुश्च सखा त्वमेव ।\nत्वमेव विद्या द्रविणं त्वमेव\nत्वमेव सर्वं मम देवदेव ॥',
+    description: 'Upendravajrā (L G L | G G L | L G L | G G) is a variation of Indravajrā with a light first syllable, lighter in tone and used in lyrical compositions.',
+  },
+  {
+    id: 'shalini',
+    deva: 'शालिनी',
+    iast: 'Śālinī',
+    ganas: 'ma ta ta ga ga',
+    yati: [4, 7],
+    lakshana: 'मात्तौ गौ चेच्छालिनी वेदलोकैः',
+    example: 'माता रामो मत्पिता रामचन्द्रः\nस्वामी रामो मत्सखा रामचन्द्रः ।\nसर्वस्वं मे रामचन्द्रो दयालुर्\nनान्यं जाने नैव जाने न जाने ॥',
+    description: 'Śālinī (G G G | G G L | G G L | G G) is an 11-syllable meter with a graceful, measured pace and a caesura after the fourth syllable.',
+  },
+  {
+    id: 'vatormi',
+    deva: 'वातोर्मी',
+    iast: 'Vātormī',
+    ganas: 'ma bha ta ga ga',
+    yati: [4, 7],
+    lakshana: 'वातोर्मीयं गदिता म्भौ तगौ गः',
+    description: 'Vātormī ("wind wave") is Śālinī with its fifth syllable made light (ma-bha-ta-ga-ga), with a caesura after the fourth syllable.',
+  },
+  {
+    id: 'rathoddhata',
+    deva: 'रथोद्धता',
+    iast: 'Rathoddhatā',
+    ganas: 'ra na ra la ga',
+    lakshana: 'रान्नराविह रथोद्धता लगौ',
+    example: 'पाणिपीडनविधेरनन्तरं\nशैलराजदुहितुर्हरं प्रति ।\nभावसाध्वसपरिग्रहादभूत्\nकामदोहदसुखो नवो रसः ॥',
+    description: 'Rathoddhatā ("raised by the chariot") is an 11-syllable meter (ra-na-ra-la-ga) with a quick, rolling pace. Kālidāsa uses it for the eighth canto of the Kumārasambhava.',
+  },
+  {
+    id: 'svagata',
+    deva: 'स्वागता',
+    iast: 'Svāgatā',
+    ganas: 'ra na bha ga ga',
+    lakshana: 'स्वागतेति रनभाद्गुरुयुग्मम्',
+    description: 'Svāgatā ("welcome") shares its opening with Rathoddhatā (ra-na) but closes on bha and two heavy syllables.',
+  },
+  {
+    id: 'dodhaka',
+    deva: 'दोधक',
+    iast: 'Dodhaka',
+    ganas: 'bha bha bha ga ga',
+    lakshana: 'दोधकवृत्तमिदं भभभाद्गौ',
+    description: 'Dodhaka repeats the dactylic bha-gaṇa (G L L) three times and closes with two heavy syllables.',
+  },
+  {
+    id: 'bhramaravilasita',
+    deva: 'भ्रमरविलसित',
+    iast: 'Bhramaravilasita',
+    ganas: 'ma bha na la ga',
+    yati: [4, 7],
+    lakshana: 'म्भौ न्लौ गः स्याद्भ्रमरविलसितम्',
+    description: 'Bhramaravilasita ("the bee\'s play") moves from four heavy syllables into a run of six light ones (ma-bha-na-la-ga).',
+  },
+  { id: 'shyeni', deva: 'श्येनी', iast: 'Śyenī', ganas: 'ra ja ra la ga' },
+  { id: 'mauktikamala', deva: 'मौक्तिकमाला', iast: 'Mauktikamālā', ganas: 'bha ta na ga ga', yati: [5, 6] },
+
+  // 12 syllables (jagatī)
+  {
+    id: 'vamshastha',
+    deva: 'वंशस्थ',
+    iast: 'Vaṃśastha',
+    ganas: 'ja ta ja ra',
+    yati: [5, 7],
+    lakshana: 'जतौ तु वंशस्थमुदीरितं जरौ',
+    example: 'तथा समक्षं दहता मनोभवं\nपिनाकिना भग्नमनोरथा सती ।\nनिनिन्द रूपं हृदयेन पार्वती\nप्रियेषु सौभाग्यफला हि चारुता ॥',
+    description: 'Vaṃśastha (L G L | G G L | L G L | G L G) is known for its bamboo-like regularity (ja-ta-ja-ra) and is used in many classical works.',
+  },
+  {
+    id: 'indravamsha',
+    deva: 'इन्द्रवंशा',
+    iast: 'Indravaṃśā',
+    ganas: 'ta ta ja ra',
+    yati: [5, 7],
+    lakshana: 'स्यादिन्द्रवंशा ततजैरसंयुतैः',
+    description: 'Indravaṃśā is Vaṃśastha with a heavy first syllable (ta-ta-ja-ra), as Indravajrā is Upendravajrā with one.',
+  },
+  {
+    id: 'drutavilambita',
+    deva: 'द्रुतविलम्बित',
+    iast: 'Drutavilambita',
+    ganas: 'na bha bha ra',
+    yati: [4, 8],
+    lakshana: 'द्रुतविलम्बितमाह नभौ भरौ',
+    example: 'पितुरनन्तरमुत्तरकोसलान्\nसमधिगम्य समाधिजितेन्द्रियः ।\nदशरथः प्रशशास महारथो\nयमवतामवतां च धुरि स्थितः ॥',
+    description: 'Drutavilambita ("fast and slow") opens with a run of light syllables (na-bha-bha-ra) and settles into a measured close.',
+  },
+  {
+    id: 'bhujangaprayata',
+    deva: 'भुजङ्गप्रयात',
+    iast: 'Bhujaṅgaprayāta',
+    ganas: 'ya ya ya ya',
+    yati: [6, 6],
+    lakshana: 'भुजङ्गप्रयातं भवेद्यैश्चतुर्भिः',
+    example: 'नमामीशमीशान निर्वाणरूपं\nविभुं व्यापकं ब्रह्म वेदस्वरूपम् ।\nनिजं निर्गुणं निर्विकल्पं निरीहं\nचिदाकाशमाकाशवासं भजेऽहम् ॥',
+    description: 'Bhujaṅgaprayāta means "serpent\'s movement" (4 ya-gaṇas, L G G). It has a distinctive, rapid rhythm often used in devotional poetry.',
+  },
+  {
+    id: 'sragvini',
+    deva: 'स्रग्विणी',
+    iast: 'Sragviṇī',
+    ganas: 'ra ra ra ra',
+    yati: [6, 6],
+    lakshana: 'रैश्चतुर्भिर्युता स्रग्विणी सम्मता',
+    example: 'अच्युतं केशवं रामनारायणं\nकृष्णदामोदरं वासुदेवं हरिम् ।\nश्रीधरं माधवं गोपिकावल्लभं\nजानकीनायकं रामचन्द्रं भजे ॥',
+    description: 'Sragviṇī ("garlanded") repeats the ra-gaṇa (G L G) four times, with a caesura in the middle; the Acyutāṣṭaka is written in it.',
+  },
+  {
+    id: 'totaka',
+    deva: 'तोटक',
+    iast: 'Toṭaka',
+    ganas: 'sa sa sa sa',
+    lakshana: 'इह तोटकमम्बुधिसैः प्रथितम्',
+    example: 'कमलाकुचचूचुककुङ्कुमतो\nनियतारुणितातुलनीलतनो ।\nकमलायतलोचन लोकपते\nविजयीभव वेङ्कटशैलपते ॥',
+    description: 'Toṭaka repeats the anapaestic sa-gaṇa (L L G) four times, giving a brisk, lilting beat popular in stotras.',
+  },
+  {
+    id: 'pramitakshara',
+    deva: 'प्रमिताक्षरा',
+    iast: 'Pramitākṣarā',
+    ganas: 'sa ja sa sa',
+    lakshana: 'प्रमिताक्षरा सजससैरुदिता',
+    description: 'Pramitākṣarā ("of measured syllables") is a 12-syllable meter (sa-ja-sa-sa) dominated by light syllables, with a soft, even flow.',
+  },
+  {
+    id: 'kusumavicitra',
+    deva: 'कुसुमविचित्रा',
+    iast: 'Kusumavicitrā',
+    ganas: 'na ya na ya',
+    yati: [6, 6],
+    lakshana: 'नयसहितौ न्यौ कुसुमविचित्रा',
+    description: 'Kusumavicitrā ("bright with flowers") alternates na- and ya-gaṇas (na-ya-na-ya), with a caesura in the middle.',
+  },
+  { id: 'jaloddhatagati', deva: 'जलोद्धतगति', iast: 'Jaloddhatagati', ganas: 'ja sa ja sa', yati: [6, 6], lakshana: 'रसैर्जसजसा जलोद्धतगतिः' },
+  {
+    id: 'tamarasa',
+    deva: 'तामरस',
+    iast: 'Tāmarasa',
+    ganas: 'na ja ja ya',
+    lakshana: 'इह वद तामरसं नजजा यः',
+    description: 'Tāmarasa ("lotus") is a 12-syllable meter of mostly light syllables (na-ja-ja-ya) closing on two heavy ones.',
+  },
+  { id: 'manimala', deva: 'मणिमाला', iast: 'Maṇimālā', ganas: 'ta ya ta ya', yati: [6, 6], lakshana: 'त्यौ त्यौ मणिमाला छिन्ना गुहवक्त्रैः' },
+  { id: 'jaladharamala', deva: 'जलधरमाला', iast: 'Jaladharamālā', ganas: 'ma bha sa ma', yati: [4, 8], lakshana: 'अब्ध्यङ्गैः स्याज्जलधरमाला म्भौ स्मौ' },
+  {
+    id: 'priyamvada',
+    deva: 'प्रियंवदा',
+    iast: 'Priyaṃvadā',
+    ganas: 'na bha ja ra',
+    lakshana: 'भुवि भवेन्नभजरैः प्रियंवदा',
+    description: 'Priyaṃvadā ("sweet-spoken") is a 12-syllable meter (na-bha-ja-ra) that opens with three light syllables.',
+  },
+  { id: 'lalita', deva: 'ललिता', iast: 'Lalitā', ganas: 'ta bha ja ra', lakshana: 'धीरैरभाणि ललिता तभौ जरौ' },
+  { id: 'vaishvadevi', deva: 'वैश्वदेवी', iast: 'Vaiśvadevī', ganas: 'ma ma ya ya', yati: [5, 7], lakshana: 'पञ्चाश्वैश्छिन्ना वैश्वदेवी ममौ यौ' },
+  { id: 'navamalini', deva: 'नवमालिनी', iast: 'Navamālinī', ganas: 'na ja bha ya' },
+  { id: 'candravartma', deva: 'चन्द्रवर्त्म', iast: 'Candravartma', ganas: 'ra na bha sa', yati: [4, 8], lakshana: 'चन्द्रवर्त्म निगदन्ति रनभसैः' },
+
+  // 13 syllables (atijagatī)
+  {
+    id: 'praharshini',
+    deva: 'प्रहर्षिणी',
+    iast: 'Praharṣiṇī',
+    ganas: 'ma na ja ra ga',
+    yati: [3, 10],
+    lakshana: 'म्नौ ज्रौ गस्त्रिदशयतिः प्रहर्षिणीयम्',
+    description: 'Praharṣiṇī ("delighting") is a 13-syllable meter (ma-na-ja-ra-ga) with a caesura after the third syllable.',
+  },
+  {
+    id: 'rucira',
+    deva: 'रुचिरा',
+    iast: 'Rucirā',
+    ganas: 'ja bha sa ja ga',
+    yati: [4, 9],
+    lakshana: 'चतुर्ग्रहैरतिरुचिरा जभस्जगाः',
+    description: 'Rucirā ("radiant") is a 13-syllable meter (ja-bha-sa-ja-ga) with a caesura after the fourth syllable.',
+  },
+  {
+    id: 'mattamayura',
+    deva: 'मत्तमयूर',
+    iast: 'Mattamayūra',
+    ganas: 'ma ta ya sa ga',
+    yati: [4, 9],
+    lakshana: 'वेदै रन्ध्रैर्म्तौ यसगा मत्तमयूरम्',
+    description: 'Mattamayūra ("the peacock in rut") is a 13-syllable meter (ma-ta-ya-sa-ga) with a caesura after the fourth syllable.',
+  },
+  {
+    id: 'manjubhashini',
+    deva: 'मञ्जुभाषिणी',
+    iast: 'Mañjubhāṣiṇī',
+    ganas: 'sa ja sa ja ga',
+    lakshana: 'सजसा जगौ च यदि मञ्जुभाषिणी',
+    description: 'Mañjubhāṣiṇī ("sweet-voiced") alternates sa- and ja-gaṇas (sa-ja-sa-ja-ga) in a 13-syllable pada.',
+  },
+  { id: 'kshama', deva: 'क्षमा', iast: 'Kṣamā', ganas: 'na na ta ta ga', yati: [7, 6], lakshana: 'तुरगरसयतिर्नौ ततौ गः क्षमा' },
+  { id: 'kalahamsa', deva: 'कलहंस', iast: 'Kalahaṃsa', ganas: 'sa ja sa sa ga' },
+
+  // 14 syllables (śakvarī)
+  {
+    id: 'vasantatilaka',
+    deva: 'वसन्ततिलका',
+    iast: 'Vasantatilakā',
+    ganas: 'ta bha ja ja ga ga',
+    lakshana: 'उक्ता वसन्ततिलका तभजा जगौ गः',
+    example: 'नान्या स्पृहा रघुपते हृदयेऽस्मदीये\nसत्यं वदामि च भवानखिलान्तरात्मा ।\nभक्तिं प्रयच्छ रघुपुङ्गव निर्भरां मे\nकामादिदोषरहितं कुरु मानसं च ॥',
+    description: 'Vasantatilakā is a 14-syllable meter, evocative of the spring season (ta-bha-ja-ja-ga-ga), used for descriptions of nature and love.',
+  },
+  { id: 'aparajita', deva: 'अपराजिता', iast: 'Aparājitā', ganas: 'na na ra sa la ga', yati: [7, 7], lakshana: 'ननरसलघुगैः स्वरैरपराजिता' },
+  { id: 'praharanakalika', deva: 'प्रहरणकलिका', iast: 'Praharaṇakalikā', ganas: 'na na bha na la ga', yati: [7, 7], lakshana: 'ननभनलगिति प्रहरणकलिका' },
+  { id: 'asambadha', deva: 'असम्बाधा', iast: 'Asambādhā', ganas: 'ma ta na sa ga ga', yati: [5, 9], lakshana: 'म्तौ न्सौ गावक्षग्रहविरतिरसम्बाधा' },
+
+  // 15 syllables (atiśakvarī)
+  {
+    id: 'malini',
+    deva: 'मालिनी',
+    iast: 'Mālinī',
+    ganas: 'na na ma ya ya',
+    yati: [8, 7],
+    lakshana: 'ननमयययुतेयं मालिनी भोगिलोकैः',
+    example: 'सरसिजमनुविद्धं शैवलेनापि रम्यं\nमलिनमपि हिमांशोर्लक्ष्म लक्ष्मीं तनोति ।\nइयमधिकमनोज्ञा वल्कलेनापि तन्वी\nकिमिव हि मधुराणां मण्डनं नाकृतीनाम् ॥',
+    description: 'Mālinī ("garlanded") opens with six light syllables before a heavy run (na-na-ma-ya-ya), with a caesura after the eighth syllable.',
+  },
+  { id: 'camara', deva: 'चामर', iast: 'Cāmara', ganas: 'ra ja ra ja ra' },
+  { id: 'shashikala', deva: 'शशिकला', iast: 'Śaśikalā', ganas: 'na na na na sa', yati: [6, 9] },
+
+  // 16 syllables (aṣṭi)
+  {
+    id: 'panchacamara',
+    deva: 'पञ्चचामर',
+    iast: 'Pañcacāmara',
+    ganas: 'ja ra ja ra ja ga',
+    lakshana: 'जरौ जरौ जगाविदं वदन्ति पञ्चचामरम्',
+    example: 'जटाटवीगलज्जलप्रवाहपावितस्थले\nगलेऽवलम्ब्य लम्बितां भुजङ्गतुङ्गमालिकाम् ।\nडमड्डमड्डमड्डमन्निनादवड्डमर्वयं\nचकार चण्डताण्डवं तनोतु नः शिवः शिवम् ॥',
+    description: 'Pañcacāmara alternates light and heavy syllables throughout (ja-ra-ja-ra-ja-ga); the Śivatāṇḍava Stotra is its best-known example.',
+  },
+  { id: 'vanini', deva: 'वाणिनी', iast: 'Vāṇinī', ganas: 'na ja bha ja ra ga' },
+  { id: 'madanalalita', deva: 'मदनललिता', iast: 'Madanalalitā', ganas: 'ma bha na ma na ga', yati: [4, 6, 6] },
+
+  // 17 syllables (atyaṣṭi)
+  {
+    id: 'shikharini',
+    deva: 'शिखरिणी',
+    iast: 'Śikhariṇī',
+    ganas: 'ya ma na sa bha la ga',
+    yati: [6, 11],
+    lakshana: 'रसै रुद्रैश्छिन्ना यमनसभला गः शिखरिणी',
+    example: 'शिवः शक्त्या युक्तो यदि भवति शक्तः प्रभवितुं\nन चेदेवं देवो न खलु कुशलः स्पन्दितुमपि ।\nअतस्त्वामाराध्यां हरिहरविरिञ्चादिभिरपि\nप्रणन्तुं स्तोतुं वा कथमकृतपुण्यः प्रभवति ॥',
+    description: 'Śikhariṇī ("crested") is a 17-syllable meter whose heavy opening gives way to five light syllables, with a caesura after the sixth syllable.',
+  },
+  {
+    id: 'prthvi',
+    deva: 'पृथ्वी',
+    iast: 'Pṛthvī',
+    ganas: 'ja sa ja sa ya la ga',
+    yati: [8, 9],
+    lakshana: 'जसौ जसयला वसुग्रहयतिश्च पृथ्वी गुरुः',
+    example: 'लभेत सिकतासु तैलमपि यत्नतः पीडयन्\nपिबेच्च मृगतृष्णिकासु सलिलं पिपासार्दितः ।\nकदाचिदपि पर्यटञ्छशविषाणमासादयेन्\nन तु प्रतिनिविष्टमूर्खजनचित्तमाराधयेत् ॥',
+    description: 'Pṛthvī ("earth") is a 17-syllable meter (ja-sa-ja-sa-ya-la-ga) whose light and heavy syllables alternate unevenly, with a caesura after the eighth syllable. Bhartṛhari uses it in his Nītiśataka.',
+  },
+  {
+    id: 'mandakranta',
+    deva: 'मन्दाक्रान्ता',
+    iast: 'Mandākrāntā',
+    ganas: 'ma bha na ta ta ga ga',
+    yati: [4, 6, 7],
+    lakshana: 'मन्दाक्रान्ता जलधिषडगैर्म्भौ नतौ ताद्गुरू चेत्',
+    example: 'कश्चित्कान्ताविरहगुरुणा स्वाधिकारात्प्रमत्तः\nशापेनास्तङ्गमितमहिमा वर्षभोग्येण भर्तुः ।\nयक्षश्चक्रे जनकतनयास्नानपुण्योदकेषु\nस्निग्धच्छायातरुषु वसतिं रामगिर्याश्रमेषु ॥',
+    description: 'Mandākrāntā is a 17-syllable meter, known for its slow and majestic gait (ma-bha-na-ta-ta-ga-ga). Kālidāsa\'s Meghadūta is composed in it.',
+  },
+  {
+    id: 'harini',
+    deva: 'हरिणी',
+    iast: 'Hariṇī',
+    ganas: 'na sa ma ra sa la ga',
+    yati: [6, 4, 7],
+    lakshana: 'रसयुगहयैर्न्सौ म्रौ स्लौ गो यदा हरिणी तदा',
+    description: 'Hariṇī ("the doe") is a 17-syllable meter (na-sa-ma-ra-sa-la-ga): a light opening, a heavy middle and caesuras after the sixth and tenth syllables.',
+  },
+  {
+    id: 'vamshapatrapatita',
+    deva: 'वंशपत्रपतित',
+    iast: 'Vaṃśapatrapatita',
+    ganas: 'bha ra na bha na la ga',
+    yati: [10, 7],
+    lakshana: 'दिङ्मुनि वंशपत्रपतितं भरनभनलगैः',
+    description: 'Vaṃśapatrapatita ("fallen from the bamboo leaf") is a 17-syllable meter (bha-ra-na-bha-na-la-ga) with a caesura after the tenth syllable.',
+  },
+  {
+    id: 'narkutaka',
+    deva: 'नर्कुटक',
+    iast: 'Narkuṭaka',
+    ganas: 'na ja bha ja ja la ga',
+    yati: [7, 10],
+    lakshana: 'हयदशभिर्नजौ भजजला गुरु नर्कुटकम्',
+    description: 'Narkuṭaka is a 17-syllable meter (na-ja-bha-ja-ja-la-ga) with a caesura after the seventh syllable.',
+  },
+
+  // 18 syllables (dhṛti)
+  { id: 'kusumitalatavellita', deva: 'कुसुमितलतावेल्लिता', iast: 'Kusumitalatāvellitā', ganas: 'ma ta na ya ya ya', yati: [5, 6, 7] },
+  { id: 'citralekha', deva: 'चित्रलेखा', iast: 'Citralekhā', ganas: 'ma bha na ya ya ya', yati: [4, 7, 7] },
+  { id: 'naraca', deva: 'नाराच', iast: 'Nārāca', ganas: 'na na ra ra ra ra', yati: [8, 10] },
+  { id: 'shardulalalita', deva: 'शार्दूलललित', iast: 'Śārdūlalalita', ganas: 'ma sa ja sa ta sa', yati: [12, 6] },
+
+  // 19 syllables (atidhṛti)
+  {
+    id: 'shardulavikridita',
+    deva: 'शार्दूलविक्रीडित',
+    iast: 'Śārdūlavikrīḍita',
+    ganas: 'ma sa ja sa ta ta ga',
+    yati: [12, 7],
+    lakshana: 'सूर्याश्वैर्मसजस्तताः सगुरवः शार्दूलविक्रीडितम्',
+    example: 'या कुन्देन्दुतुषारहारधवला या शुभ्रवस्त्रावृता\nया वीणावरदण्डमण्डितकरा या श्वेतपद्मासना ।\nया ब्रह्माच्युतशङ्करप्रभृतिभिर्देवैः सदा वन्दिता\nसा मां पातु सरस्वती भगवती निःशेषजाड्यापहा ॥',
+    description: 'Śārdūlavikrīḍita ("tiger\'s play") is a stately 19-syllable meter with a caesura after the twelfth syllable, a favourite for muktakas and invocations.',
+  },
+  {
+    id: 'meghavisphurjita',
+    deva: 'मेघविस्फूर्जिता',
+    iast: 'Meghavisphūrjitā',
+    ganas: 'ya ma na sa ra ra ga',
+    yati: [6, 6, 7],
+    lakshana: 'रसर्त्वश्वैर्य्मौ न्सौ ररगुरुयुतौ मेघविस्फूर्जिता स्यात्',
+    description: 'Meghavisphūrjitā ("the thunder of clouds") is a 19-syllable meter (ya-ma-na-sa-ra-ra-ga) divided by caesuras into 6 + 6 + 7 syllables.',
+  },
+
+  // 20-26 syllables (kṛti to utkṛti)
+  {
+    id: 'suvadana',
+    deva: 'सुवदना',
+    iast: 'Suvadanā',
+    ganas: 'ma ra bha na ya bha la ga',
+    yati: [7, 7, 6],
+    lakshana: 'ज्ञेया सप्ताश्वषड्भिर्मरभनययुता भ्लौ गः सुवदना',
+    description: 'Suvadanā ("fair-faced") is a 20-syllable meter (ma-ra-bha-na-ya-bha-la-ga) divided by caesuras into 7 + 7 + 6 syllables.',
+  },
+  {
+    id: 'sragdhara',
+    deva: 'स्रग्धरा',
+    iast: 'Sragdharā',
+    ganas: 'ma ra bha na ya ya ya',
+    yati: [7, 7, 7],
+    lakshana: 'म्रभ्नैर्यानां त्रयेण त्रिमुनियतियुता स्रग्धरा कीर्तितेयम्',
+    example: 'या सृष्टिः स्रष्टुराद्या वहति विधिहुतं या हविर्या च होत्री\nये द्वे कालं विधत्तः श्रुतिविषयगुणा या स्थिता व्याप्य विश्वम् ।\nयामाहुः सर्वबीजप्रकृतिरिति यया प्राणिनः प्राणवन्तः\nप्रत्यक्षाभिः प्रपन्नस्तनुभिरवतु वस्ताभिरष्टाभिरीशः ॥',
+    description: 'Sragdharā ("garland-bearer") is a long 21-syllable meter divided by caesuras into three groups of seven syllables.',
+  },
+  { id: 'bhadraka', deva: 'भद्रक', iast: 'Bhadraka', ganas: 'bha ra na ra na ra na ga', yati: [10, 12] },
+  { id: 'ashvalalita', deva: 'अश्वललित', iast: 'Aśvalalita', ganas: 'na ja bha ja bha ja bha la ga', yati: [11, 12] },
+  { id: 'mattakrida', deva: 'मत्ताक्रीडा', iast: 'Mattākrīḍā', ganas: 'ma ma ta na na na na la ga', yati: [8, 15] },
+  { id: 'tanvi', deva: 'तन्वी', iast: 'Tanvī', ganas: 'bha ta na sa bha bha na ya', yati: [5, 7, 12] },
+  { id: 'kraunchapada', deva: 'क्रौञ्चपदा', iast: 'Krauñcapadā', ganas: 'bha ma sa bha na na na na ga', yati: [5, 5, 8, 7] },
+  { id: 'bhujangavijrmbhita', deva: 'भुजङ्गविजृम्भित', iast: 'Bhujaṅgavijṛmbhita', ganas: 'ma ma ta na na na ra sa la ga', yati: [8, 11, 7] },
+  { id: 'apavaha', deva: 'अपवाह', iast: 'Apavāha', ganas: 'ma na na na na na na sa ga ga', yati: [9, 6, 6, 5] },
+
+  // Ardhasama: odd and even padas differ
+  {
+    id: 'viyogini',
+    deva: 'वियोगिनी',
+    iast: 'Viyoginī',
+    kind: 'ardhasama',
+    odd: 'sa sa ja ga',
+    even: 'sa bha ra la ga',
+    lakshana: 'विषमे ससजा गुरुः समे सभरा लोऽथ गुरुर्वियोगिनी',
+    example: 'अथ तस्य विवाहकौतुकं\nललितं बिभ्रत एव पार्थिवः ।\nवसुधामपि हस्तगामिनीम्\nअकरोदिन्दुमतीमिवापराम् ॥',
+    description: 'Viyoginī is an ardhasama meter of 10 and 11 syllables that fixes the mātrās of Vaitālīya into set patterns. Aja\'s lament in the eighth canto of the Raghuvaṃśa is written in it.',
+  },
+  {
+    id: 'pushpitagra',
+    deva: 'पुष्पिताग्रा',
+    iast: 'Puṣpitāgrā',
+    kind: 'ardhasama',
+    odd: 'na na ra ya',
+    even: 'na ja ja ra ga',
+    lakshana: 'अयुजि नयुगरेफतो यकारो युजि च नजौ जरगाश्च पुष्पिताग्रा',
+    example: 'अथ मदनवधूरुपप्लवान्तं\nव्यसनकृशा परिपालयाम्बभूव ।\nशशिन इव दिवातनस्य लेखा\nकिरणपरिक्षयधूसरा प्रदोषम् ॥',
+    description: 'Puṣpitāgrā ("flower-tipped") is an ardhasama meter of 12 and 13 syllables, a fixed form of Aupacchandasika.',
+  },
+  {
+    id: 'aparavaktra',
+    deva: 'अपरवक्त्र',
+    iast: 'Aparavaktra',
+    kind: 'ardhasama',
+    odd: 'na na ra la ga',
+    even: 'na ja ja ra',
+    lakshana: 'अयुजि ननरला गुरुः समे तदपरवक्त्रमिदं नजौ जरौ',
+    description: 'Aparavaktra is an ardhasama meter of 11 and 12 syllables, another fixed form of Vaitālīya, opening with a run of light syllables.',
+  },
+  { id: 'harinapluta', deva: 'हरिणप्लुता', iast: 'Hariṇaplutā', kind: 'ardhasama', odd: 'sa sa sa la ga', even: 'na bha bha ra', lakshana: 'स्सयुगं सलघू विषमे गुरुर्युजि नभौ भरकौ हरिणप्लुता' },
+  { id: 'vegavati', deva: 'वेगवती', iast: 'Vegavatī', kind: 'ardhasama', odd: 'sa sa sa ga', even: 'bha bha bha ga ga' },
+  { id: 'ketumati', deva: 'केतुमती', iast: 'Ketumatī', kind: 'ardhasama', odd: 'sa ja sa ga', even: 'bha ra na ga ga' },
+
+  // Upajāti: padas of closely related meters mixed within one verse. Those with a
+  // fixed `order` of components come first, as the more specific match.
+  {
+    id: 'akhyanaki',
+    deva: 'आख्यानकी',
+    iast: 'Ākhyānakī',
+    kind: 'upajati',
+    components: ['indravajra', 'upendravajra'],
+    order: ['indravajra', 'upendravajra', 'indravajra', 'upendravajra'],
+    lakshana: 'आख्यानकी तौ जगुरू ग ओजे जतावजौ गौ समपादयोः',
+    example: 'अस्त्युत्तरस्यां दिशि देवतात्मा\nहिमालयो नाम नगाधिराजः ।\nपूर्वापरौ तोयनिधी वगाह्य\nस्थितः पृथिव्या इव मानदण्डः ॥',
+    description: 'Ākhyānakī is the upajāti with Indravajrā in the odd padas and Upendravajrā in the even padas. Kālidāsa\'s Kumārasambhava opens with one.',
+  },
+  {
+    id: 'viparitakhyanaki',
+    deva: 'विपरीताख्यानकी',
+    iast: 'Viparītākhyānakī',
+    kind: 'upajati',
+    components: ['indravajra', 'upendravajra'],
+    order: ['upendravajra', 'indravajra', 'upendravajra', 'indravajra'],
+    description: 'Viparītākhyānakī reverses Ākhyānakī: Upendravajrā in the odd padas and Indravajrā in the even padas.',
+  },
+  {
+    id: 'upajati',
+    deva: 'उपजाति',
+    iast: 'Upajāti',
+    kind: 'upajati',
+    components: ['indravajra', 'upendravajra'],
+    lakshana: 'अनन्तरोदीरितलक्ष्मभाजौ पादौ यदीयावुपजातयस्ताः',
+    example: 'यं सर्वशैलाः परिकल्प्य वत्सं\nमेरौ स्थिते दोग्धरि दोहदक्षे ।\nभास्वन्ति रत्नानि महौषधीश्च\nपृथूपदिष्टां दुदुहुर्धरित्रीम् ॥',
+    description: 'Upajāti mixes Indravajrā and Upendravajrā padas, which differ only in the weight of the first syllable. Kālidāsa\'s Kumārasambhava is written in it.',
+  },
+  {
+    id: 'upajati-vamshastha',
+    deva: 'उपजाति',
+    iast: 'Upajāti',
+    kind: 'upajati',
+    components: ['vamshastha', 'indravamsha'],
+    description: 'This Upajāti mixes Vaṃśastha and Indravaṃśā padas, which differ only in the weight of the first syllable.',
+  },
+
+  // Viṣama: every pada differs
+  {
+    id: 'udgata',
+    deva: 'उद्गता',
+    iast: 'Udgatā',
+    kind: 'vishama',
+    padas: ['sa ja sa la', 'na sa ja ga', 'bha na ja la ga', 'sa ja sa ja ga'],
+    example: 'अथ वासवस्य वचनेन\nरुचिरवदनस्त्रिलोचनम् ।\nक्लान्तिरहितमभिराधयितुं\nविधिवत्तपांसि विदधे धनंजयः ॥',
+    description: 'Udgatā is the best-known viṣama meter: each of its four padas has its own pattern, of 10, 10, 11 and 13 syllables.',
+  },
+  { id: 'saurabhaka', deva: 'सौरभक', iast: 'Saurabhaka', kind: 'vishama', padas: ['sa ja sa la', 'na sa ja ga', 'ra na bha ga', 'sa ja sa ja ga'] },
+  { id: 'lalita-udgata', deva: 'ललित', iast: 'Lalita', kind: 'vishama', padas: ['sa ja sa la', 'na sa ja ga', 'na na sa sa', 'sa ja sa ja ga'] },
+
+  // Mātrā-vṛtta: measured in mātrās (Laghu = 1, Guru = 2)
+  {
+    id: 'arya',
+    deva: 'आर्या',
+    iast: 'Āryā',
+    kind: 'matra',
+    halves: ['long', 'short'],
+    lakshana: 'यस्याः प्रथमे पादे द्वादश मात्रास्तथा तृतीयेऽपि ।\nअष्टादश द्वितीये चतुर्थके पञ्चदश सार्या ॥',
+    example: 'सुभगसलिलावगाहाः\nपाटलसंसर्गसुरभिवनवाताः ।\nप्रच्छायसुलभनिद्रा\nदिवसाः परिणामरमणीयाः ॥',
+    description: 'Āryā is the principal moraic meter: 12, 18, 12 and 15 mātrās in its four padas (30 + 27 per half-verse), counted in gaṇas of four mātrās. It dominates Prakrit poetry.',
+  },
+  { id: 'giti', deva: 'गीति', iast: 'Gīti', kind: 'matra', halves: ['long', 'long'], description: 'Gīti repeats the first half of Āryā: 30 mātrās in each half-verse.' },
+  { id: 'upagiti', deva: 'उपगीति', iast: 'Upagīti', kind: 'matra', halves: ['short', 'short'], description: 'Upagīti repeats the second half of Āryā: 27 mātrās in each half-verse.' },
+  { id: 'udgiti', deva: 'उद्गीति', iast: 'Udgīti', kind: 'matra', halves: ['short', 'long'], description: 'Udgīti is Āryā with its halves reversed: 27 then 30 mātrās.' },
+  {
+    id: 'vaitaliya',
+    deva: 'वैतालीय',
+    iast: 'Vaitālīya',
+    kind: 'matra',
+    padaMatras: [14, 16, 14, 16],
+    cadence: 'GLGLG',
+    description: 'Vaitālīya has 14 mātrās in odd padas and 16 in even padas, each closing with ra-la-ga (G L G L G).',
+  },
+  {
+    id: 'aupacchandasika',
+    deva: 'औपच्छन्दसिक',
+    iast: 'Aupacchandasika',
+    kind: 'matra',
+    padaMatras: [16, 18, 16, 18],
+    cadence: 'GLGLGG',
+    description: 'Aupacchandasika extends Vaitālīya by one guru: 16 and 18 mātrās, each pada closing with ra-ya (G L G L G G).',
+  },
+
+  // Vedic meters: defined by syllables per pada and number of padas
+  {
+    id: 'gayatri',
+    deva: 'गायत्री',
+    iast: 'Gāyatrī',
+    kind: 'vedic',
+    padaSyllables: [8, 8, 8],
+    example: 'अग्निमीळे पुरोहितं\nयज्ञस्य देवमृत्विजम् ।\nहोतारं रत्नधातमम् ॥',
+    description: 'Gāyatrī has 24 syllables in three padas of 8 (8-8-8), each closing in an iambic cadence (L G L x). It is the meter of the Gāyatrī Mantra, whose first pada is one syllable short (nicṛt Gāyatrī).',
+  },
+  {
+    id: 'ushnik',
+    deva: 'उष्णिक्',
+    iast: 'Uṣṇik',
+    kind: 'vedic',
+    padaSyllables: [8, 8, 12],
+    description: 'Uṣṇik has 28 syllables: two padas of 8 and one of 12.',
+  },
+  {
+    id: 'vedic-anushtubh',
+    deva: 'अनुष्टुभ्',
+    iast: 'Vedic Anuṣṭubh',
+    kind: 'vedic',
+    padaSyllables: [8, 8, 8, 8],
+    example: 'सहस्रशीर्षा पुरुषः\nसहस्राक्षः सहस्रपात् ।\nस भूमिं विश्वतो वृत्वा\nअत्यतिष्ठद्दशाङ्गुलम् ॥',
+    description: 'The Vedic Anuṣṭubh has 32 syllables in four padas of 8. The classical śloka grew out of it.',
+  },
+  {
+    id: 'brhati',
+    deva: 'बृहती',
+    iast: 'Bṛhatī',
+    kind: 'vedic',
+    padaSyllables: [8, 8, 12, 8],
+    description: 'Bṛhatī has 36 syllables: padas of 8, 8, 12 and 8.',
+  },
+  {
+    id: 'satobrhati',
+    deva: 'सतोबृहती',
+    iast: 'Satobṛhatī',
+    kind: 'vedic',
+    padaSyllables: [12, 8, 12, 8],
+    description: 'Satobṛhatī has 40 syllables: padas of 12, 8, 12 and 8. It is often paired with Bṛhatī in the pragātha strophe.',
+  },
+  {
+    id: 'vedic-pankti',
+    deva: 'पङ्क्तिः',
+    iast: 'Vedic Paṅkti',
+    kind: 'vedic',
+    padaSyllables: [8, 8, 8, 8, 8],
+    description: 'The Vedic Paṅkti has 40 syllables in five padas of 8.',
+  },
+  {
+    id: 'viraj',
+    deva: 'विराट्',
+    iast: 'Virāj',
+    kind: 'vedic',
+    padaSyllables: [10, 10, 10],
+    description: 'Virāj has 30 syllables in three padas of 10.',
+  },
+  {
+    id: 'trishtubh',
+    deva: 'त्रिष्टुभ्',
+    iast: 'Triṣṭubh',
+    kind: 'vedic',
+    padaSyllables: [11, 11, 11, 11],
+    example: 'इन्द्रं मित्रं वरुणमग्निमाहुः\nअथो दिव्यः स सुपर्णो गरुत्मान् ।\nएकं सद्विप्रा बहुधा वदन्ति\nअग्निं यमं मातरिश्वानमाहुः ॥',
+    description: 'Triṣṭubh has 44 syllables in four padas of 11, with a caesura after the 4th or 5th syllable and a trochaic cadence (G L G x). It is the most common meter of the Rigveda after Gāyatrī, used for heroic hymns.',
+  },
+  {
+    id: 'jagati',
+    deva: 'जगती',
+    iast: 'Jagatī',
+    kind: 'vedic',
+    padaSyllables: [12, 12, 12, 12],
+    description: 'Jagatī has 48 syllables in four padas of 12: a Triṣṭubh pada lengthened by one syllable, which turns the cadence iambic (G L G L x). It creates a flowing rhythm, common in Vedic hymns.',
+  },
+];
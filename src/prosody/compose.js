@@ -0,0 +1,213 @@
+import { METERS } from './meters.js';
+import { scan } from './scan.js';
+import { identify } from './identify.js';
+import { expectedAt } from './fuzzy.js';
+import { anushtubhTemplate, ANUSHTUBH_FORMS } from './anushtubh.js';
+import { countMatras } from './matra.js';
+import { fromDevanagari } from './transliterate.js';
+
+/**
+ * Live checking of a verse being composed in a chosen meter. Each pada written
+ * so far is laid against the slots its meter has there: the weight each slot
+ * expects next to the weight written, how many syllables (or mātrās) are still
+ * to come, and, for a wrong slot, what kind of syllable would fit it.
+ */
+
+/**
+ * @typedef {import('./meters.js').Meter} Meter
+ * @typedef {import('./scan.js').Syllable} Syllable
+ * @typedef {import('./scan.js').Weight} Weight
+ * @typedef {import('./identify.js').Identification} Identification
+ */
+
+/**
+ * @typedef {object} Slot
+ * @property {number} position 1-based syllable position.
+ * @property {'L' | 'G' | 'x' | ''} expected 'x' when either weight fits; '' past the end of the pada.
+ * @property {Weight | ''} actual '' for a slot not written yet.
+ * @property {string} text The akshara written in the slot, '' when empty.
+ * @property {'match' | 'mismatch' | 'open' | 'extra'} status
+ * @property {boolean} provisional The last syllable written, which becomes Guru if a conjunct follows it.
+ * @property {string} [suggestion] What would fit a mismatched or extra slot.
+ */
+
+/**
+ * @typedef {object} ComposedPada
+ * @property {number} pada 1-based pada number.
+ * @property {string} source The pada as typed, '' when not started.
+ * @property {'syllables' | 'matras'} unit What the pada is measured in.
+ * @property {number} target Syllables or mātrās the pada needs.
+ * @property {number} written Syllables or mātrās written so far.
+ * @property {number} remaining Still to write; negative when the pada is too long.
+ * @property {Slot[]} slots Empty for mātrā meters, whose weights are free.
+ * @property {number} mismatches
+ * @property {string} [note] A rule the slots cannot show.
+ */
+
+/**
+ * @typedef {object} Composition
+ * @property {Meter} meter
+ * @property {ComposedPada[]} padas One per pada of the meter.
+ * @property {string[]} extraLines Lines typed beyond the last pada.
+ * @property {boolean} complete Every pada has its length.
+ * @property {Identification | null} identification Of the whole verse, once complete.
+ * @property {boolean} fits The complete verse identifies as the meter.
+ */
+
+const SHORT_TO_LONG = { a: 'ā', i: 'ī', u: 'ū', ṛ: 'ṝ', ḷ: 'ḹ' };
+const LONG_TO_SHORT = Object.fromEntries(Object.entries(SHORT_TO_LONG).map(([short, long]) => [long, short]));
+const MODIFIERS = { 'ं': 'anusvāra', 'ः': 'visarga', 'ँ': 'candrabindu' };
+
+/**
+ * Number of padas a meter has.
+ * @param {Meter} meter
+ * @returns {number}
+ */
+export function padaCount(meter) {
+  return meter.kind === 'vedic' ? meter.padaSyllables.length : 4;
+}
+
+/**
+ * The slots of a pada, from the patterns the meter accepts there. Patterns of
+ * the length being written are merged, with 'x' where they differ (as between
+ * Indravajrā and Upendravajrā in an upajāti).
+ * @param {Meter} meter
+ * @param {number} index 0-based pada index.
+ * @param {string} pattern The pada so far.
+ * @param {Meter[]} meters
+ * @returns {{ template: string, form?: string | null } | { matras: number, closes: boolean } | null}
+ */
+function templateAt(meter, index, pattern, meters) {
+  if (meter.rules === 'anushtubh') return anushtubhTemplate(pattern, index + 1);
+  if (meter.kind === 'vedic') return { template: 'x'.repeat(meter.padaSyllables[index]) };
+  if (meter.kind === 'matra') {
+    if (meter.padaMatras) return { matras: meter.padaMatras[index], closes: true };
+    // Āryā family: 12 mātrās open each half-verse, and 18 or 15 close it.
+    if (index % 2 === 0) return { matras: 12, closes: false };
+    return { matras: meter.halves[(index - 1) / 2] === 'long' ? 18 : 15, closes: true };
+  }
+  const accepted = expectedAt(meter, index, padaCount(meter), meters);
+  if (!accepted || accepted.length === 0) return null;
+  const length = accepted.some(p => p.length === pattern.length) ? pattern.length : accepted[0].length;
+  const same = accepted.filter(p => p.length === length);
+  const template = [...same[0]].map((weight, i) => (same.every(p => p[i] === weight) ? weight : 'x')).join('');
+  return { template };
+}
+
+/**
+ * The vowel of a syllable in IAST.
+ * @param {Syllable} syllable
+ */
+function iastVowel(syllable) {
+  return fromDevanagari(syllable.text, 'iast').match(/ai|au|[aāiīuūṛṝḷḹeo]/)?.[0] ?? '';
+}
+
+/**
+ * Says what kind of syllable would fit a slot the written one does not.
+ * @param {Syllable} syllable
+ * @param {Weight} expected
+ * @param {Syllable | undefined} next The syllable after it in the pada.
+ * @returns {string}
+ */
+export function suggestFix(syllable, expected, next) {
+  const shown = `${syllable.text} (${fromDevanagari(syllable.text, 'iast')})`;
+  const vowel = iastVowel(syllable);
+  if (expected === 'G') {
+    const longer = SHORT_TO_LONG[vowel] ? `a long vowel (${SHORT_TO_LONG[vowel]} for ${vowel})` : 'a long vowel';
+    return `Needs a Guru, but ${shown} is Laghu: use ${longer}, close it with anusvāra or visarga, or follow it with a conjunct consonant.`;
+  }
+  switch (syllable.reason) {
+    case 'long-vowel':
+      return LONG_TO_SHORT[vowel]
+        ? `Needs a Laghu, but ${shown} has a long vowel: use the short ${LONG_TO_SHORT[vowel]} for ${vowel}.`
+        : `Needs a Laghu, but ${shown} has the long vowel ${vowel}: use a syllable with a short vowel (a, i, u, ṛ).`;
+    case 'anusvara-visarga':
+      return `Needs a Laghu, but ${shown} is closed by ${MODIFIERS[syllable.modifier] ?? 'anusvāra or visarga'}: use a short syllable without it.`;
+    case 'conjunct':
+      return next
+        ? `Needs a Laghu, but ${shown} is followed by the conjunct of ${next.text}: let a single consonant or a vowel follow it.`
+        : `Needs a Laghu, but ${shown} is followed by a conjunct: let a single consonant or a vowel follow it.`;
+    default:
+      return `Needs a Laghu, but ${shown} is closed by a consonant: end the pada on a vowel.`;
+  }
+}
+
+/**
+ * Lays one pada against its template.
+ * @param {import('./scan.js').Pada | undefined} pada
+ * @param {string} template
+ * @returns {Slot[]}
+ */
+function slotsOf(pada, template) {
+  const syllables = pada?.syllables ?? [];
+  const complete = syllables.length === template.length;
+  return Array.from({ length: Math.max(template.length, syllables.length) }, (_, i) => {
+    const syllable = syllables[i];
+    const expected = template[i] ?? '';
+    const slot = { position: i + 1, expected, actual: syllable?.weight ?? '', text: syllable?.text ?? '', provisional: false };
+    if (!syllable) return { ...slot, status: 'open' };
+    if (!expected) return { ...slot, status: 'extra', suggestion: `The pada has ${template.length} syllables; this one is too many.` };
+
+    slot.provisional = !complete && i === syllables.length - 1 && syllable.weight === 'L';
+    const anceps = complete && i === template.length - 1 && syllable.anceps;
+    if (expected === 'x' || expected === syllable.weight || anceps) return { ...slot, status: 'match' };
+    return { ...slot, status: 'mismatch', suggestion: suggestFix(syllable, expected, syllables[i + 1]) };
+  });
+}
+
+/**
+ * Checks a verse being composed against a target meter, one pada per line.
+ * @param {string} text The verse so far.
+ * @param {Meter} meter The target meter.
+ * @param {{ scheme?: import('./transliterate.js').Scheme | 'auto', anceps?: boolean, meters?: Meter[] }} [options]
+ * @returns {Composition}
+ */
+export function checkComposition(text, meter, { scheme = 'auto', anceps = true, meters = METERS } = {}) {
+  const scansion = scan(text, { scheme, anceps });
+  const count = padaCount(meter);
+
+  const padas = Array.from({ length: count }, (_, index) => {
+    const pada = scansion.padas[index];
+    const pattern = pada?.pattern ?? '';
+    const shape = templateAt(meter, index, pattern, meters);
+    const base = { pada: index + 1, source: pada?.source ?? '' };
+
+    if (!shape) {
+      return { ...base, unit: 'syllables', target: pattern.length, written: pattern.length, remaining: 0, slots: [], mismatches: 0, note: `${meter.iast} has no fixed pattern here.` };
+    }
+    if ('matras' in shape) {
+      // The last syllable of a half-verse counts as Guru whatever its weight.
+      const anceps = shape.closes && pattern.endsWith('L') && countMatras(pattern) === shape.matras - 1;
+      const written = countMatras(pattern) + (anceps ? 1 : 0);
+      return { ...base, unit: 'matras', target: shape.matras, written, remaining: shape.matras - written, slots: [], mismatches: 0, note: 'Mātrā meter: Laghu counts 1 mātrā, Guru 2.' };
+    }
+
+    const slots = slotsOf(pada, shape.template);
+    const composed = {
+      ...base,
+      unit: 'syllables',
+      target: shape.template.length,
+      written: pattern.length,
+      remaining: shape.template.length - pattern.length,
+      slots,
+      mismatches: slots.filter(s => s.status === 'mismatch').length,
+    };
+    if (meter.rules === 'anushtubh' && index % 2 === 0 && shape.form !== 'pathya') composed.note = `Following the ${ANUSHTUBH_FORMS[shape.form]} form.`;
+    if (meter.kind === 'vedic') composed.note = 'Vedic meter: only the syllable count is fixed.';
+    return composed;
+  });
+
+  // Vedic verses may be a syllable short (nicṛt) or over (bhurik) in all.
+  const off = padas.reduce((total, p) => total + Math.abs(p.remaining), 0);
+  const complete = scansion.padas.length >= count && (off === 0 || (meter.kind === 'vedic' && off === 1));
+  const verse = { ...scansion, padas: scansion.padas.slice(0, count) };
+  const identification = complete ? identify(verse, meters, { mode: meter.kind === 'vedic' ? 'vedic' : 'classical' }) : null;
+  return {
+    meter,
+    padas,
+    extraLines: scansion.padas.slice(count).map(p => p.source),
+    complete,
+    identification,
+    fits: identification?.meter?.id === meter.id,
+  };
+}
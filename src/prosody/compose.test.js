@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { checkComposition, padaCount, suggestFix } from './compose.js';
+import { findMeter } from './meters.js';
+import { scan } from './scan.js';
+
+const INDRAVAJRA = findMeter('indravajra');
+const syllablesOf = (text) => scan(text, { anceps: false }).padas[0].syllables;
+
+describe('padaCount', () => {
+  it('gives four padas, or the padas of a Vedic meter', () => {
+    expect(padaCount(INDRAVAJRA)).toBe(4);
+    expect(padaCount(findMeter('gayatri'))).toBe(3);
+  });
+});
+
+describe('suggestFix', () => {
+  it('says how to make a Laghu heavy', () => {
+    const [ka, vi] = syllablesOf('कवि');
+    expect(suggestFix(ka, 'G', vi)).toBe('Needs a Guru, but क (ka) is Laghu: use a long vowel (ā for a), close it with anusvāra or visarga, or follow it with a conjunct consonant.');
+  });
+
+  it('says what makes a Guru heavy and how to lighten it', () => {
+    expect(suggestFix(syllablesOf('रामः')[0], 'L')).toBe('Needs a Laghu, but रा (rā) has a long vowel: use the short a for ā.');
+    expect(suggestFix(syllablesOf('कंस')[0], 'L')).toBe('Needs a Laghu, but कं (kaṃ) is closed by anusvāra: use a short syllable without it.');
+    const [a, sti] = syllablesOf('अस्ति');
+    expect(suggestFix(a, 'L', sti)).toBe('Needs a Laghu, but अ (a) is followed by the conjunct of स्ति: let a single consonant or a vowel follow it.');
+    expect(suggestFix(syllablesOf('वक्')[0], 'L')).toBe('Needs a Laghu, but वक् (vak) is closed by a consonant: end the pada on a vowel.');
+  });
+});
+
+describe('checkComposition', () => {
+  it('lays a pada being written against its slots', () => {
+    const { padas, complete, identification } = checkComposition('गोष्ठे गिरिं सव्य', INDRAVAJRA);
+    expect(padas).toHaveLength(4);
+    expect(padas[0]).toMatchObject({ unit: 'syllables', target: 11, written: 6, remaining: 5, mismatches: 0 });
+    expect(padas[0].slots.map(s => s.status)).toEqual([...Array(6).fill('match'), ...Array(5).fill('open')]);
+    expect(padas[0].slots[5]).toMatchObject({ text: 'व्य', provisional: true });
+    expect(padas[1]).toMatchObject({ source: '', written: 0, remaining: 11 });
+    expect(complete).toBe(false);
+    expect(identification).toBeNull();
+  });
+
+  it('marks a slot the written syllable does not fit', () => {
+    const [pada] = checkComposition('गोष्ठे गिरि सव्यकरेण धृत्वा', INDRAVAJRA).padas;
+    expect(pada.mismatches).toBe(1);
+    expect(pada.slots[3]).toMatchObject({ position: 4, expected: 'G', actual: 'L', text: 'रि', status: 'mismatch' });
+    expect(pada.slots[3].suggestion).toMatch(/^Needs a Guru, but रि \(ri\) is Laghu/);
+  });
+
+  it('marks syllables past the end of the pada', () => {
+    const [pada] = checkComposition('गोष्ठे गिरिं सव्यकरेण धृत्वा च', INDRAVAJRA).padas;
+    expect(pada.remaining).toBe(-1);
+    expect(pada.slots[11]).toMatchObject({ expected: '', status: 'extra', suggestion: 'The pada has 11 syllables; this one is too many.' });
+  });
+
+  it('identifies the finished verse and lists lines beyond its padas', () => {
+    const composition = checkComposition(`${INDRAVAJRA.example}\nअधिक`, INDRAVAJRA);
+    expect(composition).toMatchObject({ complete: true, fits: true, extraLines: ['अधिक'] });
+    expect(composition.identification.meter.id).toBe('indravajra');
+  });
+
+  it('leaves the first syllable of an upajāti pada open to either weight', () => {
+    expect(checkComposition('यं सर्वशैलाः', findMeter('upajati')).padas[0].slots.map(s => s.expected).join('')).toBe('xGLGGLLGLGG');
+  });
+
+  it('counts mātrās for a mātrā meter', () => {
+    expect(checkComposition('सुभगसलिलावगाहाः', findMeter('arya')).padas[0]).toMatchObject({ unit: 'matras', target: 12, written: 12, remaining: 0, slots: [] });
+  });
+
+  it('follows the Anuṣṭubh rules and counts only syllables in a Vedic meter', () => {
+    expect(checkComposition('धर्मक्षेत्रे कुरुक्षेत्रे', findMeter('anushtubh')).padas[0].slots.map(s => s.expected).join('')).toBe('xxxxLGGx');
+    expect(checkComposition('agnim īḷe purohitaṃ', findMeter('gayatri')).padas[0]).toMatchObject({
+      target: 8,
+      remaining: 0,
+      note: 'Vedic meter: only the syllable count is fixed.',
+    });
+  });
+});
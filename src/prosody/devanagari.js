@@ -0,0 +1,77 @@
+// Utility functions for Devanagari character analysis
+
+export const HALANT = '्';
+export const NUKTA = '़';
+export const AVAGRAHA = 'ऽ';
+export const INHERENT_VOWEL = 'अ';
+
+const SHORT_VOWELS = new Set(['अ', 'इ', 'उ', 'ऋ', 'ऌ', 'ि', 'ु', 'ृ', 'ॢ']);
+
+// Anusvāra, visarga, candrabindu, and the visarga allophones jihvāmūlīya (ᳵ) and upadhmānīya (ᳶ).
+const CLOSING_MARKS = new Set(['ं', 'ः', 'ँ', '\u1CF5', '\u1CF6']);
+
+export function isDevanagari(char) {
+  if (!char) return false;
+  const code = char.charCodeAt(0);
+  return code >= 0x0900 && code <= 0x097F;
+}
+
+/**
+ * Independent vowels (अ-औ, ॠ, ॡ).
+ */
+export function isIndependentVowel(char) {
+  if (!char) return false;
+  const code = char.charCodeAt(0);
+  return (code >= 0x0905 && code <= 0x0914) || code === 0x0960 || code === 0x0961;
+}
+
+/**
+ * Dependent vowel marks (matras), e.g. ा ि ी ु ू ृ े ै ो ौ.
+ */
+export function isVowelSign(char) {
+  if (!char) return false;
+  const code = char.charCodeAt(0);
+  return (code >= 0x093E && code <= 0x094C) || code === 0x0962 || code === 0x0963;
+}
+
+export function isVowel(char) {
+  return isIndependentVowel(char) || isVowelSign(char);
+}
+
+export function isShortVowel(char) {
+  // Short Vowels: अ, इ, उ, ऋ, ऌ (independent) and ि, ु, ृ, ॢ (dependent)
+  return SHORT_VOWELS.has(char);
+}
+
+export function isConsonant(char) {
+  if (!char) return false;
+  const code = char.charCodeAt(0);
+  return (code >= 0x0915 && code <= 0x0939) || (code >= 0x0958 && code <= 0x095F) || (code >= 0x0978 && code <= 0x097F);
+}
+
+export function isHalant(char) {
+  return char === HALANT;
+}
+
+export function isNukta(char) {
+  return char === NUKTA;
+}
+
+/**
+ * Marks that close a syllable and make it Guru: anusvāra (ं), visarga (ः),
+ * candrabindu (ँ), jihvāmūlīya (ᳵ) and upadhmānīya (ᳶ).
+ */
+export function isAnusvaraVisarga(char) {
+  return CLOSING_MARKS.has(char);
+}
+
+/**
+ * Vedic svara (accent) marks: udātta ॑, anudātta ॒, and the grave and acute
+ * accents ॓ ॔ (U+0951-0954), plus the tone marks of the Vedic Extensions block.
+ * They carry no syllabic weight.
+ */
+export function isSvara(char) {
+  if (!char) return false;
+  const code = char.charCodeAt(0);
+  return (code >= 0x0951 && code <= 0x0954) || (code >= 0x1CD0 && code <= 0x1CE8);
+}
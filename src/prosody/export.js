@@ -0,0 +1,285 @@
+import { describeMeter } from './meters.js';
+import { ganaFormula } from './gana.js';
+import { fromDevanagari } from './transliterate.js';
+
+/**
+ * Export of analyses as JSON, CSV (one row per pada), TEI-XML and a printable
+ * HTML report. Every exporter takes a list of analyses, so a single verse and a
+ * whole session are exported the same way.
+ */
+
+/**
+ * @typedef {import('./scan.js').Scansion} Scansion
+ * @typedef {import('./identify.js').Identification} Identification
+ */
+
+/**
+ * @typedef {object} Analysis
+ * @property {string} [number] Verse number; the position in the list when omitted.
+ * @property {Scansion} scansion
+ * @property {Identification} identification
+ */
+
+const numberOf = (analysis, index) => analysis.number ?? String(index + 1);
+
+/**
+ * The pattern the identified meter expects at a pada, when it has a fixed one.
+ * @param {Identification} identification
+ * @param {number} index 0-based pada index.
+ * @returns {string | null}
+ */
+function expectedPattern(identification, index) {
+  const { meter } = identification;
+  if (!meter || identification.status !== 'match') return null;
+  switch (meter.kind) {
+    case 'sama':
+      return meter.patterns?.[0] ?? null;
+    case 'ardhasama':
+      return (index % 2 === 0 ? meter.odd : meter.even)[0];
+    case 'vishama':
+      return meter.padas[index]?.[0] ?? null;
+    case 'upajati':
+      return identification.padas[index]?.meter?.patterns?.[0] ?? null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts analyses to plain, serialisable records.
+ * @param {Analysis[]} analyses
+ */
+export function toRecords(analyses) {
+  return analyses.map((analysis, index) => {
+    const { scansion, identification } = analysis;
+    return {
+      verse: numberOf(analysis, index),
+      scheme: scansion.scheme,
+      status: identification.status,
+      meter: identification.meter
+        ? { id: identification.meter.id, name: identification.meter.name, iast: identification.meter.iast, kind: identification.meter.kind }
+        : null,
+      label: identification.label,
+      violations: identification.report?.violations?.map(v => v.message) ?? [],
+      yati: identification.yati?.points ?? [],
+      padas: scansion.padas.map((pada, padaIndex) => ({
+        text: pada.text,
+        source: pada.source,
+        pattern: pada.pattern,
+        expected: expectedPattern(identification, padaIndex),
+        ganas: ganaFormula(pada.ganas),
+        matras: identification.matras[padaIndex],
+        syllables: pada.syllables.map(s => ({ text: s.text, weight: s.weight, reason: s.reason })),
+      })),
+    };
+  });
+}
+
+/**
+ * @param {Analysis[]} analyses
+ * @returns {string}
+ */
+export function toJSON(analyses) {
+  return JSON.stringify(toRecords(analyses), null, 2);
+}
+
+/**
+ * Quotes a CSV field when needed. Null and undefined give an empty field.
+ * @param {string | number | null | undefined} value
+ * @returns {string}
+ */
+export function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per pada.
+ * @param {Analysis[]} analyses
+ * @returns {string}
+ */
+export function toCSV(analyses) {
+  const header = ['verse', 'pada', 'text', 'syllables', 'pattern', 'expected', 'ganas', 'matras', 'meter', 'meter_name', 'status'];
+  const rows = toRecords(analyses).flatMap(record => record.padas.map((pada, index) => [
+    record.verse,
+    index + 1,
+    pada.text,
+    pada.syllables.length,
+    pada.pattern,
+    pada.expected,
+    pada.ganas,
+    pada.matras,
+    record.meter?.id,
+    record.meter?.name,
+    record.status,
+  ]));
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+}
+
+/**
+ * Escapes text for XML and HTML.
+ * @param {string} text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * A TEI document with one `<lg>` per verse, whose `type` names the meter, and one
+ * `<l>` per pada with its scanned pattern in `real` (and the meter's pattern in
+ * `met` where the meter fixes one). Every `met` and `real` is a Laghu-Guru
+ * pattern, as the `<metDecl>` declares; the `<lg>` has a `met` of its own when
+ * all its padas share one.
+ * @param {Analysis[]} analyses
+ * @param {{ title?: string }} [options]
+ * @returns {string}
+ */
+export function toTEI(analyses, { title = 'Metrical analysis' } = {}) {
+  const groups = toRecords(analyses).map((record) => {
+    const type = record.meter ? escapeXml(record.meter.iast) : 'verse';
+    const patterns = new Set(record.padas.map(pada => pada.expected));
+    const met = patterns.size === 1 && record.padas[0].expected ? ` met="${record.padas[0].expected}"` : '';
+    const lines = record.padas.map((pada, index) => {
+      const expected = pada.expected ? ` met="${pada.expected}"` : '';
+      return `          <l n="${index + 1}"${expected} real="${pada.pattern}">${escapeXml(pada.text)}</l>`;
+    });
+    return [`        <lg type="${type}" n="${escapeXml(record.verse)}"${met}>`, ...lines, '        </lg>'].join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TEI xmlns="http://www.tei-c.org/ns/1.0">
+  <teiHeader>
+    <fileDesc>
+      <titleStmt>
+        <title>${escapeXml(title)}</title>
+      </titleStmt>
+      <publicationStmt>
+        <p>Exported from Chandas Identifier.</p>
+      </publicationStmt>
+      <sourceDesc>
+        <p>Scansion of the entered text.</p>
+      </sourceDesc>
+    </fileDesc>
+    <encodingDesc>
+      <metDecl type="met real" pattern="[LG]+">
+        <metSym value="L">laghu (light syllable)</metSym>
+        <metSym value="G">guru (heavy syllable)</metSym>
+      </metDecl>
+    </encodingDesc>
+  </teiHeader>
+  <text>
+    <body>
+      <div>
+${groups.join('\n')}
+      </div>
+    </body>
+  </text>
+</TEI>
+`;
+}
+
+const REPORT_STYLE = `
+  body { font-family: 'Noto Sans Devanagari', Arial, sans-serif; margin: 2rem; color: #1f2937; }
+  h1 { font-size: 1.5rem; }
+  .verse { break-inside: avoid; border-top: 1px solid #d1d5db; padding: 1rem 0; }
+  .meter { font-weight: bold; color: #6d28d9; }
+  .description { color: #4b5563; font-size: 0.9rem; }
+  .pada { margin: 0.75rem 0; }
+  .pada-text { font-size: 1.1rem; margin-bottom: 0.25rem; }
+  .ganas { display: flex; flex-wrap: wrap; gap: 0.5rem; }
+  .gana { display: flex; flex-direction: column; align-items: center; }
+  .gana-syllables { display: flex; gap: 0.25rem; }
+  .gana-name { border-top: 2px solid #c4b5fd; width: 100%; text-align: center; font-size: 0.75rem; color: #6d28d9; }
+  .syllable { display: flex; flex-direction: column; align-items: center; }
+  .badge { padding: 0.1rem 0.5rem; border-radius: 0.375rem; font-family: monospace; font-weight: bold; }
+  .L { background: #bbf7d0; color: #166534; border: 1px solid #86efac; }
+  .G { background: #fecaca; color: #991b1b; border: 1px solid #fca5a5; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+`;
+
+// The report style for a block inside a page, with every rule scoped to the
+// block so the page around it keeps its own: no page margin, no rule above the first verse.
+const FRAGMENT_STYLE = `${REPORT_STYLE.replace(/^(\s*)([^{\n]+?) \{/gm, (rule, indent, selector) => {
+  if (selector === 'body') return `${indent}.report {`;
+  if (selector === '*') return `${indent}.report, .report * {`;
+  return `${indent}.report ${selector} {`;
+})}
+  :host { display: block; }
+  .report { margin: 0; }
+  .report .verse:first-child { border-top: none; padding-top: 0; }
+`;
+
+/**
+ * One verse of an HTML report.
+ * @param {Analysis} analysis
+ * @param {number} index
+ * @param {import('./transliterate.js').Scheme} scheme
+ * @param {boolean} numbered Whether to head the verse with its number.
+ * @returns {string}
+ */
+function verseSection(analysis, index, scheme, numbered) {
+  const { scansion, identification } = analysis;
+  const padas = scansion.padas.map((pada) => {
+    const ganas = pada.ganas.map((gana) => {
+      const syllables = pada.syllables.slice(gana.start, gana.start + gana.pattern.length).map(s =>
+        `<span class="syllable"><span>${escapeXml(fromDevanagari(s.text, scheme))}</span><span class="badge ${s.weight}">${s.weight}</span></span>`);
+      return `<div class="gana"><div class="gana-syllables">${syllables.join('')}</div><div class="gana-name">${gana.letter} (${gana.name})</div></div>`;
+    });
+    return `<div class="pada"><div class="pada-text">${escapeXml(fromDevanagari(pada.text, scheme))}</div><div class="ganas">${ganas.join('')}</div></div>`;
+  });
+  const heading = numbered ? `\n  <h2>Verse ${escapeXml(numberOf(analysis, index))}</h2>` : '';
+  const description = identification.meter ? `<p class="description">${escapeXml(describeMeter(identification.meter))}</p>` : '';
+  return `<section class="verse">${heading}
+  <p class="meter">${escapeXml(identification.label)}</p>
+  ${description}
+  ${padas.join('\n  ')}
+</section>`;
+}
+
+/**
+ * A standalone, print-ready HTML report: each verse with its meter and
+ * description, and every pada as colour-coded Laghu-Guru badges grouped in gaṇas.
+ * @param {Analysis[]} analyses
+ * @param {{ title?: string, scheme?: import('./transliterate.js').Scheme }} [options]
+ *   `scheme` is the script the verses are shown in (Devanagari by default).
+ * @returns {string}
+ */
+export function toHTMLReport(analyses, { title = 'Metrical analysis', scheme = 'devanagari' } = {}) {
+  const verses = analyses.map((analysis, index) => verseSection(analysis, index, scheme, true));
+
+  return `<!DOCTYPE html>
+<html lang="sa">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<p>L: Laghu (light), G: Guru (heavy).</p>
+${verses.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * The verses of the HTML report with its style but without the page around
+ * them, for embedding in another page (or a shadow root). A single verse is
+ * shown without a number.
+ * @param {Analysis[]} analyses
+ * @param {{ scheme?: import('./transliterate.js').Scheme }} [options]
+ * @returns {string}
+ */
+export function toHTMLFragment(analyses, { scheme = 'devanagari' } = {}) {
+  const verses = analyses.map((analysis, index) => verseSection(analysis, index, scheme, analyses.length > 1));
+  return `<style>${FRAGMENT_STYLE}</style>
+<div class="report" lang="sa">
+${verses.join('\n')}
+</div>
+`;
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { csvField, toCSV, toHTMLFragment, toHTMLReport, toJSON, toRecords, toTEI } from './export.js';
+import { findMeter } from './meters.js';
+import { identify } from './identify.js';
+import { scan } from './scan.js';
+
+const analysisOf = (verse, number) => {
+  const scansion = scan(verse);
+  return { number, scansion, identification: identify(scansion) };
+};
+
+const INDRAVAJRA = analysisOf(findMeter('indravajra').example, '1.1');
+const UPAJATI = analysisOf(findMeter('upajati').example);
+
+describe('csvField', () => {
+  it('quotes fields with commas, quotes or newlines', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField(12)).toBe('12');
+    expect(csvField('a, "b"')).toBe('"a, ""b"""');
+    expect(csvField('a\nb')).toBe('"a\nb"');
+    expect(csvField(null)).toBe('');
+    expect(csvField(undefined)).toBe('');
+  });
+});
+
+describe('toRecords', () => {
+  it('gives each pada its pattern and the pattern the meter expects', () => {
+    const [record] = toRecords([INDRAVAJRA]);
+    expect(record).toMatchObject({ verse: '1.1', status: 'match', meter: { id: 'indravajra', kind: 'sama' } });
+    expect(record.padas).toHaveLength(4);
+    expect(record.padas[0]).toMatchObject({ pattern: 'GGLGGLLGLGG', expected: 'GGLGGLLGLGG', ganas: 'ta ta ja ga ga', matras: 18 });
+    expect(JSON.parse(toJSON([INDRAVAJRA]))).toEqual(toRecords([INDRAVAJRA]));
+  });
+
+  it('takes the expected pattern of an upajāti pada from its component', () => {
+    const [record] = toRecords([UPAJATI]);
+    expect(record.verse).toBe('1');
+    expect(record.padas.map(p => p.expected)).toEqual(UPAJATI.identification.padas.map(p => p.meter.patterns[0]));
+  });
+});
+
+describe('toCSV', () => {
+  it('writes one row per pada', () => {
+    const lines = toCSV([INDRAVAJRA, UPAJATI]).split('\n');
+    expect(lines[0]).toBe('verse,pada,text,syllables,pattern,expected,ganas,matras,meter,meter_name,status');
+    expect(lines).toHaveLength(9);
+    expect(lines[1]).toMatch(/^1\.1,1,.*,11,GGLGGLLGLGG,GGLGGLLGLGG,ta ta ja ga ga,18,indravajra,इन्द्रवज्रा \(Indravajrā\),match$/);
+  });
+});
+
+describe('toTEI', () => {
+  it('names the meter in lg/@type and keeps every @met a Laghu-Guru pattern', () => {
+    const tei = toTEI([INDRAVAJRA, UPAJATI], { title: 'Kumārasambhava & co.' });
+    expect(tei).toContain('<title>Kumārasambhava &amp; co.</title>');
+    expect(tei).toContain('<metDecl type="met real" pattern="[LG]+">');
+    expect(tei).toContain('<lg type="Indravajrā" n="1.1" met="GGLGGLLGLGG">');
+    expect(tei).toContain('<lg type="Upajāti" n="2">');
+    expect(tei).toContain('<l n="1" met="GGLGGLLGLGG" real="GGLGGLLGLGG">');
+    for (const [, met] of tei.matchAll(/ met="([^"]*)"/g)) expect(met).toMatch(/^[LG]+$/);
+  });
+
+  it('leaves unidentified verses a plain type and no met', () => {
+    const tei = toTEI([analysisOf('राम\nरामरामा', '9')]);
+    expect(tei).toContain('<lg type="verse" n="9">');
+    expect(tei).not.toMatch(/<l [^>]*met=/);
+  });
+});
+
+describe('HTML', () => {
+  it('writes a standalone report with badges, gaṇas and the description', () => {
+    const html = toHTMLReport([INDRAVAJRA], { title: 'Report', scheme: 'iast' });
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<h2>Verse 1.1</h2>');
+    expect(html).toContain('<span class="badge G">G</span>');
+    expect(html).toContain('<div class="gana-name">त (ta)<');
+    expect(html).toContain('<p class="description">');
+  });
+
+  it('writes a fragment without the page, numbering only several verses', () => {
+    const single = toHTMLFragment([INDRAVAJRA]);
+    expect(single).not.toContain('<html');
+    expect(single).not.toContain('<h2>');
+    expect(single).toContain('<div class="report" lang="sa">');
+    expect(toHTMLFragment([INDRAVAJRA, UPAJATI])).toContain('<h2>Verse 2</h2>');
+  });
+
+  it('scopes the fragment style to the report', () => {
+    const style = toHTMLFragment([INDRAVAJRA]).match(/<style>([^]*)<\/style>/)[1];
+    const selectors = style.match(/^\s*[^{\n]+(?= \{)/gm).map(selector => selector.trim());
+    expect(selectors.filter(selector => selector !== ':host' && !selector.startsWith('.report'))).toEqual([]);
+    expect(selectors).toContain('.report, .report *');
+  });
+});
@@ -0,0 +1,188 @@
+import { METERS } from './meters.js';
+
+/**
+ * Ranked approximate matching. Each pada is aligned with the pattern a meter
+ * expects there by a weighted edit distance over the Laghu-Guru sequence, so a
+ * verse with a wrong, missing or extra syllable still finds its meter and the
+ * faulty syllables can be pointed out.
+ */
+
+/**
+ * @typedef {import('./meters.js').Meter} Meter
+ * @typedef {import('./scan.js').Scansion} Scansion
+ */
+
+/**
+ * One place where a pada departs from the pattern of a meter.
+ * @typedef {object} Difference
+ * @property {number} pada 1-based pada number.
+ * @property {number} position 1-based syllable position in the scanned pada. For a missing
+ *   syllable, the position it should have had (one past the end when missing at the end).
+ * @property {'substitution' | 'missing' | 'extra'} type
+ * @property {string} expected 'L' or 'G'; '' for an extra syllable.
+ * @property {string} actual 'L' or 'G'; '' for a missing syllable.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} RankedMeter
+ * @property {Meter} meter
+ * @property {number} distance Weighted edit distance summed over all padas; 0 is an exact match.
+ * @property {number} score Similarity from 0 to 1, relative to the number of expected syllables.
+ * @property {string[]} expected The pattern of the meter each pada was aligned with.
+ * @property {Difference[]} differences In pada and syllable order.
+ */
+
+/**
+ * Costs of the edit operations. Changing the number of syllables is a worse
+ * fault than misreading a weight. A wrong weight on the pada-final syllable
+ * costs least, and nothing when the scansion treats that syllable as anceps.
+ */
+export const EDIT_COSTS = {
+  substitution: 1,
+  finalSubstitution: 0.5,
+  missing: 1.5,
+  extra: 1.5,
+};
+
+/**
+ * Aligns a scanned pada with an expected pattern.
+ * @param {string} actual
+ * @param {string} expected
+ * @param {number} pada 1-based pada number, for the messages.
+ * @param {boolean} [anceps] The pada-final syllable may have either weight.
+ * @returns {{ distance: number, differences: Difference[] }}
+ */
+export function alignPada(actual, expected, pada, anceps = false) {
+  const rows = actual.length + 1;
+  const cols = expected.length + 1;
+  const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  for (let i = 1; i < rows; i++) cost[i][0] = i * EDIT_COSTS.extra;
+  for (let j = 1; j < cols; j++) cost[0][j] = j * EDIT_COSTS.missing;
+
+  const substitution = (i, j) => {
+    if (actual[i - 1] === expected[j - 1]) return 0;
+    if (anceps && i === actual.length && j === expected.length) return 0;
+    return j === expected.length ? EDIT_COSTS.finalSubstitution : EDIT_COSTS.substitution;
+  };
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + substitution(i, j),
+        cost[i - 1][j] + EDIT_COSTS.extra,
+        cost[i][j - 1] + EDIT_COSTS.missing,
+      );
+    }
+  }
+
+  const differences = [];
+  let i = actual.length;
+  let j = expected.length;
+  // Walk back from the end, preferring gaps on ties so they are reported as late as possible.
+  while (i > 0 || j > 0) {
+    if (j > 0 && cost[i][j] === cost[i][j - 1] + EDIT_COSTS.missing) {
+      differences.push({
+        pada,
+        position: i + 1,
+        type: 'missing',
+        expected: expected[j - 1],
+        actual: '',
+        message: `Pada ${pada}, syllable ${i + 1}: missing ${expected[j - 1]}.`,
+      });
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + EDIT_COSTS.extra) {
+      differences.push({
+        pada,
+        position: i,
+        type: 'extra',
+        expected: '',
+        actual: actual[i - 1],
+        message: `Pada ${pada}, syllable ${i}: extra ${actual[i - 1]}.`,
+      });
+      i--;
+    } else {
+      if (substitution(i, j) > 0) {
+        differences.push({
+          pada,
+          position: i,
+          type: 'substitution',
+          expected: expected[j - 1],
+          actual: actual[i - 1],
+          message: `Pada ${pada}, syllable ${i}: expected ${expected[j - 1]}, got ${actual[i - 1]}.`,
+        });
+      }
+      i--;
+      j--;
+    }
+  }
+
+  return { distance: cost[actual.length][expected.length], differences: differences.reverse() };
+}
+
+/**
+ * Lists the patterns a meter accepts at a pada, or null if the meter has no
+ * fixed patterns there (rule-based, mātrā and Vedic meters).
+ * @param {Meter} meter
+ * @param {number} index 0-based pada index.
+ * @param {number} count Number of padas in the verse.
+ * @param {Meter[]} meters For looking up upajāti components.
+ * @returns {string[] | null}
+ */
+export function expectedAt(meter, index, count, meters) {
+  switch (meter.kind) {
+    case 'sama':
+      return meter.patterns || null;
+    case 'ardhasama':
+      return index % 2 === 0 ? meter.odd : meter.even;
+    case 'vishama':
+      return count === meter.padas.length ? meter.padas[index] : null;
+    case 'upajati':
+      if (meter.order) return count === meter.order.length ? meters.find(m => m.id === meter.order[index])?.patterns ?? null : null;
+      return meters.filter(m => meter.components.includes(m.id)).flatMap(m => m.patterns || []);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Ranks meters by how closely a scanned verse follows them.
+ * @param {Scansion} scansion The result of `scan()`.
+ * @param {Meter[]} [meters] The meters to rank.
+ * @param {{ limit?: number }} [options] How many meters to return (5 by default).
+ * @returns {RankedMeter[]} Closest first.
+ */
+export function rankMeters(scansion, meters = METERS, { limit = 5 } = {}) {
+  const patterns = scansion.padas.map(p => p.pattern);
+  if (patterns.length === 0) return [];
+
+  const ranked = [];
+  for (const meter of meters) {
+    let distance = 0;
+    let length = 0;
+    const expected = [];
+    const differences = [];
+
+    const fits = patterns.every((pattern, index) => {
+      const accepted = expectedAt(meter, index, patterns.length, meters);
+      if (!accepted || accepted.length === 0) return false;
+      let best = null;
+      for (const candidate of accepted) {
+        const alignment = alignPada(pattern, candidate, index + 1, scansion.anceps);
+        if (!best || alignment.distance < best.distance) best = { ...alignment, candidate };
+      }
+      distance += best.distance;
+      length += best.candidate.length;
+      expected.push(best.candidate);
+      differences.push(...best.differences);
+      return true;
+    });
+    if (!fits) continue;
+
+    ranked.push({ meter, distance, score: Math.max(0, 1 - distance / length), expected, differences });
+  }
+
+  return ranked
+    .sort((a, b) => a.distance - b.distance || a.differences.length - b.differences.length)
+    .slice(0, limit);
+}
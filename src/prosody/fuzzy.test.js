@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { alignPada, EDIT_COSTS, expectedAt, rankMeters } from './fuzzy.js';
+import { findMeter, METERS } from './meters.js';
+import { scan } from './scan.js';
+
+// A Laghu-Guru pattern as a one-pada-per-line scansion, without going through Devanagari.
+const scansionOf = (patterns, anceps = false) => ({ anceps, padas: patterns.map(pattern => ({ pattern })) });
+
+describe('alignPada', () => {
+  it('finds nothing to change in an exact match', () => {
+    expect(alignPada('GGLGGLLGLGG', 'GGLGGLLGLGG', 1)).toEqual({ distance: 0, differences: [] });
+  });
+
+  it('reports a wrong weight at its syllable', () => {
+    const { distance, differences } = alignPada('GGLLGLLGLGG', 'GGLGGLLGLGG', 2);
+    expect(distance).toBe(EDIT_COSTS.substitution);
+    expect(differences).toEqual([
+      { pada: 2, position: 4, type: 'substitution', expected: 'G', actual: 'L', message: 'Pada 2, syllable 4: expected G, got L.' },
+    ]);
+  });
+
+  it('reports missing and extra syllables', () => {
+    expect(alignPada('GGLGGLLGLG', 'GGLGGLLGLGG', 1).differences).toEqual([
+      expect.objectContaining({ type: 'missing', position: 11, expected: 'G', actual: '' }),
+    ]);
+    expect(alignPada('GGLGGLLLGLGG', 'GGLGGLLGLGG', 1)).toMatchObject({
+      distance: EDIT_COSTS.extra,
+      differences: [expect.objectContaining({ type: 'extra', actual: 'L' })],
+    });
+  });
+
+  it('charges less for the last syllable, and nothing with the anceps', () => {
+    expect(alignPada('GGLGGLLGLGL', 'GGLGGLLGLGG', 1).distance).toBe(EDIT_COSTS.finalSubstitution);
+    expect(alignPada('GGLGGLLGLGL', 'GGLGGLLGLGG', 1, true)).toEqual({ distance: 0, differences: [] });
+  });
+});
+
+describe('expectedAt', () => {
+  it('gives the patterns a meter expects at each pada', () => {
+    expect(expectedAt(findMeter('indravajra'), 2, 4, METERS)).toEqual(['GGLGGLLGLGG']);
+    expect(expectedAt(findMeter('viyogini'), 1, 4, METERS)).toEqual(findMeter('viyogini').even);
+    expect(expectedAt(findMeter('upajati'), 0, 4, METERS)).toEqual(['GGLGGLLGLGG', 'LGLGGLLGLGG']);
+    expect(expectedAt(findMeter('akhyanaki'), 1, 4, METERS)).toEqual(['LGLGGLLGLGG']);
+  });
+
+  it('has nothing for meters without fixed patterns, or the wrong number of padas', () => {
+    expect(expectedAt(findMeter('anushtubh'), 0, 4, METERS)).toBeNull();
+    expect(expectedAt(findMeter('arya'), 0, 4, METERS)).toBeNull();
+    expect(expectedAt(findMeter('akhyanaki'), 1, 3, METERS)).toBeNull();
+    expect(expectedAt(findMeter('udgata'), 1, 2, METERS)).toBeNull();
+  });
+});
+
+describe('rankMeters', () => {
+  it('puts the meter a verse follows first, at distance 0', () => {
+    const [best] = rankMeters(scan(findMeter('mandakranta').example));
+    expect(best).toMatchObject({ meter: { id: 'mandakranta' }, distance: 0, score: 1, differences: [] });
+  });
+
+  it('finds the meter of a verse with one wrong syllable', () => {
+    const vasantatilaka = findMeter('vasantatilaka').patterns[0];
+    const wrong = `${vasantatilaka.slice(0, 5)}G${vasantatilaka.slice(6)}`;
+    const [best] = rankMeters(scansionOf([vasantatilaka, wrong, vasantatilaka, vasantatilaka]));
+    expect(best.meter.id).toBe('vasantatilaka');
+    expect(best.differences).toEqual([expect.objectContaining({ pada: 2, position: 6, expected: 'L', actual: 'G' })]);
+  });
+
+  it('limits the number of meters and skips empty verses', () => {
+    expect(rankMeters(scansionOf(['GGLGGLLGLGG']), METERS, { limit: 2 })).toHaveLength(2);
+    expect(rankMeters(scansionOf([]))).toEqual([]);
+  });
+});
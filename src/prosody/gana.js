@@ -0,0 +1,75 @@
+/**
+ * @typedef {'ya' | 'ma' | 'ta' | 'ra' | 'ja' | 'bha' | 'na' | 'sa' | 'la' | 'ga'} GanaName
+ */
+
+/**
+ * @typedef {object} Gana
+ * @property {GanaName} name
+ * @property {string} letter The Devanagari abbreviation used in lakshana verses (य, म, त, ...).
+ * @property {string} abbreviation Latin abbreviation (Y, M, T, R, J, B, N, S, L, G).
+ * @property {string} pattern Laghu-Guru pattern of the group.
+ * @property {number} start Index of the first syllable of the group in the pada.
+ */
+
+// The eight trisyllabic feet, in the order of the mnemonic ya-mā-tā-rā-ja-bhā-na-sa-la-gā.
+export const GANAS = [
+  { name: 'ya', letter: 'य', abbreviation: 'Y', pattern: 'LGG' },
+  { name: 'ma', letter: 'म', abbreviation: 'M', pattern: 'GGG' },
+  { name: 'ta', letter: 'त', abbreviation: 'T', pattern: 'GGL' },
+  { name: 'ra', letter: 'र', abbreviation: 'R', pattern: 'GLG' },
+  { name: 'ja', letter: 'ज', abbreviation: 'J', pattern: 'LGL' },
+  { name: 'bha', letter: 'भ', abbreviation: 'B', pattern: 'GLL' },
+  { name: 'na', letter: 'न', abbreviation: 'N', pattern: 'LLL' },
+  { name: 'sa', letter: 'स', abbreviation: 'S', pattern: 'LLG' },
+];
+
+// Leftover single syllables are named la (laghu) and ga (guru).
+const SINGLES = {
+  L: { name: 'la', letter: 'ल', abbreviation: 'L', pattern: 'L' },
+  G: { name: 'ga', letter: 'ग', abbreviation: 'G', pattern: 'G' },
+};
+
+const GANA_BY_PATTERN = new Map(GANAS.map(g => [g.pattern, g]));
+
+/**
+ * Splits a pada pattern into consecutive ganas of three syllables, with any
+ * leftover syllables named la or ga.
+ * @param {string} pattern Compact Laghu-Guru string, e.g. "LGLGGLLGLGG".
+ * @returns {Gana[]}
+ */
+export function splitGanas(pattern) {
+  const groups = [];
+  let start = 0;
+  for (; start + 3 <= pattern.length; start += 3) {
+    groups.push({ ...GANA_BY_PATTERN.get(pattern.slice(start, start + 3)), start });
+  }
+  for (; start < pattern.length; start++) {
+    groups.push({ ...SINGLES[pattern[start]], start });
+  }
+  return groups;
+}
+
+/**
+ * Writes a gana split as a formula, e.g. "ja ta ja ga ga".
+ * @param {Gana[]} ganas
+ * @param {'name' | 'letter' | 'abbreviation'} [style]
+ * @returns {string}
+ */
+export function ganaFormula(ganas, style = 'name') {
+  return ganas.map(g => g[style]).join(' ');
+}
+
+const PATTERN_BY_NAME = new Map([...GANAS, ...Object.values(SINGLES)].map(g => [g.name, g.pattern]));
+
+/**
+ * Expands a gana formula into its Laghu-Guru pattern, e.g. "ja ta ja ga ga" -> "LGLGGLLGLGG".
+ * @param {string} formula Space-separated gana names.
+ * @returns {string}
+ */
+export function formulaToPattern(formula) {
+  return formula.trim().split(/\s+/).map((name) => {
+    const pattern = PATTERN_BY_NAME.get(name);
+    if (!pattern) throw new Error(`Unknown gaṇa "${name}" in formula "${formula}".`);
+    return pattern;
+  }).join('');
+}
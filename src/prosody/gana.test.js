@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { formulaToPattern, ganaFormula, GANAS, splitGanas } from './gana.js';
+
+describe('gaṇas', () => {
+  it('follow the ya-mā-tā-rā-ja-bhā-na-sa-la-gā mnemonic', () => {
+    // Each gaṇa is the three syllables starting at its own place in the mnemonic.
+    const mnemonic = 'LGGGLGLLLG'; // ya mā tā rā ja bhā na sa la gā
+    GANAS.forEach((gana, i) => expect(mnemonic.slice(i, i + 3)).toBe(gana.pattern));
+  });
+
+  it('split a pada into gaṇas with la and ga left over', () => {
+    const ganas = splitGanas('LGLGGLLGLGG');
+    expect(ganaFormula(ganas)).toBe('ja ta ja ga ga');
+    expect(ganaFormula(ganas, 'letter')).toBe('ज त ज ग ग');
+    expect(ganaFormula(ganas, 'abbreviation')).toBe('J T J G G');
+    expect(ganas.map(g => g.start)).toEqual([0, 3, 6, 9, 10]);
+  });
+
+  it('expand a formula back to its pattern', () => {
+    expect(formulaToPattern('ma bha na ta ta ga ga')).toBe('GGGGLLLLLGGLGGLGG');
+    expect(formulaToPattern(' ja  ta ja ga ga ')).toBe('LGLGGLLGLGG');
+    expect(() => formulaToPattern('ja xa')).toThrow('Unknown gaṇa "xa"');
+  });
+});
@@ -0,0 +1,281 @@
+import { METERS } from './meters.js';
+import { checkAnushtubh } from './anushtubh.js';
+import { checkMatra, countMatras } from './matra.js';
+import { rankMeters } from './fuzzy.js';
+import { checkYati } from './yati.js';
+import { checkVedic } from './vedic.js';
+
+/**
+ * @typedef {import('./meters.js').Meter} Meter
+ * @typedef {import('./scan.js').Scansion} Scansion
+ * @typedef {import('./anushtubh.js').AnushtubhReport} AnushtubhReport
+ * @typedef {import('./matra.js').MatraReport} MatraReport
+ * @typedef {import('./fuzzy.js').RankedMeter} RankedMeter
+ * @typedef {import('./yati.js').YatiReport} YatiReport
+ * @typedef {import('./vedic.js').VedicReport} VedicReport
+ */
+
+/**
+ * Which component meter a single pada follows.
+ * @typedef {object} PadaMatch
+ * @property {number} pada 1-based pada number.
+ * @property {Meter | null} meter The sama meter whose pattern the pada follows, if any.
+ * @property {string | null} component Description of the pada's role, e.g. "इन्द्रवज्रा (Indravajrā)" or "odd pada".
+ */
+
+/**
+ * @typedef {object} Identification
+ * @property {'match' | 'candidate' | 'unknown' | 'irregular' | 'empty'} status
+ * @property {Meter | null} meter The matched meter, when status is 'match'.
+ * @property {number} syllables Syllables in the first pada.
+ * @property {string} label Human-readable summary of the result.
+ * @property {PadaMatch[]} padas Per-pada matches, in verse order.
+ * @property {number[]} matras Mātrā totals per pada.
+ * @property {AnushtubhReport | MatraReport | VedicReport} [report] Result of the rule-based, mātrā or Vedic check.
+ * @property {YatiReport} [yati] Caesura check, when the matched meter has a yati.
+ * @property {RankedMeter[]} candidates The closest meters with the syllables that differ, when there is no match.
+ */
+
+// Rule-based checks, keyed by the `rules` field of a meter.
+const RULE_CHECKS = {
+  anushtubh: checkAnushtubh,
+};
+
+const kindOf = (meter) => meter.kind || 'sama';
+
+const KIND_LABELS = {
+  ardhasama: 'ardhasama: odd and even padas differ',
+  vishama: 'viṣama: every pada differs',
+};
+
+/**
+ * Checks the yati of a matched verse, if any of its pada meters has one.
+ * @param {import('./scan.js').Pada[]} padas
+ * @param {(Meter | null)[]} padaMeters
+ * @returns {{ yati?: YatiReport }}
+ */
+function yatiOf(padas, padaMeters) {
+  return padaMeters.some(m => m?.yati?.length > 1) ? { yati: checkYati(padas, padaMeters) } : {};
+}
+
+/**
+ * Whether a pada pattern is one of the accepted patterns. With pada-final
+ * flexibility the last syllable matches either weight.
+ * @param {string[]} accepted
+ * @param {string} pattern
+ * @param {boolean} anceps
+ * @returns {boolean}
+ */
+function accepts(accepted, pattern, anceps) {
+  return accepted.some(p => p === pattern || (anceps && p.length === pattern.length && p.slice(0, -1) === pattern.slice(0, -1)));
+}
+
+/**
+ * Lists, for each pada, the sama meter with a fixed pattern that the pada follows,
+ * preferring an exact match over one that relies on the pada-final anceps.
+ * @param {string[]} patterns
+ * @param {Meter[]} meters
+ * @param {boolean} anceps
+ * @returns {PadaMatch[]}
+ */
+function matchPadas(patterns, meters, anceps) {
+  const samas = meters.filter(m => kindOf(m) === 'sama' && m.patterns);
+  return patterns.map((pattern, index) => {
+    const meter = samas.find(m => m.patterns.includes(pattern)) || samas.find(m => accepts(m.patterns, pattern, anceps)) || null;
+    return { pada: index + 1, meter, component: meter ? meter.name : null };
+  });
+}
+
+/**
+ * Finds the sama meter every pada follows. When several do (thanks to the
+ * pada-final anceps), the one most padas follow exactly wins.
+ * @param {string[]} patterns
+ * @param {Meter[]} meters
+ * @param {boolean} anceps
+ * @returns {Meter | null}
+ */
+function matchSama(patterns, meters, anceps) {
+  let best = null;
+  let bestExact = -1;
+  for (const meter of meters) {
+    if (kindOf(meter) !== 'sama' || !meter.patterns) continue;
+    if (!patterns.every(pattern => accepts(meter.patterns, pattern, anceps))) continue;
+    const exact = patterns.filter(pattern => meter.patterns.includes(pattern)).length;
+    if (exact > bestExact) {
+      best = meter;
+      bestExact = exact;
+    }
+  }
+  return best;
+}
+
+/**
+ * Tries the meters whose padas are not all alike: upajāti, ardhasama and viṣama.
+ * @param {string[]} patterns
+ * @param {Meter[]} meters
+ * @param {boolean} anceps
+ * @returns {{ meter: Meter, padas: PadaMatch[] } | null}
+ */
+function matchMixed(patterns, meters, anceps) {
+  for (const meter of meters) {
+    const kind = kindOf(meter);
+
+    if (kind === 'upajati') {
+      const components = meters.filter(m => meter.components.includes(m.id));
+      const padas = patterns.map((pattern, index) => {
+        const component = components.find(m => m.patterns.includes(pattern))
+          || components.find(m => accepts(m.patterns, pattern, anceps))
+          || null;
+        return { pada: index + 1, meter: component, component: component ? component.name : null };
+      });
+      const used = new Set(padas.map(p => p.meter?.id));
+      const ordered = !meter.order || (patterns.length === meter.order.length && padas.every((p, index) => p.meter?.id === meter.order[index]));
+      // A verse using only one component is that component's own sama meter.
+      if (padas.every(p => p.meter) && used.size > 1 && ordered) return { meter, padas };
+    }
+
+    if (kind === 'ardhasama' && patterns.length % 2 === 0) {
+      const fits = patterns.every((pattern, index) => accepts(index % 2 === 0 ? meter.odd : meter.even, pattern, anceps));
+      if (fits) {
+        return {
+          meter,
+          padas: patterns.map((_, index) => ({ pada: index + 1, meter: null, component: index % 2 === 0 ? 'odd pada' : 'even pada' })),
+        };
+      }
+    }
+
+    if (kind === 'vishama' && patterns.length === meter.padas.length) {
+      if (patterns.every((pattern, index) => accepts(meter.padas[index], pattern, anceps))) {
+        return { meter, padas: patterns.map((_, index) => ({ pada: index + 1, meter: null, component: `pada ${index + 1}` })) };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} IdentifyOptions
+ * @property {'classical' | 'vedic'} [mode] In 'vedic' mode, verses are first measured
+ *   against the Vedic meters by syllable count; classical matching follows if none fits.
+ */
+
+/**
+ * Finds the Vedic meter a verse fits best: exact counts before nicṛt/bhurik,
+ * then the most padas with the typical cadence.
+ * @param {string[]} patterns
+ * @param {Meter[]} meters
+ * @returns {{ meter: Meter, report: VedicReport } | null}
+ */
+function matchVedic(patterns, meters) {
+  let best = null;
+  const rank = ({ report }) => (report.variation ? 0 : 100) + report.cadences.filter(c => c.follows).length;
+  for (const meter of meters.filter(m => kindOf(m) === 'vedic')) {
+    const report = checkVedic(patterns, meter);
+    if (report.valid && (!best || rank({ report }) > rank(best))) best = { meter, report };
+  }
+  return best;
+}
+
+/**
+ * Identifies the Chandas (meter type) of a scanned verse. Every pada is checked,
+ * so verses mixing padas of different meters (upajāti) and meters whose padas
+ * differ by design (ardhasama, viṣama) are recognised. Verses that fit no
+ * syllabic meter are then counted in mātrās (Āryā family, Vaitālīya). Without a
+ * match, the closest meters are ranked in `candidates`.
+ * @param {Scansion} scansion The result of `scan()`.
+ * @param {Meter[]} [meters] The meters to match against.
+ * @param {IdentifyOptions} [options]
+ * @returns {Identification}
+ */
+export function identify(scansion, meters = METERS, { mode = 'classical' } = {}) {
+  const { padas, anceps = false } = scansion;
+  const firstLineLength = padas.length > 0 ? padas[0].syllables.length : 0;
+
+  if (firstLineLength === 0) {
+    return { status: 'empty', meter: null, syllables: 0, label: 'No recognizable meter structure.', padas: [], matras: [], candidates: [] };
+  }
+
+  const patterns = padas.map(p => p.pattern);
+  const padaMatches = matchPadas(patterns, meters, anceps);
+  const result = (status, meter, label, extra = {}) => ({
+    status,
+    meter,
+    syllables: firstLineLength,
+    label,
+    padas: padaMatches,
+    matras: patterns.map(countMatras),
+    candidates: status === 'match' ? [] : rankMeters(scansion, meters),
+    ...extra,
+  });
+
+  if (mode === 'vedic') {
+    const vedic = matchVedic(patterns, meters);
+    if (vedic) {
+      const { meter, report } = vedic;
+      return {
+        ...result('match', meter, `${meter.deva} (${report.classification}): ${report.counts.join(' + ')} = ${report.total} syllables`, { report }),
+        padas: padaMatches.map((p, index) => ({ ...p, meter, component: `${meter.padaSyllables[index]}-syllable pada` })),
+      };
+    }
+  }
+
+  // Sama: every pada follows the same meter
+  const sama = matchSama(patterns, meters, anceps);
+  if (sama) {
+    return {
+      ...result('match', sama, sama.name, yatiOf(padas, padas.map(() => sama))),
+      padas: padaMatches.map(p => ({ ...p, meter: sama, component: sama.name })),
+    };
+  }
+
+  const mixed = matchMixed(patterns, meters, anceps);
+  if (mixed) {
+    const kind = kindOf(mixed.meter);
+    const detail = kind === 'upajati'
+      ? mixed.padas.map(p => `${p.pada}: ${p.component}`).join(', ')
+      : KIND_LABELS[kind];
+    const padaMeters = mixed.padas.map(p => p.meter || mixed.meter);
+    return { ...result('match', mixed.meter, `${mixed.meter.name} (${detail})`, yatiOf(padas, padaMeters)), padas: mixed.padas };
+  }
+
+  // Mātrā-vṛtta: moraic meters are counted per half-verse, whatever the syllable counts
+  for (const meter of meters.filter(m => kindOf(m) === 'matra')) {
+    const report = checkMatra(patterns, meter);
+    if (report.valid) {
+      return result('match', meter, `${meter.name} (mātrās per pada: ${report.padas.join(', ')}; per half-verse: ${report.halves.join(', ')})`, { report });
+    }
+  }
+
+  // Basic check for syllable consistency (for Vrtta - syllabic meters)
+  if (padas.some(p => p.syllables.length !== firstLineLength)) {
+    return result('irregular', null, `Irregular (${firstLineLength} syllables in first line, varying others)`);
+  }
+
+  const candidates = meters.filter(m => kindOf(m) === 'sama' && m.syllables === firstLineLength);
+  let failedRules = null;
+  for (const meter of candidates.filter(m => m.rules)) {
+    const report = RULE_CHECKS[meter.rules](patterns);
+    if (report.valid) {
+      return result('match', meter, `${meter.name}: ${report.label}`, { report });
+    }
+    failedRules = failedRules || { meter, report };
+  }
+
+  if (failedRules) {
+    return result(
+      'candidate',
+      null,
+      `Candidate ${firstLineLength}-syllable meter (not a regular ${failedRules.meter.name}: ${failedRules.report.label})`,
+      { report: failedRules.report },
+    );
+  }
+
+  if (candidates.length === 0) {
+    return result('unknown', null, `Unknown ${firstLineLength}-syllable meter.`);
+  }
+
+  // If no exact Vrutta match, return a generic identification
+  const mismatched = padaMatches.filter(p => !p.meter).map(p => p.pada);
+  const detail = mismatched.length > 0 ? `No exact match found for pada ${mismatched.join(', ')}` : 'Padas follow different meters';
+  return result('candidate', null, `Candidate ${firstLineLength}-syllable meter (${detail}).`);
+}
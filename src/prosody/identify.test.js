@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import { scan } from './scan.js';
+import { identify } from './identify.js';
+import { formulaToPattern } from './gana.js';
+
+const identifyVerse = (verse, { scheme, anceps, mode } = {}) => identify(scan(verse, { scheme, anceps }), undefined, { mode });
+// A scansion built from gaṇa formulas, for meters without a handy verse.
+const fromFormulas = (...formulas) => ({
+  anceps: true,
+  padas: formulas.map(formulaToPattern).map(pattern => ({ pattern, syllables: [...pattern], breaks: [] })),
+});
+
+describe('identify', () => {
+  it('matches sama meters pada by pada', () => {
+    const indravajra = identifyVerse('गोष्ठे गिरिं सव्यकरेण धृत्वा\nरुष्टेन्द्रवज्राहतिमुक्तवृष्टौ ।\nयो गोकुलं गोपकुलं च सुस्थं\nचक्रे स नो रक्षतु चक्रपाणिः ॥');
+    expect(indravajra).toMatchObject({ status: 'match', syllables: 11, label: 'इन्द्रवज्रा (Indravajrā)' });
+    const mandakranta = identifyVerse('शान्ताकारं भुजगशयनं पद्मनाभं सुरेशं\nविश्वाधारं गगनसदृशं मेघवर्णं शुभाङ्गम् ।\nलक्ष्मीकान्तं कमलनयनं योगिभिर्ध्यानगम्यं\nवन्दे विष्णुं भवभयहरं सर्वलोकैकनाथम् ॥');
+    expect(mandakranta.meter.name).toBe('मन्दाक्रान्ता (Mandākrāntā)');
+  });
+
+  it('identifies the Gītā śloka as Anuṣṭubh', () => {
+    const result = identifyVerse('धर्मक्षेत्रे कुरुक्षेत्रे\nसमवेता युयुत्सवः ।\nमामकाः पाण्डवाश्चैव\nकिमकुर्वत सञ्जय ॥');
+    expect(result.status).toBe('match');
+    expect(result.meter.id).toBe('anushtubh');
+    expect(result.report.valid).toBe(true);
+    expect(result.report.padas.filter(p => p.parity === 'odd').map(p => p.form)).toEqual(['pathya', 'pathya']);
+  });
+
+  it('recognises a vipulā in an odd pada', () => {
+    // Rāmāyaṇa 1.1.1 opens with a na-vipulā: तपःस्वाध्यायनिरतं, L L L at syllables 5-7.
+    const result = identifyVerse('तपःस्वाध्यायनिरतं\nतपस्वी वाग्विदां वरम् ।\nनारदं परिपप्रच्छ\nवाल्मीकिर्मुनिपुङ्गवम् ॥');
+    expect(result.meter.id).toBe('anushtubh');
+    expect(result.report.padas.map(p => p.form)).toEqual(['na-vipula', null, 'pathya', null]);
+    expect(result.label).toContain('na-vipulā in pada 1');
+  });
+
+  it('reports the component of each Upajāti pada', () => {
+    const result = identifyVerse('यं सर्वशैलाः परिकल्प्य वत्सं\nमेरौ स्थिते दोग्धरि दोहदक्षे ।\nभास्वन्ति रत्नानि महौषधीश्च\nपृथूपदिष्टां दुदुहुर्धरित्रीम् ॥');
+    expect(result.meter.id).toBe('upajati');
+    expect(result.padas.map(p => p.meter.id)).toEqual(['indravajra', 'indravajra', 'indravajra', 'upendravajra']);
+  });
+
+  it('counts Āryā in mātrās', () => {
+    const result = identifyVerse('सुभगसलिलावगाहाः\nपाटलसंसर्गसुरभिवनवाताः ।\nप्रच्छायसुलभनिद्रा\nदिवसाः परिणामरमणीयाः ॥');
+    expect(result.meter.id).toBe('arya');
+    expect(result.report.halves).toEqual([30, 27]);
+  });
+
+  it('checks the yati of Mandākrāntā', () => {
+    const kept = identifyVerse('शान्ताकारं भुजगशयनं पद्मनाभं सुरेशं\nविश्वाधारं गगनसदृशं मेघवर्णं शुभाङ्गम् ।\nलक्ष्मीकान्तं कमलनयनं योगिभिर्ध्यानगम्यं\nवन्दे विष्णुं भवभयहरं सर्वलोकैकनाथम् ॥');
+    expect(kept.meter.id).toBe('mandakranta');
+    expect(kept.yati.points.filter(p => p.pada === 1).map(p => p.position)).toEqual([4, 10]);
+    expect(kept.yati.violations).toEqual([]);
+
+    const broken = identifyVerse('कश्चित्का न्ताविरह गुरुणा स्वाधिकारात् प्रमत्तः');
+    expect(broken.meter.id).toBe('mandakranta');
+    expect(broken.yati.valid).toBe(false);
+    expect(broken.yati.violations).toMatchObject([{ pada: 1, position: 4, status: 'none' }]);
+  });
+
+  it('identifies RV 1.1.1 as Gāyatrī in Devanagari and IAST', () => {
+    const devanagari = identifyVerse('अग्निमीळे पुरोहितं\nयज्ञस्य देवमृत्विजम्\nहोतारं रत्नधातमम्', { mode: 'vedic' });
+    const iast = identifyVerse('agnim īḷe purohitaṃ\nyajñasya devam ṛtvijam\nhotāraṃ ratnadhātamam', { mode: 'vedic' });
+    expect(devanagari.meter.id).toBe('gayatri');
+    expect(iast.meter.id).toBe('gayatri');
+    expect(iast.report.classification).toBe(devanagari.report.classification);
+  });
+
+  it('accepts either weight pada-finally unless strict', () => {
+    // Śālinī, whose third pada ends in a Laghu (दयालु) where the meter has a Guru.
+    const verse = 'माता रामो मत्पिता रामचन्द्रः\nस्वामी रामो मत्सखा रामचन्द्रः ।\nसर्वस्वं मे रामचन्द्रो दयालु\nनान्यं जाने नैव जाने न जाने ॥';
+    expect(identifyVerse(verse).meter.id).toBe('shalini');
+    expect(identifyVerse(verse, { anceps: false }).status).not.toBe('match');
+  });
+
+  it('says why nothing matched', () => {
+    expect(identifyVerse('')).toMatchObject({ status: 'empty', meter: null });
+    expect(identifyVerse('राम\nरामराम')).toMatchObject({ status: 'irregular', syllables: 2 });
+    expect(identifyVerse('रा'.repeat(27)).label).toBe('Unknown 27-syllable meter.');
+    expect(identifyVerse('क'.repeat(11))).toMatchObject({ status: 'candidate', syllables: 11 });
+  });
+
+  describe('padas that differ', () => {
+    it('tells Ākhyānakī from Upajāti and keeps the component of each pada', () => {
+      const result = identifyVerse('अस्त्युत्तरस्यां दिशि देवतात्मा\nहिमालयो नाम नगाधिराजः ।\nपूर्वापरौ तोयनिधी वगाह्य\nस्थितः पृथिव्या इव मानदण्डः ॥');
+      expect(result.meter.id).toBe('akhyanaki');
+      expect(result.padas.map(p => p.meter.id)).toEqual(['indravajra', 'upendravajra', 'indravajra', 'upendravajra']);
+      expect(result.label).toContain('2: उपेन्द्रवज्रा (Upendravajrā)');
+    });
+
+    it('identifies a verse of one component as that sama meter', () => {
+      expect(identifyVerse('गोष्ठे गिरिं सव्यकरेण धृत्वा\nरुष्टेन्द्रवज्राहतिमुक्तवृष्टौ ।\nयो गोकुलं गोपकुलं च सुस्थं\nचक्रे स नो रक्षतु चक्रपाणिः ॥').meter.id).toBe('indravajra');
+    });
+
+    it('identifies an ardhasama meter', () => {
+      const result = identifyVerse('अथ तस्य विवाहकौतुकं\nललितं बिभ्रत एव पार्थिवः ।\nवसुधामपि हस्तगामिनीम्\nअकरोदिन्दुमतीमिवापराम् ॥');
+      expect(result.meter.id).toBe('viyogini');
+      expect(result.padas.map(p => p.component)).toEqual(['odd pada', 'even pada', 'odd pada', 'even pada']);
+      expect(result.label).toBe('वियोगिनी (Viyoginī) (ardhasama: odd and even padas differ)');
+    });
+
+    it('identifies a viṣama meter', () => {
+      const result = identify(fromFormulas('sa ja sa la', 'na sa ja ga', 'bha na ja la ga', 'sa ja sa ja ga'));
+      expect(result.meter.id).toBe('udgata');
+      expect(result.padas.map(p => p.component)).toEqual(['pada 1', 'pada 2', 'pada 3', 'pada 4']);
+    });
+
+    it('names the padas that match no meter', () => {
+      const result = identify(fromFormulas('ta ta ja ga ga', 'ta ta ja ga ga', 'na na na ga ga', 'ta ta ja ga ga'));
+      expect(result.status).toBe('candidate');
+      expect(result.label).toBe('Candidate 11-syllable meter (No exact match found for pada 3).');
+      expect(result.padas.map(p => p.meter?.id ?? null)).toEqual(['indravajra', 'indravajra', null, 'indravajra']);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+// Public API of the prosody library. The UI and any other consumer should import from here.
+export { syllabify, findWordBreaks, scan, formatPattern, WEIGHT_REASONS, ANCEPS_NOTE } from './scan.js';
+export { identify } from './identify.js';
+export { splitVerses, analyzeText } from './batch.js';
+export { segmentVerse, needsSegmentation } from './segment.js';
+export { checkComposition, suggestFix, padaCount } from './compose.js';
+export { toRecords, toJSON, toCSV, toTEI, toHTMLReport, toHTMLFragment, csvField } from './export.js';
+export { rankMeters, alignPada, EDIT_COSTS } from './fuzzy.js';
+export { checkYati, checkPadaYati, yatiPositions } from './yati.js';
+export { rhythmOf, RHYTHM_RESTS } from './rhythm.js';
+export { uddishta, nashta, prastara, prastaraMeters, prastaraPosition, MAX_PRASTARA_LENGTH } from './prastara.js';
+export { answerQuestion, classifyQuestion, explainSyllable } from './tutor.js';
+export { practiceVerses, pickPracticeVerse, gradeWeights, gradeMeterName, gradeGanas } from './quiz.js';
+export { METERS, compileCatalogue, parseCatalogue, findMeter, describeMeter, jatiOf } from './meters.js';
+export { CATALOGUE } from './catalogue.js';
+export { checkAnushtubh, anushtubhTemplate, ANUSHTUBH_FORMS } from './anushtubh.js';
+export { checkMatra, countMatras } from './matra.js';
+export { checkVedic, VEDIC_CADENCES, VEDIC_VARIATIONS } from './vedic.js';
+export { GANAS, splitGanas, ganaFormula, formulaToPattern } from './gana.js';
+export { SCHEMES, detectScheme, toDevanagari, fromDevanagari, transliterate } from './transliterate.js';
+export * from './devanagari.js';
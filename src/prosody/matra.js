@@ -0,0 +1,196 @@
+/**
+ * Mātrā-vṛtta (moraic meter) analysis. A Laghu counts one mātrā and a Guru two.
+ *
+ * The Āryā family is measured per half-verse in gaṇas of four mātrās (G G, L L G,
+ * G L L, L G L or L L L L) followed by a final anceps syllable, which always counts
+ * as two mātrās:
+ * - a long half has seven gaṇas (30 mātrās); its 6th gaṇa must be ja (L G L) or na-la (L L L L);
+ * - a short half has seven gaṇas whose 6th is a single Laghu (27 mātrās);
+ * - in both, the odd gaṇas may not be ja.
+ * Āryā is long + short, Gīti long + long, Upagīti short + short and Udgīti short + long.
+ */
+
+/**
+ * @typedef {'long' | 'short'} HalfShape
+ */
+
+/**
+ * @typedef {object} MatraGana
+ * @property {string} pattern Laghu-Guru pattern of the gaṇa.
+ * @property {number} start 0-based syllable index within the half-verse.
+ * @property {number} matras
+ */
+
+/**
+ * @typedef {object} MatraViolation
+ * @property {number} half 1-based half-verse number (0 for pada-level checks).
+ * @property {number} pada 1-based pada number.
+ * @property {number} position 1-based syllable position within the pada.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} MatraReport
+ * @property {boolean} valid
+ * @property {number[]} padas Mātrā totals per pada.
+ * @property {number[]} halves Mātrā totals per half-verse, with the final syllable counted as Guru.
+ * @property {MatraGana[][]} ganas Four-mātrā gaṇas of each half-verse (Āryā family only).
+ * @property {MatraViolation[]} violations
+ */
+
+const GANA_SLOTS = {
+  long: [4, 4, 4, 4, 4, 4, 4],
+  short: [4, 4, 4, 4, 4, 1, 4],
+};
+
+/**
+ * Counts the mātrās of a Laghu-Guru pattern.
+ * @param {string} pattern
+ * @returns {number}
+ */
+export function countMatras(pattern) {
+  let total = 0;
+  for (const weight of pattern) total += weight === 'G' ? 2 : 1;
+  return total;
+}
+
+/**
+ * Counts the mātrās of a pattern whose last syllable is anceps and counts as Guru.
+ * @param {string} pattern
+ * @returns {number}
+ */
+function countWithAnceps(pattern) {
+  return pattern.length === 0 ? 0 : countMatras(pattern.slice(0, -1)) + 2;
+}
+
+/**
+ * Maps a syllable index in a half-verse back to its pada and position.
+ * @param {number[]} lengths Syllable counts of the padas making up the half.
+ * @param {number} index 0-based syllable index within the half.
+ */
+function locate(lengths, index) {
+  let offset = index;
+  for (let i = 0; i < lengths.length; i++) {
+    if (offset < lengths[i] || i === lengths.length - 1) return { padaOffset: i, position: offset + 1 };
+    offset -= lengths[i];
+  }
+  return { padaOffset: 0, position: index + 1 };
+}
+
+/**
+ * Checks one half-verse against an Āryā-family shape.
+ * @param {string} pattern The half-verse pattern.
+ * @param {HalfShape} shape
+ * @param {number} half 1-based half-verse number.
+ * @param {number} firstPada 1-based number of the first pada in the half.
+ * @param {number[]} lengths Syllable counts of the padas making up the half.
+ * @returns {{ ganas: MatraGana[], violations: MatraViolation[] }}
+ */
+function checkHalf(pattern, shape, half, firstPada, lengths) {
+  const ganas = [];
+  const violations = [];
+  const at = (index, message) => {
+    const { padaOffset, position } = locate(lengths, index);
+    violations.push({ half, pada: firstPada + padaOffset, position, message: `Half-verse ${half}, pada ${firstPada + padaOffset}, syllable ${position}: ${message}` });
+  };
+
+  const body = pattern.slice(0, -1);
+  let index = 0;
+  for (const [slot, size] of GANA_SLOTS[shape].entries()) {
+    const start = index;
+    let matras = 0;
+    while (matras < size && index < body.length) {
+      matras += body[index] === 'G' ? 2 : 1;
+      index++;
+    }
+    if (matras < size) {
+      at(Math.max(index - 1, 0), `the half-verse ends inside gaṇa ${slot + 1}.`);
+      return { ganas, violations };
+    }
+    if (matras > size) {
+      at(index - 1, `this Guru straddles the boundary of gaṇa ${slot + 1}.`);
+      return { ganas, violations };
+    }
+
+    const gana = body.slice(start, index);
+    ganas.push({ pattern: gana, start, matras });
+    if (slot % 2 === 0 && gana === 'LGL') {
+      at(start, `gaṇa ${slot + 1} is ja (L G L), which odd gaṇas may not be.`);
+    }
+    if (shape === 'long' && slot === 5 && gana !== 'LGL' && gana !== 'LLLL') {
+      at(start, 'the 6th gaṇa must be ja (L G L) or na-la (L L L L).');
+    }
+  }
+
+  if (index < body.length) {
+    at(index, 'syllables left over after seven gaṇas.');
+  }
+  return { ganas, violations };
+}
+
+/**
+ * Groups padas into half-verses: four padas make two halves, two lines are already halves.
+ * @param {string[]} patterns
+ * @returns {{ pattern: string, firstPada: number, lengths: number[] }[]}
+ */
+function halvesOf(patterns) {
+  if (patterns.length === 4) {
+    return [
+      { pattern: patterns[0] + patterns[1], firstPada: 1, lengths: [patterns[0].length, patterns[1].length] },
+      { pattern: patterns[2] + patterns[3], firstPada: 3, lengths: [patterns[2].length, patterns[3].length] },
+    ];
+  }
+  return patterns.map((pattern, index) => ({ pattern, firstPada: index + 1, lengths: [pattern.length] }));
+}
+
+/**
+ * Checks padas against a mātrā meter. Āryā-family meters give `halves` shapes;
+ * Vaitālīya-style meters give mātrās per pada and a closing cadence.
+ * @param {string[]} patterns One compact Laghu-Guru pattern per pada.
+ * @param {{ halves?: HalfShape[], padaMatras?: number[], cadence?: string }} meter
+ * @returns {MatraReport}
+ */
+export function checkMatra(patterns, meter) {
+  const halves = halvesOf(patterns);
+  const report = {
+    valid: false,
+    padas: patterns.map(countMatras),
+    halves: halves.map(h => countWithAnceps(h.pattern)),
+    ganas: [],
+    violations: [],
+  };
+
+  if (meter.halves) {
+    if (halves.length !== meter.halves.length) {
+      report.violations.push({ half: 0, pada: 1, position: 1, message: `Expected ${meter.halves.length} half-verses (2 lines or 4 padas), got ${patterns.length} lines.` });
+      return report;
+    }
+    halves.forEach((half, index) => {
+      const { ganas, violations } = checkHalf(half.pattern, meter.halves[index], index + 1, half.firstPada, half.lengths);
+      report.ganas.push(ganas);
+      report.violations.push(...violations);
+    });
+  } else if (meter.padaMatras) {
+    if (patterns.length !== meter.padaMatras.length) {
+      report.violations.push({ half: 0, pada: 1, position: 1, message: `Expected ${meter.padaMatras.length} padas, got ${patterns.length}.` });
+      return report;
+    }
+    patterns.forEach((pattern, index) => {
+      const expected = meter.padaMatras[index];
+      const actual = countWithAnceps(pattern);
+      if (actual !== expected) {
+        report.violations.push({ half: 0, pada: index + 1, position: pattern.length, message: `Pada ${index + 1} has ${actual} mātrās; expected ${expected}.` });
+      } else if (meter.cadence && !pattern.slice(0, -1).endsWith(meter.cadence.slice(0, -1))) {
+        report.violations.push({
+          half: 0,
+          pada: index + 1,
+          position: Math.max(pattern.length - meter.cadence.length + 1, 1),
+          message: `Pada ${index + 1} should close with ${meter.cadence.split('').join(' ')}.`,
+        });
+      }
+    });
+  }
+
+  report.valid = report.violations.length === 0;
+  return report;
+}
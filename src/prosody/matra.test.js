@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { checkMatra, countMatras } from './matra.js';
+import { findMeter } from './meters.js';
+
+// Śākuntala 1.3, सुभगसलिलावगाहाः …
+const ARYA = ['LLLLLGLGG', 'GLLGGLLLLLLGG', 'GGLLLLGG', 'LLGLLGLLLGG'];
+
+describe('countMatras', () => {
+  it('counts a Laghu as one mātrā and a Guru as two', () => {
+    expect(countMatras('LLG')).toBe(4);
+    expect(ARYA.map(countMatras)).toEqual([12, 18, 12, 15]);
+  });
+});
+
+describe('checkMatra', () => {
+  it('accepts an Āryā and splits each half into four-mātrā gaṇas', () => {
+    const report = checkMatra(ARYA, findMeter('arya'));
+    expect(report.valid).toBe(true);
+    expect(report.halves).toEqual([30, 27]);
+    expect(report.ganas[1].map(g => g.pattern)).toEqual(['GG', 'LLLL', 'GG', 'LLG', 'LLG', 'L', 'LLG']);
+  });
+
+  it('reads an Āryā written as two lines', () => {
+    expect(checkMatra([ARYA[0] + ARYA[1], ARYA[2] + ARYA[3]], findMeter('arya')).valid).toBe(true);
+  });
+
+  it('tells the Āryā family apart by their halves', () => {
+    expect(checkMatra(ARYA, findMeter('giti')).valid).toBe(false);
+    expect(checkMatra([ARYA[2], ARYA[3], ARYA[0], ARYA[1]], findMeter('udgiti')).valid).toBe(true);
+  });
+
+  it('rejects a ja-gaṇa in an odd place', () => {
+    const report = checkMatra(['LGLGGGG', ...ARYA.slice(1)], findMeter('arya'));
+    expect(report.valid).toBe(false);
+    expect(report.violations[0]).toMatchObject({ half: 1, pada: 1, position: 1 });
+  });
+
+  it('checks the mātrās and cadence of Vaitālīya padas', () => {
+    const vaitaliya = findMeter('vaitaliya');
+    // Viyoginī is a Vaitālīya with fixed syllables.
+    expect(checkMatra(['LLGLLGLGLG', 'LLGGLLGLGLG', 'LLGLLGLGLG', 'LLGGLLGLGLG'], vaitaliya).valid).toBe(true);
+    const report = checkMatra(['LLGLLGLGLG', 'LLGGLLGLGLG', 'LLGLLGLGLG', 'LLGGLLGLG'], vaitaliya);
+    expect(report.violations.map(v => v.message)).toEqual(['Pada 4 has 13 mātrās; expected 16.']);
+  });
+});
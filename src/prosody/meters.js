@@ -0,0 +1,248 @@
+import { CATALOGUE } from './catalogue.js';
+import { formulaToPattern, ganaFormula, splitGanas } from './gana.js';
+
+/**
+ * A meter as written in a catalogue file. Pada shapes may be given as a gaṇa
+ * formula ("ja ta ja ga ga") or as a Laghu-Guru pattern ("LGLGGLLGLGG").
+ * @typedef {object} CatalogueEntry
+ * @property {string} id Stable identifier, e.g. 'indravajra'.
+ * @property {string} deva Name in Devanagari.
+ * @property {string} iast Name in IAST.
+ * @property {'sama' | 'ardhasama' | 'vishama' | 'upajati' | 'matra' | 'vedic'} [kind] 'sama' when omitted.
+ * @property {string} [ganas] Gaṇa formula of every pada (sama).
+ * @property {string} [pattern] Laghu-Guru pattern of every pada (sama), instead of `ganas`.
+ * @property {number} [syllables] Syllables per pada, for rule-based meters.
+ * @property {'anushtubh'} [rules] Name of a rule-based check used instead of fixed patterns.
+ * @property {number[]} [padaSyllables] Syllables in each pada (vedic), e.g. [8, 8, 8] for Gāyatrī.
+ * @property {string} [odd] Shape of padas 1 and 3 (ardhasama).
+ * @property {string} [even] Shape of padas 2 and 4 (ardhasama).
+ * @property {string[]} [padas] Shape of each of the four padas (vishama).
+ * @property {string[]} [components] Ids of the sama meters whose padas may be mixed (upajati).
+ * @property {string[]} [order] Component id of each of the four padas, for an upajāti that fixes them (Ākhyānakī).
+ * @property {import('./matra.js').HalfShape[]} [halves] Shape of each half-verse (Āryā family).
+ * @property {number[]} [padaMatras] Mātrās per pada (Vaitālīya family).
+ * @property {string} [cadence] Laghu-Guru pattern every pada must close with (Vaitālīya family).
+ * @property {number[]} [yati] Syllables between caesuras, e.g. [4, 6, 7] for Mandākrāntā.
+ * @property {string} [lakshana] The defining (lakṣaṇa) verse.
+ * @property {string} [example] An example verse, one pada per line.
+ * @property {string} [description]
+ */
+
+/**
+ * A compiled meter, ready for identification.
+ * @typedef {object} Meter
+ * @property {string} id
+ * @property {string} name Display name, Devanagari followed by IAST.
+ * @property {string} deva
+ * @property {string} iast
+ * @property {'sama' | 'ardhasama' | 'vishama' | 'upajati' | 'matra' | 'vedic'} kind How padas relate to each other.
+ *   'matra' meters are measured in mātrās rather than syllables; 'vedic' meters by syllable count alone.
+ * @property {number} [syllables] Syllables per pada, for sama meters.
+ * @property {number[]} [padaSyllables] Syllables in each pada (vedic).
+ * @property {string[]} [patterns] Accepted Laghu-Guru patterns for every pada (sama).
+ * @property {string} [ganas] Gaṇa formula of every pada (sama).
+ * @property {'anushtubh'} [rules]
+ * @property {string[]} [odd] Accepted patterns for padas 1 and 3 (ardhasama).
+ * @property {string[]} [even] Accepted patterns for padas 2 and 4 (ardhasama).
+ * @property {string[][]} [padas] Accepted patterns for each of the four padas (vishama).
+ * @property {string[]} [components]
+ * @property {string[]} [order]
+ * @property {import('./matra.js').HalfShape[]} [halves]
+ * @property {number[]} [padaMatras]
+ * @property {string} [cadence]
+ * @property {number[]} [yati]
+ * @property {string} [lakshana]
+ * @property {string} [example]
+ * @property {string} [description]
+ */
+
+const KINDS = new Set(['sama', 'ardhasama', 'vishama', 'upajati', 'matra', 'vedic']);
+
+// Names of the chandas classes (jāti) by syllables per pada.
+const JATIS = [
+  'ukta', 'atyukta', 'madhyā', 'pratiṣṭhā', 'supratiṣṭhā', 'gāyatrī', 'uṣṇik', 'anuṣṭubh', 'bṛhatī', 'paṅkti',
+  'triṣṭubh', 'jagatī', 'atijagatī', 'śakvarī', 'atiśakvarī', 'aṣṭi', 'atyaṣṭi', 'dhṛti', 'atidhṛti', 'kṛti',
+  'prakṛti', 'ākṛti', 'vikṛti', 'saṃkṛti', 'abhikṛti', 'utkṛti',
+];
+
+/**
+ * Names the chandas class (jāti) of a pada length, e.g. 11 -> 'triṣṭubh'.
+ * @param {number} syllables
+ * @returns {string | null}
+ */
+export function jatiOf(syllables) {
+  return JATIS[syllables - 1] || null;
+}
+
+/**
+ * Expands a pada shape given as a gaṇa formula or a Laghu-Guru pattern.
+ * @param {string} shape
+ * @returns {string}
+ */
+function toPattern(shape) {
+  return /^[LG]+$/.test(shape) ? shape : formulaToPattern(shape);
+}
+
+/**
+ * The syllables in the padas of a meter, where the meter fixes them.
+ * @param {Meter} meter
+ * @returns {number[]}
+ */
+const padaLengthsOf = (meter) => [
+  meter.syllables,
+  meter.odd?.[0].length,
+  meter.even?.[0].length,
+  ...(meter.kind === 'vishama' ? meter.padas.map(p => p[0].length) : []),
+  ...(meter.padaSyllables ?? []),
+].filter(Number.isInteger);
+
+const entryError = (id, message) => new Error(`Invalid catalogue entry "${id ?? '(no id)'}": ${message}`);
+
+/**
+ * Validates and compiles one catalogue entry.
+ * @param {CatalogueEntry} entry
+ * @returns {Meter}
+ */
+function compileEntry(entry) {
+  const fail = (message) => {
+    throw entryError(entry?.id, message);
+  };
+  if (!entry || typeof entry !== 'object') fail('expected an object.');
+  if (typeof entry.id !== 'string' || !entry.id) fail('missing "id".');
+  if (typeof entry.deva !== 'string' || typeof entry.iast !== 'string') fail('missing "deva" or "iast" name.');
+
+  const kind = entry.kind || 'sama';
+  if (!KINDS.has(kind)) fail(`unknown kind "${kind}".`);
+
+  /** @type {Meter} */
+  const meter = { ...entry, kind, name: `${entry.deva} (${entry.iast})` };
+
+  try {
+    if (kind === 'sama' && !entry.rules) {
+      if (!entry.ganas && !entry.pattern) fail('a sama meter needs "ganas", "pattern" or "rules".');
+      const pattern = entry.pattern || formulaToPattern(entry.ganas);
+      meter.patterns = [pattern];
+      meter.syllables = pattern.length;
+    } else if (kind === 'ardhasama') {
+      if (!entry.odd || !entry.even) fail('an ardhasama meter needs "odd" and "even".');
+      meter.odd = [toPattern(entry.odd)];
+      meter.even = [toPattern(entry.even)];
+    } else if (kind === 'vishama') {
+      if (!Array.isArray(entry.padas) || entry.padas.length !== 4) fail('a viṣama meter needs four "padas".');
+      meter.padas = entry.padas.map(shape => [toPattern(shape)]);
+    }
+  } catch (error) {
+    if (error.message.startsWith('Invalid catalogue entry')) throw error;
+    fail(error.message);
+  }
+
+  if (entry.rules && !Number.isInteger(entry.syllables)) fail('"syllables" must be an integer.');
+  if (kind === 'vedic' && !(Array.isArray(entry.padaSyllables) && entry.padaSyllables.length > 0 && entry.padaSyllables.every(Number.isInteger))) {
+    fail('a vedic meter needs "padaSyllables", the syllables in each pada.');
+  }
+  if (kind === 'upajati' && !(Array.isArray(entry.components) && entry.components.length > 0)) fail('an upajāti needs "components".');
+  if (entry.order && !(Array.isArray(entry.order) && entry.order.length === 4 && entry.order.every(id => entry.components?.includes(id)))) {
+    fail('"order" must name one of the "components" for each of the four padas.');
+  }
+  if (kind === 'matra' && !entry.halves && !entry.padaMatras) fail('a mātrā meter needs "halves" or "padaMatras".');
+  if (entry.yati !== undefined) {
+    if (!(Array.isArray(entry.yati) && entry.yati.length > 0 && entry.yati.every(n => Number.isInteger(n) && n > 0))) {
+      fail('"yati" must list the syllables between caesuras, e.g. [4, 6, 7].');
+    }
+    const total = entry.yati.reduce((sum, n) => sum + n, 0);
+    if (meter.syllables && total !== meter.syllables) fail(`yati ${entry.yati.join('-')} does not add up to ${meter.syllables} syllables.`);
+    const shortest = Math.min(...padaLengthsOf(meter));
+    if (total - entry.yati.at(-1) >= shortest) fail(`yati ${entry.yati.join('-')} falls outside a pada of ${shortest} syllables.`);
+  }
+  return meter;
+}
+
+/**
+ * Compiles catalogue entries into meters. Later entries replace earlier ones
+ * with the same id. The components of an upajāti must be meters with fixed
+ * patterns somewhere in the catalogue.
+ * @param {CatalogueEntry[]} entries
+ * @returns {Meter[]}
+ */
+export function compileCatalogue(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('A meter catalogue must be an array of entries.');
+  }
+  const byId = new Map();
+  for (const entry of entries) {
+    const meter = compileEntry(entry);
+    byId.delete(meter.id);
+    byId.set(meter.id, meter);
+  }
+  for (const meter of byId.values()) {
+    const missing = meter.kind === 'upajati' && meter.components.find(id => !byId.get(id)?.patterns);
+    if (missing) throw entryError(meter.id, `component "${missing}" is not a meter with fixed patterns.`);
+  }
+  return Array.from(byId.values());
+}
+
+/**
+ * Parses a user catalogue file (JSON: an array of entries, or `{ "meters": [...] }`)
+ * and merges it over the built-in catalogue.
+ * @param {string} text
+ * @param {CatalogueEntry[]} [base] Entries to extend; the built-in catalogue by default.
+ * @returns {Meter[]}
+ */
+export function parseCatalogue(text, base = CATALOGUE) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Meter catalogue is not valid JSON: ${error.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data?.meters;
+  if (!Array.isArray(entries)) {
+    throw new Error('A meter catalogue must be an array of entries or an object with a "meters" array.');
+  }
+  return compileCatalogue([...base, ...entries]);
+}
+
+/**
+ * Finds a meter by id.
+ * @param {string} id
+ * @param {Meter[]} [meters]
+ * @returns {Meter | undefined}
+ */
+export function findMeter(id, meters = METERS) {
+  return meters.find(m => m.id === id);
+}
+
+const formulaOf = (pattern) => ganaFormula(splitGanas(pattern));
+
+/**
+ * Describes a meter in one or two sentences: its catalogue description, or a
+ * summary built from its structure.
+ * @param {Meter} meter
+ * @returns {string}
+ */
+export function describeMeter(meter) {
+  if (meter.description) return meter.description;
+
+  if (meter.kind === 'sama' && meter.patterns) {
+    const jati = jatiOf(meter.syllables);
+    let text = `${meter.iast} is a ${meter.syllables}-syllable${jati ? ` (${jati})` : ''} meter with the gaṇa formula ${meter.ganas || formulaOf(meter.patterns[0])}.`;
+    if (meter.yati && meter.yati.length > 1) {
+      text += ` Its caesurae (yati) divide each pada into ${meter.yati.join(' + ')} syllables.`;
+    }
+    return text;
+  }
+  if (meter.kind === 'ardhasama') {
+    return `${meter.iast} is an ardhasama meter: odd padas ${formulaOf(meter.odd[0])}, even padas ${formulaOf(meter.even[0])}.`;
+  }
+  if (meter.kind === 'vishama') {
+    return `${meter.iast} is a viṣama meter whose four padas differ: ${meter.padas.map(p => formulaOf(p[0])).join(' / ')}.`;
+  }
+  if (meter.kind === 'vedic') {
+    const total = meter.padaSyllables.reduce((sum, n) => sum + n, 0);
+    return `${meter.iast} is a Vedic meter of ${meter.padaSyllables.length} padas (${meter.padaSyllables.join(' + ')} = ${total} syllables).`;
+  }
+  return `${meter.iast} is a ${meter.kind} meter.`;
+}
+
+/** The built-in meters. */
+export const METERS = compileCatalogue(CATALOGUE);
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { compileCatalogue, describeMeter, findMeter, jatiOf, METERS, parseCatalogue } from './meters.js';
+import { CATALOGUE } from './catalogue.js';
+import { scan } from './scan.js';
+import { identify } from './identify.js';
+
+describe('the built-in catalogue', () => {
+  it('compiles every entry', () => {
+    expect(METERS).toHaveLength(CATALOGUE.length);
+    expect(findMeter('indravajra')).toMatchObject({ syllables: 11, patterns: ['GGLGGLLGLGG'], name: 'इन्द्रवज्रा (Indravajrā)' });
+  });
+
+  it('has the common vṛttas with their lakṣaṇa, example and description', () => {
+    for (const id of ['shikharini', 'shardulavikridita', 'sragdhara', 'malini', 'rathoddhata', 'prthvi', 'vasantatilaka', 'mandakranta', 'vamshastha']) {
+      expect(findMeter(id), id).toMatchObject({ lakshana: expect.any(String), example: expect.any(String), description: expect.any(String) });
+    }
+  });
+
+  it('identifies every example as its own meter', () => {
+    for (const meter of METERS.filter(m => m.example)) {
+      const identification = identify(scan(meter.example), METERS, { mode: meter.kind === 'vedic' ? 'vedic' : 'classical' });
+      expect(identification.meter?.id, meter.id).toBe(meter.id);
+    }
+  });
+});
+
+describe('compileCatalogue', () => {
+  it('derives patterns from gaṇa formulas or takes them as given', () => {
+    const [fromGanas, fromPattern] = compileCatalogue([
+      { id: 'a', deva: 'अ', iast: 'A', ganas: 'ja ta ja ga ga' },
+      { id: 'b', deva: 'ब', iast: 'B', kind: 'ardhasama', odd: 'LLG', even: 'sa ga' },
+    ]);
+    expect(fromGanas.patterns).toEqual(['LGLGGLLGLGG']);
+    expect(fromPattern).toMatchObject({ odd: ['LLG'], even: ['LLGG'] });
+  });
+
+  it('lets later entries replace earlier ones', () => {
+    const meters = compileCatalogue([
+      { id: 'a', deva: 'अ', iast: 'A', ganas: 'ma' },
+      { id: 'a', deva: 'अ', iast: 'A', ganas: 'na' },
+    ]);
+    expect(meters.map(m => m.patterns[0])).toEqual(['LLL']);
+  });
+
+  it('rejects malformed entries with the entry id', () => {
+    expect(() => compileCatalogue([{ id: 'x', deva: 'क', iast: 'K' }])).toThrow('Invalid catalogue entry "x": a sama meter needs "ganas", "pattern" or "rules".');
+    expect(() => compileCatalogue([{ id: 'x', deva: 'क', iast: 'K', ganas: 'ja xa' }])).toThrow('Unknown gaṇa "xa"');
+    expect(() => compileCatalogue([{ id: 'x', deva: 'क', iast: 'K', ganas: 'ma ma', yati: [4, 4] }])).toThrow('does not add up to 6 syllables');
+    expect(() => compileCatalogue([{ id: 'x', deva: 'क', iast: 'K', kind: 'upajati', components: ['a', 'b'], order: ['a', 'c', 'a', 'b'] }])).toThrow('"order" must name one of the "components"');
+  });
+
+  it('rejects a yati that is not a list of caesuras inside the pada', () => {
+    for (const yati of ['4-4', [], [4, 0, 4], [4, 4.5]]) {
+      expect(() => compileCatalogue([{ id: 'x', deva: 'क', iast: 'K', ganas: 'ma ma ga ga', yati }]), JSON.stringify(yati))
+        .toThrow('Invalid catalogue entry "x": "yati" must list the syllables between caesuras');
+    }
+    expect(() => compileCatalogue([{ id: 'x', deva: 'क', iast: 'K', kind: 'ardhasama', odd: 'ma ma', even: 'ma ma ga', yati: [6, 1] }]))
+      .toThrow('Invalid catalogue entry "x": yati 6-1 falls outside a pada of 6 syllables.');
+    expect(compileCatalogue([{ id: 'x', deva: 'क', iast: 'K', kind: 'ardhasama', odd: 'ma ma', even: 'ma ma ga', yati: [3, 4] }])[0].yati).toEqual([3, 4]);
+  });
+
+  it('rejects an upajāti whose components are unknown or have no fixed patterns', () => {
+    const upajati = (components) => ({ id: 'mixed', deva: 'क', iast: 'K', kind: 'upajati', components });
+    const sama = { id: 'a', deva: 'अ', iast: 'A', ganas: 'ja ta ja ga ga' };
+    expect(() => compileCatalogue([upajati([])])).toThrow('Invalid catalogue entry "mixed": an upajāti needs "components".');
+    expect(() => compileCatalogue([sama, upajati(['a', 'b'])])).toThrow('Invalid catalogue entry "mixed": component "b" is not a meter with fixed patterns.');
+    expect(() => parseCatalogue(JSON.stringify([upajati(['indravajra', 'anushtubh'])])))
+      .toThrow('Invalid catalogue entry "mixed": component "anushtubh" is not a meter with fixed patterns.');
+    expect(compileCatalogue([upajati(['a']), sama])[0].components).toEqual(['a']);
+  });
+});
+
+describe('parseCatalogue', () => {
+  it('merges a user file over the built-in meters', () => {
+    const meters = parseCatalogue(JSON.stringify({ meters: [{ id: 'mine', deva: 'मम', iast: 'Mama', pattern: 'GLGLG' }] }));
+    expect(meters).toHaveLength(METERS.length + 1);
+    expect(findMeter('mine', meters).syllables).toBe(5);
+  });
+
+  it('reports invalid JSON', () => {
+    expect(() => parseCatalogue('{')).toThrow('Meter catalogue is not valid JSON');
+    expect(() => parseCatalogue('{}')).toThrow('an object with a "meters" array');
+  });
+});
+
+describe('describeMeter', () => {
+  it('builds a summary for meters without a description', () => {
+    expect(jatiOf(11)).toBe('triṣṭubh');
+    expect(describeMeter(findMeter('vatormi'))).toBe(findMeter('vatormi').description);
+    expect(describeMeter(findMeter('shri'))).toBe('Śrī is a 1-syllable (ukta) meter with the gaṇa formula ga.');
+    expect(describeMeter(findMeter('harinapluta'))).toBe('Hariṇaplutā is an ardhasama meter: odd padas sa sa sa la ga, even padas na bha bha ra.');
+  });
+});
@@ -0,0 +1,147 @@
+import { METERS } from './meters.js';
+
+/**
+ * Piṅgala's combinatorics of syllabic meters (Chandaḥśāstra 8). The prastāra
+ * ("spreading out") of length n lists all 2^n Laghu-Guru patterns: row 1 is all
+ * Guru, and each row is the one above counted up by one, reading the first
+ * syllable as the lowest binary digit and a Laghu as 1. Naṣṭa finds the
+ * pattern in a given row and uddiṣṭa the row of a given pattern.
+ *
+ * For n = 3 the rows are the gaṇas ma, ya, ra, sa, ta, ja, bha, na.
+ */
+
+/**
+ * @typedef {import('./meters.js').Meter} Meter
+ */
+
+/**
+ * A catalogue meter whose padas have a given pattern.
+ * @typedef {object} PrastaraMeter
+ * @property {Meter} meter
+ * @property {number[]} padas The 1-based padas with the pattern: all four for a sama meter,
+ *   the odd or even ones for an ardhasama meter, one pada of a viṣama meter.
+ */
+
+/**
+ * Where a pada stands in the prastāra of its length.
+ * @typedef {object} PrastaraPosition
+ * @property {string} pattern
+ * @property {number} index 1-based row.
+ * @property {number} total Rows in the prastāra, 2^n.
+ * @property {PrastaraMeter[]} meters Catalogue meters at that row.
+ * @property {{ index: number, meters: PrastaraMeter[] } | null} guruFinal The row with the
+ *   last syllable read as Guru, when it is a Laghu the meter may lengthen (pādānta).
+ */
+
+/** Longest pattern whose rows are exact as JavaScript numbers. */
+export const MAX_PRASTARA_LENGTH = 52;
+
+/**
+ * @param {number} length
+ */
+function checkLength(length) {
+  if (!Number.isInteger(length) || length < 1 || length > MAX_PRASTARA_LENGTH) {
+    throw new Error(`A prastāra has 1 to ${MAX_PRASTARA_LENGTH} syllables, not ${length}.`);
+  }
+}
+
+/**
+ * Uddiṣṭa: the 1-based row of a pattern in the prastāra of its length. Write
+ * 1, 2, 4, … over the syllables, add the numbers over the Laghus, and add one.
+ * @param {string} pattern Compact Laghu-Guru string.
+ * @returns {number}
+ */
+export function uddishta(pattern) {
+  if (!/^[LG]+$/.test(pattern)) throw new Error(`"${pattern}" is not a Laghu-Guru pattern.`);
+  checkLength(pattern.length);
+  let index = 1;
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === 'L') index += 2 ** i;
+  }
+  return index;
+}
+
+/**
+ * Naṣṭa: the pattern in a given row of the prastāra. Halve the row number: an
+ * even number gives a Laghu, an odd one is raised by one first and gives a Guru.
+ * @param {number} length Syllables in the pattern.
+ * @param {number} index 1-based row.
+ * @returns {string}
+ */
+export function nashta(length, index) {
+  checkLength(length);
+  if (!Number.isInteger(index) || index < 1 || index > 2 ** length) {
+    throw new Error(`The prastāra of ${length} syllables has rows 1 to ${2 ** length}, not ${index}.`);
+  }
+  let pattern = '';
+  let row = index;
+  for (let i = 0; i < length; i++) {
+    pattern += row % 2 === 0 ? 'L' : 'G';
+    row = Math.ceil(row / 2);
+  }
+  return pattern;
+}
+
+/**
+ * Lists rows of the prastāra, all of them unless a range is given.
+ * @param {number} length
+ * @param {number} [from] 1-based first row.
+ * @param {number} [count] Number of rows.
+ * @returns {string[]}
+ */
+export function prastara(length, from = 1, count = 2 ** length) {
+  checkLength(length);
+  const last = Math.min(2 ** length, from + count - 1);
+  const rows = [];
+  for (let index = Math.max(1, from); index <= last; index++) rows.push(nashta(length, index));
+  return rows;
+}
+
+/**
+ * The catalogue meters in the prastāra of a length, by row. Meters defined by
+ * rules, mātrās or syllable counts have no row.
+ * @param {number} length
+ * @param {Meter[]} [meters]
+ * @returns {Map<number, PrastaraMeter[]>} Rows in ascending order.
+ */
+export function prastaraMeters(length, meters = METERS) {
+  const rows = new Map();
+  const add = (pattern, meter, padas) => {
+    if (pattern.length !== length) return;
+    const index = uddishta(pattern);
+    const found = rows.get(index) ?? [];
+    const same = found.find(m => m.meter === meter);
+    if (same) same.padas = [...same.padas, ...padas].sort((a, b) => a - b);
+    else rows.set(index, [...found, { meter, padas }]);
+  };
+
+  for (const meter of meters) {
+    if (meter.kind === 'sama' && meter.patterns) {
+      meter.patterns.forEach(pattern => add(pattern, meter, [1, 2, 3, 4]));
+    } else if (meter.kind === 'ardhasama') {
+      meter.odd.forEach(pattern => add(pattern, meter, [1, 3]));
+      meter.even.forEach(pattern => add(pattern, meter, [2, 4]));
+    } else if (meter.kind === 'vishama') {
+      meter.padas.forEach((patterns, i) => patterns.forEach(pattern => add(pattern, meter, [i + 1])));
+    }
+  }
+  return new Map([...rows].sort((a, b) => a[0] - b[0]));
+}
+
+/**
+ * Finds a scanned pada in the prastāra of its length, with the catalogue
+ * meters at its row.
+ * @param {string} pattern The pada's Laghu-Guru pattern.
+ * @param {Meter[]} [meters]
+ * @returns {PrastaraPosition}
+ */
+export function prastaraPosition(pattern, meters = METERS) {
+  const byRow = prastaraMeters(pattern.length, meters);
+  const index = uddishta(pattern);
+  let guruFinal = null;
+  if (pattern.endsWith('L')) {
+    const lengthened = uddishta(`${pattern.slice(0, -1)}G`);
+    guruFinal = { index: lengthened, meters: byRow.get(lengthened) ?? [] };
+  }
+  return { pattern, index, total: 2 ** pattern.length, meters: byRow.get(index) ?? [], guruFinal };
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { GANAS } from './gana.js';
+import { MAX_PRASTARA_LENGTH, nashta, prastara, prastaraMeters, prastaraPosition, uddishta } from './prastara.js';
+
+const ids = (found) => found.map(({ meter, padas }) => `${meter.id}:${padas.join(',')}`);
+
+describe('the prastāra', () => {
+  it('lists the gaṇas in their traditional order for three syllables', () => {
+    const names = prastara(3).map(pattern => GANAS.find(gana => gana.pattern === pattern).name);
+    expect(names).toEqual(['ma', 'ya', 'ra', 'sa', 'ta', 'ja', 'bha', 'na']);
+  });
+
+  it('starts all Guru, ends all Laghu and lists a range of rows', () => {
+    const rows = prastara(11);
+    expect(rows).toHaveLength(2048);
+    expect(rows[0]).toBe('G'.repeat(11));
+    expect(rows.at(-1)).toBe('L'.repeat(11));
+    expect(prastara(11, 357, 2)).toEqual(['GGLGGLLGLGG', 'LGLGGLLGLGG']);
+    expect(prastara(3, 7, 10)).toEqual(['GLL', 'LLL']);
+  });
+});
+
+describe('uddiṣṭa and naṣṭa', () => {
+  it('find the row of a pattern and the pattern of a row', () => {
+    // Indravajrā: 1 + 4 + 32 + 64 + 256 for the Laghus at syllables 3, 6, 7 and 9.
+    expect(uddishta('GGLGGLLGLGG')).toBe(357);
+    expect(nashta(11, 357)).toBe('GGLGGLLGLGG');
+    expect(uddishta('G')).toBe(1);
+    expect(uddishta('L')).toBe(2);
+  });
+
+  it('are inverse to each other', () => {
+    for (let index = 1; index <= 2 ** 6; index++) expect(uddishta(nashta(6, index))).toBe(index);
+    expect(nashta(MAX_PRASTARA_LENGTH, 2 ** MAX_PRASTARA_LENGTH)).toBe('L'.repeat(MAX_PRASTARA_LENGTH));
+  });
+
+  it('reject patterns, lengths and rows outside the prastāra', () => {
+    expect(() => uddishta('LGX')).toThrow('"LGX" is not a Laghu-Guru pattern.');
+    expect(() => uddishta('')).toThrow('"" is not a Laghu-Guru pattern.');
+    expect(() => uddishta('G'.repeat(53))).toThrow('A prastāra has 1 to 52 syllables, not 53.');
+    expect(() => nashta(0, 1)).toThrow('A prastāra has 1 to 52 syllables, not 0.');
+    expect(() => prastara(2.5)).toThrow('A prastāra has 1 to 52 syllables, not 2.5.');
+    expect(() => nashta(3, 9)).toThrow('The prastāra of 3 syllables has rows 1 to 8, not 9.');
+    expect(() => nashta(3, 0)).toThrow('The prastāra of 3 syllables has rows 1 to 8, not 0.');
+  });
+});
+
+describe('prastaraMeters', () => {
+  it('places sama, ardhasama and viṣama padas at their rows', () => {
+    const rows = prastaraMeters(11);
+    expect([...rows.keys()]).toEqual([...rows.keys()].sort((a, b) => a - b));
+    expect(ids(rows.get(357))).toEqual(['indravajra:1,2,3,4']);
+    expect(ids(rows.get(439))).toEqual(['dodhaka:1,2,3,4', 'vegavati:2,4']);
+    expect(ids(rows.get(692))).toEqual(['viyogini:2,4']);
+    expect(ids(rows.get(895))).toEqual(['udgata:3']);
+    expect(ids(prastaraMeters(10).get(348))).toEqual(['viyogini:1,3']);
+  });
+
+  it('merges the padas of a meter that repeats a pattern', () => {
+    const meter = { id: 'even', kind: 'ardhasama', odd: ['LGLG'], even: ['LGLG'] };
+    expect(ids(prastaraMeters(4, [meter]).get(uddishta('LGLG')))).toEqual(['even:1,2,3,4']);
+  });
+
+  it('leaves out meters without fixed patterns', () => {
+    const meters = [{ id: 'arya', kind: 'matra' }, { id: 'anushtubh', kind: 'anushtubh' }];
+    expect(prastaraMeters(8, meters).size).toBe(0);
+  });
+});
+
+describe('prastaraPosition', () => {
+  it('finds a pada with the meters at its row', () => {
+    const position = prastaraPosition('GGLGGLLGLGG');
+    expect(position).toMatchObject({ pattern: 'GGLGGLLGLGG', index: 357, total: 2048, guruFinal: null });
+    expect(ids(position.meters)).toEqual(['indravajra:1,2,3,4']);
+  });
+
+  it('reads a final Laghu as Guru too', () => {
+    const position = prastaraPosition('GGLGGLLGLGL');
+    expect(position.index).toBe(1381);
+    expect(position.meters).toEqual([]);
+    expect(position.guruFinal.index).toBe(357);
+    expect(ids(position.guruFinal.meters)).toEqual(['indravajra:1,2,3,4']);
+    expect(prastaraPosition('GLLLLLLLLLL').guruFinal).toEqual({ index: uddishta('GLLLLLLLLLG'), meters: [] });
+  });
+});
@@ -0,0 +1,157 @@
+import { METERS } from './meters.js';
+import { scan } from './scan.js';
+import { identify } from './identify.js';
+import { GANAS, splitGanas, ganaFormula } from './gana.js';
+import { classifyQuestion, explainSyllable } from './tutor.js';
+
+/**
+ * Practice rounds for learners: mark the Laghu-Guru weights of a verse, name
+ * its meter and split a pada into gaṇas. Verses come from the catalogue's
+ * examples and lakṣaṇa verses; answers are graded against the scansion, and
+ * each wrong weight is explained with the rule that applies.
+ */
+
+/**
+ * @typedef {import('./meters.js').Meter} Meter
+ * @typedef {import('./scan.js').Scansion} Scansion
+ * @typedef {import('./scan.js').Weight} Weight
+ */
+
+/**
+ * @typedef {object} PracticeVerse
+ * @property {Meter} meter
+ * @property {string} text
+ * @property {'example' | 'lakshana'} source
+ * @property {Scansion} scansion
+ */
+
+/**
+ * @typedef {object} WeightMistake
+ * @property {number} pada 1-based pada number.
+ * @property {number} position 1-based syllable position.
+ * @property {string} text The akshara.
+ * @property {Weight} expected
+ * @property {Weight | null} marked null when the learner left it unmarked.
+ * @property {string} explanation Why the syllable has its weight.
+ */
+
+/**
+ * @typedef {object} WeightGrade
+ * @property {number} correct
+ * @property {number} total
+ * @property {WeightMistake[]} mistakes In verse order.
+ */
+
+/**
+ * @typedef {object} AnswerGrade
+ * @property {boolean} correct
+ * @property {string} expected The right answer, for display.
+ * @property {string} message
+ */
+
+/**
+ * Lists the catalogue verses fit for practice: examples and lakṣaṇa verses
+ * that scan as their own meter.
+ * @param {Meter[]} [meters]
+ * @returns {PracticeVerse[]}
+ */
+export function practiceVerses(meters = METERS) {
+  const verses = [];
+  for (const meter of meters) {
+    for (const source of ['example', 'lakshana']) {
+      const text = meter[source];
+      if (!text) continue;
+      const scansion = scan(text);
+      const identification = identify(scansion, meters, { mode: meter.kind === 'vedic' ? 'vedic' : 'classical' });
+      if (identification.meter?.id === meter.id) verses.push({ meter, text, source, scansion });
+    }
+  }
+  return verses;
+}
+
+/**
+ * Picks a practice verse at random, avoiding the previous one when there is a choice.
+ * @param {PracticeVerse[]} verses
+ * @param {PracticeVerse | null} [previous]
+ * @param {() => number} [random]
+ * @returns {PracticeVerse | null}
+ */
+export function pickPracticeVerse(verses, previous = null, random = Math.random) {
+  const pool = verses.length > 1 ? verses.filter(v => v !== previous) : verses;
+  return pool.length > 0 ? pool[Math.floor(random() * pool.length)] : null;
+}
+
+/**
+ * Grades the weights a learner marked against the scansion. A pada-final
+ * syllable the scansion treats as anceps is right with either weight.
+ * @param {Scansion} scansion
+ * @param {(Weight | null)[][]} marks The learner's mark for each syllable of each pada.
+ * @returns {WeightGrade}
+ */
+export function gradeWeights(scansion, marks) {
+  const mistakes = [];
+  let total = 0;
+  scansion.padas.forEach((pada, padaIndex) => {
+    pada.syllables.forEach((syllable, index) => {
+      total++;
+      const marked = marks[padaIndex]?.[index] ?? null;
+      if (marked === syllable.weight || (syllable.anceps && marked !== null)) return;
+      mistakes.push({
+        pada: padaIndex + 1,
+        position: index + 1,
+        text: syllable.text,
+        expected: syllable.weight,
+        marked,
+        explanation: explainSyllable(scansion.padas, padaIndex, index),
+      });
+    });
+  });
+  return { correct: total - mistakes.length, total, mistakes };
+}
+
+/**
+ * Grades the meter a learner named, in Devanagari, IAST or plain Latin letters.
+ * @param {string} answer
+ * @param {Meter} meter The meter of the verse.
+ * @param {Meter[]} [meters]
+ * @returns {AnswerGrade}
+ */
+export function gradeMeterName(answer, meter, meters = METERS) {
+  const named = classifyQuestion(answer, meters).meter;
+  const expected = `${meter.deva} (${meter.iast})`;
+  if (named?.id === meter.id) return { correct: true, expected, message: `Correct: the verse is in ${expected}.` };
+  return {
+    correct: false,
+    expected,
+    message: named ? `Not ${named.iast}: the verse is in ${expected}.` : `"${answer}" is not a meter I know; the verse is in ${expected}.`,
+  };
+}
+
+const fold = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Every way of writing a gaṇa: its name, Devanagari letter and Latin abbreviation.
+const GANA_NAMES = new Map();
+for (const gana of [...GANAS, ...splitGanas('LG')]) {
+  for (const form of [gana.name, gana.letter, gana.abbreviation.toLowerCase()]) GANA_NAMES.set(form, gana.name);
+}
+
+/**
+ * Grades a gaṇa split of a pada, written as names ("ja ta ja ga ga"), letters
+ * ("ज त ज ग ग") or abbreviations ("J T J G G").
+ * @param {string} answer
+ * @param {import('./scan.js').Pada} pada
+ * @returns {AnswerGrade}
+ */
+export function gradeGanas(answer, pada) {
+  const expected = ganaFormula(pada.ganas);
+  const given = fold(answer).split(/[\s,;\-–·]+/).filter(Boolean).map(token => GANA_NAMES.get(token) ?? `?${token}`);
+  if (given.join(' ') === expected) return { correct: true, expected, message: `Correct: ${expected}.` };
+
+  const wrong = given.findIndex((name, i) => name !== pada.ganas[i]?.name);
+  const detail = given[wrong]?.startsWith('?')
+    ? `"${given[wrong].slice(1)}" is not a gaṇa`
+    : wrong === -1 || wrong >= pada.ganas.length
+      ? `the pada has ${pada.ganas.length} gaṇas, not ${given.length}`
+      : `gaṇa ${wrong + 1} is ${pada.ganas[wrong].name} (${pada.ganas[wrong].pattern}), not ${given[wrong]}`;
+  return { correct: false, expected, message: `Not quite: ${detail}. The split is ${expected}.` };
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { gradeGanas, gradeMeterName, gradeWeights, pickPracticeVerse, practiceVerses } from './quiz.js';
+import { findMeter } from './meters.js';
+import { scan } from './scan.js';
+
+const INDRAVAJRA = findMeter('indravajra');
+const weightsOf = (scansion) => scansion.padas.map(pada => pada.syllables.map(s => s.weight));
+
+describe('practiceVerses', () => {
+  it('keeps only catalogue verses that scan as their own meter', () => {
+    const verses = practiceVerses();
+    expect(verses.length).toBeGreaterThan(20);
+    expect(verses).toContainEqual(expect.objectContaining({ meter: INDRAVAJRA, source: 'example', text: INDRAVAJRA.example }));
+    expect(practiceVerses([{ ...INDRAVAJRA, example: 'राम राम' }]).map(v => v.source)).toEqual(['lakshana']);
+  });
+});
+
+describe('pickPracticeVerse', () => {
+  it('avoids the previous verse when there is a choice', () => {
+    const verses = ['a', 'b', 'c'];
+    expect(pickPracticeVerse(verses, 'a', () => 0)).toBe('b');
+    expect(pickPracticeVerse(verses, 'a', () => 0.99)).toBe('c');
+    expect(pickPracticeVerse(['a'], 'a', () => 0)).toBe('a');
+    expect(pickPracticeVerse([])).toBeNull();
+  });
+});
+
+describe('gradeWeights', () => {
+  const scansion = scan(INDRAVAJRA.example);
+
+  it('accepts the scanned weights', () => {
+    expect(gradeWeights(scansion, weightsOf(scansion))).toEqual({ correct: 44, total: 44, mistakes: [] });
+  });
+
+  it('explains each wrong or missing mark', () => {
+    const marks = weightsOf(scansion);
+    marks[1][2] = 'G';
+    marks[2][0] = null;
+    const { correct, mistakes } = gradeWeights(scansion, marks);
+    expect(correct).toBe(42);
+    expect(mistakes).toEqual([
+      expect.objectContaining({ pada: 2, position: 3, text: 'न्द्र', expected: 'L', marked: 'G' }),
+      expect.objectContaining({ pada: 3, position: 1, expected: 'G', marked: null }),
+    ]);
+    expect(mistakes[0].explanation).toMatch(/^Pada 2, syllable 3 \(न्द्र\) is Laghu\./);
+  });
+
+  it('accepts either weight on an anceps syllable, but not a missing mark', () => {
+    const marks = weightsOf(scansion).map(pada => pada.map((weight, i) => (i === pada.length - 1 ? 'L' : weight)));
+    expect(gradeWeights(scansion, marks).mistakes).toEqual([]);
+
+    const strict = scan(INDRAVAJRA.example, { anceps: false });
+    expect(gradeWeights(strict, marks).mistakes.map(m => m.position)).toEqual([11, 11, 11, 11]);
+
+    marks[0][10] = null;
+    expect(gradeWeights(scansion, marks).mistakes).toEqual([expect.objectContaining({ pada: 1, position: 11, marked: null })]);
+  });
+});
+
+describe('gradeMeterName', () => {
+  it('accepts the name in any script or spelling', () => {
+    for (const answer of ['Indravajrā', 'indravajra', 'इन्द्रवज्रा']) {
+      expect(gradeMeterName(answer, INDRAVAJRA)).toMatchObject({ correct: true, expected: 'इन्द्रवज्रा (Indravajrā)' });
+    }
+  });
+
+  it('names the wrong meter or the unknown answer', () => {
+    expect(gradeMeterName('Upendravajrā', INDRAVAJRA).message).toBe('Not Upendravajrā: the verse is in इन्द्रवज्रा (Indravajrā).');
+    expect(gradeMeterName('xyz', INDRAVAJRA).message).toBe('"xyz" is not a meter I know; the verse is in इन्द्रवज्रा (Indravajrā).');
+  });
+});
+
+describe('gradeGanas', () => {
+  const [pada] = scan(INDRAVAJRA.example).padas;
+
+  it('accepts names, letters and abbreviations', () => {
+    for (const answer of ['ta ta ja ga ga', 'त त ज ग ग', 'T T J G G', 'ta-ta-ja, ga ga']) {
+      expect(gradeGanas(answer, pada)).toMatchObject({ correct: true, expected: 'ta ta ja ga ga' });
+    }
+  });
+
+  it('points out the first wrong gaṇa', () => {
+    expect(gradeGanas('ta ja ja ga ga', pada).message).toBe('Not quite: gaṇa 2 is ta (GGL), not ja. The split is ta ta ja ga ga.');
+    expect(gradeGanas('ta ta xa', pada).message).toBe('Not quite: "xa" is not a gaṇa. The split is ta ta ja ga ga.');
+    expect(gradeGanas('ta ta ja', pada).message).toBe('Not quite: the pada has 5 gaṇas, not 3. The split is ta ta ja ga ga.');
+  });
+});
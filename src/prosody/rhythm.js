@@ -0,0 +1,53 @@
+/**
+ * Timing of a verse for recitation. Each syllable lasts its mātrās (Laghu one,
+ * Guru two), with a rest at every yati and a longer one at the end of each pada.
+ * Times are in mātrās; the player turns them into seconds by the tempo.
+ */
+
+/**
+ * @typedef {import('./scan.js').Scansion} Scansion
+ * @typedef {import('./yati.js').YatiReport} YatiReport
+ */
+
+/**
+ * @typedef {object} RhythmBeat
+ * @property {number} pada 0-based pada index.
+ * @property {number} index 0-based syllable index in the pada.
+ * @property {'L' | 'G'} weight
+ * @property {number} start In mātrās from the start of the verse.
+ * @property {number} duration In mātrās.
+ */
+
+/**
+ * @typedef {object} Rhythm
+ * @property {RhythmBeat[]} beats In order.
+ * @property {number} duration Length of the verse in mātrās, rests included.
+ */
+
+/** Rests, in mātrās. */
+export const RHYTHM_RESTS = {
+  yati: 1,
+  pada: 2,
+};
+
+/**
+ * Lays out the beats of a scanned verse.
+ * @param {Scansion} scansion
+ * @param {YatiReport} [yati] The caesuras to rest at, from the identification.
+ * @returns {Rhythm}
+ */
+export function rhythmOf(scansion, yati) {
+  const beats = [];
+  let time = 0;
+  scansion.padas.forEach((pada, padaIndex) => {
+    const caesuras = new Set((yati?.points ?? []).filter(p => p.pada === padaIndex + 1).map(p => p.position));
+    pada.syllables.forEach((syllable, index) => {
+      const duration = syllable.weight === 'G' ? 2 : 1;
+      beats.push({ pada: padaIndex, index, weight: syllable.weight, start: time, duration });
+      time += duration;
+      if (caesuras.has(index + 1)) time += RHYTHM_RESTS.yati;
+    });
+    time += RHYTHM_RESTS.pada;
+  });
+  return { beats, duration: time };
+}
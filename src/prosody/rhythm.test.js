@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { RHYTHM_RESTS, rhythmOf } from './rhythm.js';
+import { findMeter } from './meters.js';
+import { identify } from './identify.js';
+import { countMatras } from './matra.js';
+import { scan } from './scan.js';
+
+const scansionOf = (patterns) => ({ padas: patterns.map(pattern => ({ syllables: [...pattern].map(weight => ({ weight })) })) });
+
+describe('rhythmOf', () => {
+  it('gives a Laghu one mātrā and a Guru two, with a rest after each pada', () => {
+    const { beats, duration } = rhythmOf(scansionOf(['LG', 'G']));
+    expect(beats).toEqual([
+      { pada: 0, index: 0, weight: 'L', start: 0, duration: 1 },
+      { pada: 0, index: 1, weight: 'G', start: 1, duration: 2 },
+      { pada: 1, index: 0, weight: 'G', start: 3 + RHYTHM_RESTS.pada, duration: 2 },
+    ]);
+    expect(duration).toBe(5 + 2 * RHYTHM_RESTS.pada);
+  });
+
+  it('rests at each yati of its pada', () => {
+    const yati = { valid: true, violations: [], points: [{ pada: 1, position: 1, status: 'word' }, { pada: 2, position: 1, status: 'word' }] };
+    const { beats } = rhythmOf(scansionOf(['LL', 'LL']), yati);
+    expect(beats.map(b => b.start)).toEqual([0, 1 + RHYTHM_RESTS.yati, 4 + RHYTHM_RESTS.yati, 5 + 2 * RHYTHM_RESTS.yati]);
+  });
+
+  it('times a Mandākrāntā verse with its caesurae', () => {
+    const scansion = scan(findMeter('mandakranta').example);
+    const { duration } = rhythmOf(scansion, identify(scansion).yati);
+    const matras = scansion.padas.reduce((sum, pada) => sum + countMatras(pada.pattern), 0);
+    // Two caesurae and the pada-end rest in each pada.
+    expect(duration).toBe(matras + 4 * (2 * RHYTHM_RESTS.yati + RHYTHM_RESTS.pada));
+  });
+});
@@ -0,0 +1,269 @@
+import {
+  AVAGRAHA,
+  INHERENT_VOWEL,
+  isAnusvaraVisarga,
+  isConsonant,
+  isHalant,
+  isIndependentVowel,
+  isNukta,
+  isShortVowel,
+  isSvara,
+  isVowelSign,
+} from './devanagari.js';
+import { detectScheme, toDevanagari } from './transliterate.js';
+import { splitGanas } from './gana.js';
+
+/**
+ * @typedef {'L' | 'G'} Weight
+ */
+
+/**
+ * Why a syllable is Guru. Laghu syllables have no reason.
+ * @typedef {'long-vowel' | 'anusvara-visarga' | 'conjunct' | 'pada-final'} WeightReason
+ */
+
+/**
+ * @typedef {object} Syllable
+ * @property {string} text The akshara as written, including any conjunct onset.
+ * @property {number} start Offset of the first character of the akshara in the pada text.
+ * @property {number} end Offset just past the last character of the akshara.
+ * @property {string} vowel The vowel nucleus (independent form for the inherent 'a').
+ * @property {number} onset Number of consonants before the vowel.
+ * @property {string} [modifier] Anusvara, visarga or candrabindu closing the syllable.
+ * @property {string} [coda] Halanta consonants closing the syllable at the end of the line.
+ * @property {Weight} weight
+ * @property {WeightReason | null} reason The rule that made the syllable Guru.
+ * @property {boolean} [anceps] The pada-final syllable, which meters accept as either weight.
+ */
+
+/**
+ * A word or compound-member boundary inside a pada, kept for yati (caesura) checks.
+ * @typedef {object} WordBreak
+ * @property {number} offset Offset of the space or hyphen in the pada text.
+ * @property {number} after Number of syllables wholly before the break.
+ * @property {boolean} inside The break falls inside syllable `after` (0-based), because a
+ *   word-final consonant is pronounced with the next word, as in "वाक् सा".
+ * @property {'word' | 'compound'} kind 'compound' for a hyphen between compound members.
+ */
+
+/**
+ * @typedef {object} Pada
+ * @property {string} text The pada (quarter) in Devanagari, without surrounding whitespace.
+ *   Syllable offsets refer to this text.
+ * @property {string} source The pada as entered, in the input scheme.
+ * @property {number} start Offset of the pada source in the verse.
+ * @property {number} end Offset just past the pada source in the verse.
+ * @property {Syllable[]} syllables
+ * @property {string} pattern Compact Laghu-Guru string, e.g. "LGLLGG".
+ * @property {import('./gana.js').Gana[]} ganas The pattern split into trisyllabic ganas.
+ * @property {WordBreak[]} breaks Word boundaries, in order.
+ */
+
+/**
+ * @typedef {object} Scansion
+ * @property {import('./transliterate.js').Scheme} scheme The scheme the verse was read in.
+ * @property {boolean} anceps Whether pada-final syllables count as either weight when matching meters.
+ * @property {Pada[]} padas
+ */
+
+/**
+ * @typedef {object} ScanOptions
+ * @property {import('./transliterate.js').Scheme | 'auto'} [scheme] Input scheme; detected when 'auto'.
+ * @property {boolean} [anceps] Treat the last syllable of every pada as anceps (pādānta
+ *   vikalpa), as classical meters do. True by default; turn it off for strict matching.
+ */
+
+/**
+ * Explanations of each Guru rule, suitable for tooltips and chat replies.
+ * @type {Record<WeightReason, string>}
+ */
+export const WEIGHT_REASONS = {
+  'long-vowel': 'Rule A: the vowel is long (ā, ī, ū, ṝ, e, ai, o, au).',
+  'anusvara-visarga': 'Rule B: the syllable is closed by an anusvāra (ं), candrabindu (ँ) or visarga (ः, ᳵ, ᳶ).',
+  'conjunct': 'Rule C: the syllable is followed by a conjunct consonant (saṃyuktākṣara), even across a word or pada boundary.',
+  'pada-final': 'The syllable is closed by a consonant at the end of the pada.',
+};
+
+/**
+ * @param {Syllable} syllable
+ * @param {Syllable | undefined} next
+ * @returns {WeightReason | null}
+ */
+function weightReason(syllable, next) {
+  // Rule A: Intrinsic vowel length (ā, ī, ū, ṝ, e, ai, o, au)
+  if (!isShortVowel(syllable.vowel)) return 'long-vowel';
+  // Rule B: Syllable closed by Anusvara (ं) or Visarga (ः)
+  if (syllable.modifier) return 'anusvara-visarga';
+  // Rule C: Syllable followed by a conjunct consonant (Samyuktakshara)
+  if (next !== undefined && next.onset > 1) return 'conjunct';
+  if (syllable.coda) return 'pada-final';
+  return null;
+}
+
+/**
+ * Explanation for a pada-final syllable when pada-final flexibility is on.
+ */
+export const ANCEPS_NOTE = 'Pada-final syllable: meters accept it as either Laghu or Guru.';
+
+/**
+ * Splits a Devanagari line into aksharas (syllables) and marks each one Laghu or Guru.
+ * Whitespace, dandas, avagraha and non-Devanagari characters are ignored, so conjuncts
+ * are detected across word boundaries within the line. Nukta forms count as plain
+ * consonants, and Vedic svara marks stay with their syllable without affecting its weight.
+ * @param {string} line A single pada of Devanagari text.
+ * @returns {Syllable[]}
+ */
+export function syllabify(line) {
+  /** @type {Syllable[]} */
+  const syllables = [];
+  let pending = ''; // Halanta consonants waiting for a vowel
+  let pendingCount = 0;
+  let pendingStart = 0;
+  let pendingEnd = 0;
+
+  const startOf = (i) => (pending ? pendingStart : i);
+  const resetPending = () => {
+    pending = '';
+    pendingCount = 0;
+  };
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (isConsonant(char)) {
+      const start = startOf(i);
+      let consonant = char;
+      if (isNukta(line[i + 1])) {
+        consonant += line[i + 1];
+        i++;
+      }
+
+      if (isHalant(line[i + 1])) {
+        if (!pending) pendingStart = start;
+        pending += consonant + line[i + 1];
+        pendingCount++;
+        pendingEnd = i + 2;
+        i++;
+        continue;
+      }
+
+      // Consonant followed by a dependent vowel mark, or carrying the implied 'a' (अ).
+      let vowel = INHERENT_VOWEL;
+      let text = pending + consonant;
+      if (isVowelSign(line[i + 1])) {
+        vowel = line[i + 1];
+        text += vowel;
+        i++;
+      }
+      syllables.push({ text, start, end: i + 1, vowel, onset: pendingCount + 1, weight: 'L', reason: null });
+      resetPending();
+    } else if (isIndependentVowel(char)) {
+      // Pending consonants (e.g. "तत् अस्ति") are pronounced with the following vowel.
+      syllables.push({ text: pending + char, start: startOf(i), end: i + 1, vowel: char, onset: pendingCount, weight: 'L', reason: null });
+      resetPending();
+    } else if (isAnusvaraVisarga(char) && syllables.length > 0 && !pending) {
+      const last = syllables[syllables.length - 1];
+      last.text += char;
+      last.end = i + 1;
+      last.modifier = char;
+    } else if (isSvara(char) && syllables.length > 0 && !pending) {
+      const last = syllables[syllables.length - 1];
+      last.text += char;
+      last.end = i + 1;
+    }
+    // Anything else (whitespace, dandas, avagraha, digits, Latin text) carries no syllabic weight.
+  }
+
+  // A line ending in a halanta consonant (e.g. "वाक्") closes the last syllable.
+  if (pending && syllables.length > 0) {
+    const last = syllables[syllables.length - 1];
+    last.text += pending;
+    last.end = pendingEnd;
+    last.coda = pending;
+  }
+
+  syllables.forEach((syllable, index) => {
+    syllable.reason = weightReason(syllable, syllables[index + 1]);
+    syllable.weight = syllable.reason ? 'G' : 'L';
+  });
+
+  return syllables;
+}
+
+/**
+ * Finds the word boundaries (spaces, and avagraha marking an elided initial अ)
+ * and compound-member boundaries (hyphens) of a pada and places them between
+ * its syllables.
+ * @param {string} line A single pada of Devanagari text.
+ * @param {Syllable[]} syllables The syllables of `line`.
+ * @returns {WordBreak[]}
+ */
+export function findWordBreaks(line, syllables) {
+  const breaks = [];
+  let index = 0;
+  for (let offset = 0; offset < line.length; offset++) {
+    const char = line[offset];
+    if (!/\s/.test(char) && char !== '-' && char !== AVAGRAHA) continue;
+    while (index < syllables.length && syllables[index].end <= offset) index++;
+    if (index === 0 || index === syllables.length) continue;
+    const kind = char === '-' ? 'compound' : 'word';
+    const inside = syllables[index].start < offset;
+    const previous = breaks[breaks.length - 1];
+    // Runs of whitespace, or " - ", make a single break.
+    if (previous && previous.after === index && previous.inside === inside) {
+      if (kind === 'word') previous.kind = 'word';
+      continue;
+    }
+    breaks.push({ offset, after: index, inside, kind });
+  }
+  return breaks;
+}
+
+// A pada ending in a daṇḍa closes a half-verse or verse; the pause blocks Rule C.
+const PAUSE = /[।॥][\s।॥०-९0-9]*$/;
+
+/**
+ * Scans a verse, one pada per non-empty line. A short pada-final syllable is
+ * Guru when the next pada opens with a conjunct, unless a daṇḍa ends the pada.
+ * @param {string} verse The Sanskrit verse in Devanagari, IAST, Harvard-Kyoto or SLP1.
+ * @param {ScanOptions} [options]
+ * @returns {Scansion}
+ */
+export function scan(verse, { scheme = 'auto', anceps = true } = {}) {
+  const inputScheme = scheme === 'auto' ? detectScheme(verse) : scheme;
+  const lines = [];
+  let offset = 0;
+  for (const line of verse.split('\n')) {
+    const source = line.trim();
+    if (source) {
+      const start = offset + line.indexOf(source);
+      const text = toDevanagari(source, inputScheme);
+      lines.push({ text, source, start, end: start + source.length, syllables: syllabify(text) });
+    }
+    offset += line.length + 1;
+  }
+
+  const padas = lines.map((line, index) => {
+    const { syllables } = line;
+    const last = syllables[syllables.length - 1];
+    const next = lines[index + 1]?.syllables[0];
+    if (last && !last.reason && next && next.onset > 1 && !PAUSE.test(line.text)) {
+      last.reason = 'conjunct';
+      last.weight = 'G';
+    }
+    if (last && anceps) last.anceps = true;
+
+    const pattern = syllables.map(s => s.weight).join('');
+    return { ...line, pattern, ganas: splitGanas(pattern), breaks: findWordBreaks(line.text, syllables) };
+  });
+  return { scheme: inputScheme, anceps, padas };
+}
+
+/**
+ * Spaces out a compact pattern for display, e.g. "LGG" -> "L G G".
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function formatPattern(pattern) {
+  return pattern.split('').join(' ');
+}
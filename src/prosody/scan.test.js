@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import { findWordBreaks, scan, syllabify, WEIGHT_REASONS } from './scan.js';
+
+const patterns = (verse, options) => scan(verse, options).padas.map(p => p.pattern);
+
+describe('scan', () => {
+  it('scans the first śloka of the Gītā', () => {
+    const verse = 'धर्मक्षेत्रे कुरुक्षेत्रे\nसमवेता युयुत्सवः ।\nमामकाः पाण्डवाश्चैव\nकिमकुर्वत सञ्जय ॥';
+    expect(patterns(verse)).toEqual(['GGGGLGGG', 'LLGGLGLG', 'GLGGLGGL', 'LLGLLGLL']);
+  });
+
+  it('reads RV 1.1.1 alike in Devanagari and IAST', () => {
+    const devanagari = scan('अग्निमीळे पुरोहितं\nयज्ञस्य देवमृत्विजम्\nहोतारं रत्नधातमम्');
+    const iast = scan('agnim īḷe purohitaṃ\nyajñasya devam ṛtvijam\nhotāraṃ ratnadhātamam');
+    expect(iast.scheme).toBe('iast');
+    expect(iast.padas[0].text).toBe('अग्निम् ईळे पुरोहितं');
+    expect(iast.padas.map(p => p.pattern)).toEqual(devanagari.padas.map(p => p.pattern));
+    expect(devanagari.padas[0].pattern).toBe('GLGGLGLG');
+  });
+
+  it('makes a syllable Guru by its vowel, anusvāra or visarga, a following conjunct or a final consonant', () => {
+    expect(syllabify('रामः कृष्णं').map(s => [s.text, s.weight])).toEqual([['रा', 'G'], ['मः', 'G'], ['कृ', 'G'], ['ष्णं', 'G']]);
+    expect(syllabify('वाक्')).toMatchObject([{ text: 'वाक्', vowel: 'ा', onset: 1, weight: 'G', coda: 'क्' }]);
+    expect(syllabify('कमल').map(s => s.weight)).toEqual(['L', 'L', 'L']);
+  });
+
+  it('carries a word-final consonant over to the next vowel', () => {
+    expect(syllabify('तत् अस्ति').map(s => s.text)).toEqual(['त', 'त्अ', 'स्ति']);
+  });
+
+  it('gives the reason each syllable is Guru', () => {
+    const [pada] = scan('रामः कृष्णं').padas;
+    expect(pada.syllables.map(s => [s.text, s.weight, s.reason])).toEqual([
+      ['रा', 'G', 'long-vowel'],
+      ['मः', 'G', 'anusvara-visarga'],
+      ['कृ', 'G', 'conjunct'],
+      ['ष्णं', 'G', 'anusvara-visarga'],
+    ]);
+  });
+
+  it('marks the pada-final syllable anceps unless strict', () => {
+    const verse = 'समवेता युयुत्सवः';
+    expect(scan(verse).padas[0].syllables.at(-1).anceps).toBe(true);
+    expect(scan(verse, { anceps: false }).padas[0].syllables.at(-1).anceps).toBeUndefined();
+    expect(scan(verse, { anceps: false }).anceps).toBe(false);
+  });
+
+  describe('Rule C across padas', () => {
+    it('makes a short pada-final syllable Guru before a conjunct', () => {
+      const [first] = scan('मामकाः पाण्डवाश्चैव\nक्षेत्रे').padas;
+      expect(first.syllables.at(-1)).toMatchObject({ text: 'व', weight: 'G', reason: 'conjunct' });
+    });
+
+    it('stops at a daṇḍa', () => {
+      const [first] = scan('मामकाः पाण्डवाश्चैव ।\nक्षेत्रे').padas;
+      expect(first.syllables.at(-1)).toMatchObject({ text: 'व', weight: 'L', reason: null });
+    });
+  });
+
+  describe('spans', () => {
+    it('gives each syllable its offsets in the pada text', () => {
+      const text = 'वाक् सा पुरोहितं';
+      const syllables = syllabify(text);
+      expect(syllables.map(s => s.text)).toEqual(['वा', 'क्सा', 'पु', 'रो', 'हि', 'तं']);
+      // A consonant carried over to the next word spans the space between them.
+      expect(syllables.map(s => text.slice(s.start, s.end).replace(/\s/g, ''))).toEqual(syllables.map(s => s.text));
+      expect(text.slice(syllables[1].start, syllables[1].end)).toBe('क् सा');
+    });
+
+    it('gives each pada its offsets in the verse as entered', () => {
+      const verse = '  tat savitur vareṇyaṃ\n\nbhargo devasya dhīmahi  ';
+      const { padas } = scan(verse);
+      expect(padas.map(p => verse.slice(p.start, p.end))).toEqual(['tat savitur vareṇyaṃ', 'bhargo devasya dhīmahi']);
+      expect(padas.map(p => p.source)).toEqual(padas.map(p => verse.slice(p.start, p.end)));
+    });
+
+    it('places word and compound breaks between syllables', () => {
+      const text = 'वाक् सा राम-चन्द्रः';
+      expect(findWordBreaks(text, syllabify(text))).toEqual([
+        { offset: 4, after: 1, inside: true, kind: 'word' },
+        { offset: 7, after: 2, inside: false, kind: 'word' },
+        { offset: 11, after: 4, inside: false, kind: 'compound' },
+      ]);
+    });
+  });
+
+  it('explains every Guru reason', () => {
+    const [pada] = scan('धर्मक्षेत्रे कुरुक्षेत्रे').padas;
+    for (const syllable of pada.syllables.filter(s => s.reason)) {
+      expect(WEIGHT_REASONS[syllable.reason]).toBeTypeOf('string');
+    }
+    expect(scan('वाक्', { anceps: false }).padas[0].syllables[0]).toMatchObject({ weight: 'G', reason: 'long-vowel', coda: 'क्' });
+    expect(scan('वक्', { anceps: false }).padas[0].syllables[0]).toMatchObject({ weight: 'G', reason: 'pada-final' });
+  });
+
+  describe('signs outside the basic alphabet', () => {
+    const weights = (text) => scan(text).padas[0].syllables.map(s => [s.text, s.weight]);
+
+    it('keeps nukta consonants short', () => {
+      expect(weights('क़लम')).toEqual([['क़', 'L'], ['ल', 'L'], ['म', 'L']]);
+    });
+
+    it('makes candrabindu, jihvāmūlīya and upadhmānīya close a syllable', () => {
+      expect(weights('हँसति')[0]).toEqual(['हँ', 'G']);
+      expect(weights('रामᳵकरोति')[1]).toEqual(['मᳵ', 'G']);
+      expect(weights('अन्तᳶपरि')[1]).toEqual(['न्तᳶ', 'G']);
+    });
+
+    it('counts vocalic ḷ as a short vowel', () => {
+      expect(weights('ऌकारः')[0]).toEqual(['ऌ', 'L']);
+    });
+
+    it('ignores Vedic accent marks', () => {
+      expect(scan('अ॒ग्निमी॑ळे पु॒रोहि॑तं').padas[0].pattern).toBe(scan('अग्निमीळे पुरोहितं').padas[0].pattern);
+      expect(weights('पु॒रोहि॑तं')).toEqual([['पु॒', 'L'], ['रो', 'G'], ['हि॑', 'L'], ['तं', 'G']]);
+    });
+
+    it('gives the avagraha no syllable of its own', () => {
+      expect(weights('सोऽहम्')).toEqual([['सो', 'G'], ['हम्', 'G']]);
+    });
+  });
+});
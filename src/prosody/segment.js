@@ -0,0 +1,274 @@
+import { METERS } from './meters.js';
+import { syllabify, findWordBreaks, scan } from './scan.js';
+import { identify } from './identify.js';
+import { detectScheme, toDevanagari, fromDevanagari } from './transliterate.js';
+
+/**
+ * Pada segmentation for verses pasted without line breaks, as they come from
+ * PDFs and web editions: "pada pada । pada pada ॥". The text is cut at its
+ * daṇḍas into chunks (usually half-verses), and each chunk is cut further into
+ * padas where the pada lengths of some meter say it should be: 4 or 3 padas of
+ * a syllabic meter, or the first-pada mātrās of a mātrā meter. Every split is
+ * then identified, and the splits that give a meter come first.
+ */
+
+/**
+ * @typedef {import('./meters.js').Meter} Meter
+ * @typedef {import('./identify.js').Identification} Identification
+ */
+
+/**
+ * @typedef {object} Segmentation
+ * @property {string} text The verse with one pada per line, in the input scheme.
+ * @property {number} padas Number of padas.
+ * @property {Identification} identification
+ * @property {number} midWordCuts Pada boundaries that fall inside a word.
+ */
+
+/**
+ * @typedef {object} Chunk
+ * @property {string} text Devanagari text between daṇḍas.
+ * @property {string} close The daṇḍa closing the chunk, if any.
+ * @property {import('./scan.js').Syllable[]} syllables
+ * @property {import('./scan.js').WordBreak[]} breaks
+ */
+
+// A daṇḍa or double daṇḍa with any verse number after it.
+const DANDA = /\s*([।॥]+)(?:\s*[०-९0-9]+\s*[।॥]*)?\s*/g;
+const PADA_COUNTS = [4, 3];
+// The first pada of either half of an Āryā-family verse.
+const ARYA_FIRST_PADA = 12;
+
+const sum = (numbers) => numbers.reduce((total, n) => total + n, 0);
+
+/**
+ * Whether a verse needs segmenting: it has fewer than three lines.
+ * @param {string} verse
+ * @returns {boolean}
+ */
+export function needsSegmentation(verse) {
+  return verse.split('\n').filter(line => line.trim()).length < 3;
+}
+
+/**
+ * Cuts Devanagari text at its line breaks and daṇḍas.
+ * @param {string} text
+ * @returns {Chunk[]}
+ */
+function chunksOf(text) {
+  const chunks = [];
+  for (const line of text.split('\n')) {
+    let start = 0;
+    const push = (end, close) => {
+      const chunkText = line.slice(start, end).trim();
+      if (!chunkText) return;
+      const syllables = syllabify(chunkText);
+      if (syllables.length > 0) chunks.push({ text: chunkText, close, syllables, breaks: findWordBreaks(chunkText, syllables) });
+    };
+    DANDA.lastIndex = 0;
+    let match;
+    while ((match = DANDA.exec(line)) !== null) {
+      push(match.index, match[1].includes('॥') ? '॥' : '।');
+      start = match.index + match[0].length;
+    }
+    push(line.length, '');
+  }
+  return chunks;
+}
+
+/**
+ * The syllables in each of `count` padas of a meter, when the meter fixes them.
+ * @param {Meter} meter
+ * @param {number} count
+ * @returns {number[] | null}
+ */
+function padaLengths(meter, count) {
+  const repeat = (lengths) => Array.from({ length: count }, (_, i) => lengths[i % lengths.length]);
+  switch (meter.kind) {
+    case 'sama':
+      return repeat([meter.patterns ? meter.patterns[0].length : meter.syllables]);
+    case 'ardhasama':
+      return repeat([meter.odd[0].length, meter.even[0].length]);
+    case 'vishama':
+      return meter.padas.length === count ? meter.padas.map(p => p[0].length) : null;
+    case 'vedic':
+      return meter.padaSyllables.length === count ? meter.padaSyllables : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Assigns consecutive padas to chunks so that each chunk holds its padas'
+ * syllables, give or take one syllable in the whole verse (as in nicṛt and
+ * bhurik Vedic verses).
+ * @param {Chunk[]} chunks
+ * @param {number[]} lengths
+ * @returns {number[][] | null} The pada lengths in each chunk.
+ */
+function assignPadas(chunks, lengths) {
+  const groups = [];
+  let next = 0;
+  let deviation = 0;
+  for (const chunk of chunks) {
+    const group = [];
+    while (next < lengths.length && (group.length === 0 || sum(group) + lengths[next] <= chunk.syllables.length + 1)) {
+      group.push(lengths[next++]);
+    }
+    deviation += Math.abs(sum(group) - chunk.syllables.length);
+    if (group.length === 0 || deviation > 1) return null;
+    groups.push(group);
+  }
+  return next === lengths.length ? groups : null;
+}
+
+/**
+ * Turns pada lengths into the syllable indexes each pada after the first starts at.
+ * @param {number[]} lengths
+ */
+const cutsOf = (lengths) => lengths.slice(0, -1).map((_, i) => sum(lengths.slice(0, i + 1)));
+
+/**
+ * Pada cuts for one chunk. When the chunk is a syllable short or long of its
+ * padas, one pada is too, at a word break where possible.
+ * @param {Chunk} chunk
+ * @param {number[]} lengths
+ * @returns {number[]}
+ */
+function chunkCuts(chunk, lengths) {
+  const slack = chunk.syllables.length - sum(lengths);
+  let shifted = slack === 0;
+  return cutsOf(lengths).map((cut) => {
+    if (shifted) return cut + slack;
+    if (chunk.breaks.some(b => b.after === cut)) return cut;
+    if (chunk.breaks.some(b => b.after === cut + slack)) {
+      shifted = true;
+      return cut + slack;
+    }
+    return cut;
+  });
+}
+
+/**
+ * Finds the syllable after which the mātrās of a chunk reach `matras`.
+ * @param {Chunk} chunk
+ * @param {number} matras
+ * @returns {number | null}
+ */
+function matraCut(chunk, matras) {
+  let total = 0;
+  for (let i = 0; i < chunk.syllables.length; i++) {
+    total += chunk.syllables[i].weight === 'G' ? 2 : 1;
+    if (total === matras) return i + 1;
+    if (total > matras) return null;
+  }
+  return null;
+}
+
+/**
+ * Whether cuts leave every pada of a chunk at least one syllable. A chunk
+ * shorter than its padas (a word or two, cut for a one-syllable meter) has none.
+ * @param {Chunk} chunk
+ * @param {number[]} cuts
+ */
+const cutsFit = (chunk, cuts) => cuts.every((cut, i) => cut > (i === 0 ? 0 : cuts[i - 1]) && cut < chunk.syllables.length);
+
+/**
+ * Lists the ways of cutting the chunks into padas suggested by the meters: for
+ * each chunk, the syllable indexes at which its padas after the first start.
+ * @param {Chunk[]} chunks
+ * @param {Meter[]} meters
+ * @returns {number[][][]}
+ */
+function candidateCuts(chunks, meters) {
+  const layouts = [];
+  for (const count of PADA_COUNTS) {
+    for (const meter of meters) {
+      const lengths = padaLengths(meter, count);
+      const groups = lengths && assignPadas(chunks, lengths);
+      if (groups) layouts.push(groups.map((group, i) => chunkCuts(chunks[i], group)));
+    }
+    // Equal padas in every chunk, for meters the catalogue lacks.
+    if (count % chunks.length === 0) {
+      const perChunk = count / chunks.length;
+      if (chunks.every(c => c.syllables.length % perChunk === 0)) {
+        layouts.push(chunks.map(c => cutsOf(new Array(perChunk).fill(c.syllables.length / perChunk))));
+      }
+    }
+  }
+
+  // Mātrā meters: a half-verse per chunk, cut after the mātrās of its first pada.
+  if (chunks.length === 2) {
+    for (const meter of meters.filter(m => m.kind === 'matra')) {
+      const firstPadas = meter.padaMatras ? [meter.padaMatras[0], meter.padaMatras[2]] : [ARYA_FIRST_PADA, ARYA_FIRST_PADA];
+      const cuts = chunks.map((chunk, i) => matraCut(chunk, firstPadas[i]));
+      if (cuts.every(cut => cut !== null)) layouts.push(cuts.map(cut => [cut]));
+    }
+  }
+  return layouts.filter(layout => layout.every((cuts, i) => cutsFit(chunks[i], cuts)));
+}
+
+/**
+ * Cuts a chunk into padas before the given syllables, at the word break there when there is one.
+ * @param {Chunk} chunk
+ * @param {number[]} cuts
+ * @returns {{ padas: string[], midWord: number }}
+ */
+function cutChunk(chunk, cuts) {
+  const padas = [];
+  let start = 0;
+  let midWord = 0;
+  for (const cut of cuts) {
+    const wordBreak = chunk.breaks.find(b => b.after === cut);
+    if (!wordBreak) midWord++;
+    const offset = wordBreak ? wordBreak.offset : chunk.syllables[cut].start;
+    padas.push(chunk.text.slice(start, offset).trim());
+    start = offset;
+  }
+  padas.push(chunk.text.slice(start).trim());
+  return { padas, midWord };
+}
+
+/**
+ * Proposes pada splits for a verse written on fewer lines than it has padas,
+ * best first: splits that give a meter before the others, then splits whose
+ * padas end on word breaks, then more padas. The verse as entered is among the
+ * proposals, so a single long pada can be kept.
+ * @param {string} verse
+ * @param {{ scheme?: import('./transliterate.js').Scheme | 'auto', anceps?: boolean, meters?: Meter[], mode?: 'classical' | 'vedic' }} [options]
+ * @param {number} [limit] How many proposals to return.
+ * @returns {Segmentation[]}
+ */
+export function segmentVerse(verse, { scheme = 'auto', anceps = true, meters = METERS, mode = 'classical' } = {}, limit = 5) {
+  const verseScheme = scheme === 'auto' ? detectScheme(verse) : scheme;
+  const chunks = chunksOf(toDevanagari(verse, verseScheme).replace(/\|\|/g, '॥').replace(/\|/g, '।'));
+  if (chunks.length === 0) return [];
+
+  const seen = new Set();
+  const proposals = [];
+  const propose = (lines, midWordCuts) => {
+    const text = lines.map(line => fromDevanagari(line, verseScheme)).join('\n');
+    if (seen.has(text)) return;
+    seen.add(text);
+    const identification = identify(scan(text, { scheme: verseScheme, anceps }), meters, { mode });
+    proposals.push({ text, padas: lines.length, identification, midWordCuts });
+  };
+
+  propose(verse.split('\n').map(line => toDevanagari(line.trim(), verseScheme)).filter(Boolean), 0);
+  for (const layout of candidateCuts(chunks, meters)) {
+    const lines = [];
+    let midWordCuts = 0;
+    layout.forEach((cuts, i) => {
+      const { padas, midWord } = cutChunk(chunks[i], cuts);
+      padas[padas.length - 1] += chunks[i].close ? ` ${chunks[i].close}` : '';
+      lines.push(...padas);
+      midWordCuts += midWord;
+    });
+    propose(lines, midWordCuts);
+  }
+
+  const matched = (p) => (p.identification.status === 'match' ? 0 : 1);
+  return proposals
+    .sort((a, b) => matched(a) - matched(b) || a.midWordCuts - b.midWordCuts || b.padas - a.padas)
+    .slice(0, limit);
+}
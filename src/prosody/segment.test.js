@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { needsSegmentation, segmentVerse } from './segment.js';
+
+describe('needsSegmentation', () => {
+  it('asks for a split when a verse has fewer than three lines', () => {
+    expect(needsSegmentation('pada pada । pada pada ॥')).toBe(true);
+    expect(needsSegmentation('a\n\nb')).toBe(true);
+    expect(needsSegmentation('a\nb\nc')).toBe(false);
+  });
+});
+
+describe('segmentVerse', () => {
+  it('cuts a śloka on one line into four padas at word breaks', () => {
+    const [best, asEntered] = segmentVerse('धर्मक्षेत्रे कुरुक्षेत्रे समवेता युयुत्सवः । मामकाः पाण्डवाश्चैव किमकुर्वत सञ्जय ॥ १ ॥');
+    expect(best).toMatchObject({
+      text: 'धर्मक्षेत्रे कुरुक्षेत्रे\nसमवेता युयुत्सवः ।\nमामकाः पाण्डवाश्चैव\nकिमकुर्वत सञ्जय ॥',
+      padas: 4,
+      midWordCuts: 0,
+      identification: { status: 'match', meter: { id: 'anushtubh' } },
+    });
+    expect(asEntered.padas).toBe(1);
+  });
+
+  it('keeps the input scheme', () => {
+    const [best] = segmentVerse('dharmakṣetre kurukṣetre samavetā yuyutsavaḥ | māmakāḥ pāṇḍavāścaiva kimakurvata sañjaya ||');
+    expect(best.text).toBe('dharmakṣetre kurukṣetre\nsamavetā yuyutsavaḥ |\nmāmakāḥ pāṇḍavāścaiva\nkimakurvata sañjaya ||');
+  });
+
+  it('prefers the split that gives a meter over one that keeps to word breaks', () => {
+    const proposals = segmentVerse('गोष्ठे गिरिं सव्यकरेण धृत्वा रुष्टेन्द्रवज्राहतिमुक्तवृष्टौ । यो गोकुलं गोपकुलं च सुस्थं चक्रे स नो रक्षतु चक्रपाणिः ॥');
+    expect(proposals[0].identification.meter.id).toBe('indravajra');
+    expect(proposals[0].text.split('\n')[1]).toBe('रुष्टेन्द्रवज्राहतिमुक्तवृष्टौ ।');
+    expect(proposals.slice(1).every(p => p.identification.status !== 'match')).toBe(true);
+  });
+
+  it('finds three padas for a Gāyatrī in vedic mode', () => {
+    const [best] = segmentVerse('agnim īḷe purohitaṃ yajñasya devam ṛtvijam | hotāraṃ ratnadhātamam ||', { mode: 'vedic' });
+    expect(best).toMatchObject({ padas: 3, identification: { meter: { id: 'gayatri' } } });
+    expect(best.text).toBe('agnim īḷe purohitaṃ\nyajñasya devam ṛtvijam |\nhotāraṃ ratnadhātamam ||');
+  });
+
+  it('cuts the halves of an Āryā after the mātrās of their first pada', () => {
+    const [best] = segmentVerse('सुभगसलिलावगाहाः पाटलसंसर्गसुरभिवनवाताः ।\nप्रच्छायसुलभनिद्रा दिवसाः परिणामरमणीयाः ॥');
+    expect(best.text).toBe('सुभगसलिलावगाहाः\nपाटलसंसर्गसुरभिवनवाताः ।\nप्रच्छायसुलभनिद्रा\nदिवसाः परिणामरमणीयाः ॥');
+    expect(best.identification.report.padas).toEqual([12, 18, 12, 15]);
+  });
+
+  it('splits words of one to three syllables only where every pada keeps a syllable', () => {
+    for (const word of ['क', 'राम', 'नमः', 'गणेश', 'a', 'rāma', 'rāmaḥ', 'gaṇeśa']) {
+      const proposals = segmentVerse(word);
+      expect(proposals.map(p => p.text)).toContain(word);
+      for (const { text } of proposals) expect(text.split('\n').every(Boolean)).toBe(true);
+    }
+    expect(segmentVerse('gaṇeśa')[0]).toMatchObject({ text: 'ga\nṇe\nśa', identification: { meter: { id: 'shri' } } });
+  });
+
+  it('limits the proposals and returns none for an empty verse', () => {
+    expect(segmentVerse('धर्मक्षेत्रे कुरुक्षेत्रे समवेता युयुत्सवः । मामकाः पाण्डवाश्चैव किमकुर्वत सञ्जय ॥', {}, 1)).toHaveLength(1);
+    expect(segmentVerse('')).toEqual([]);
+  });
+});
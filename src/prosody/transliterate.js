@@ -0,0 +1,221 @@
+import { HALANT, isConsonant, isHalant, isIndependentVowel, isVowelSign } from './devanagari.js';
+
+/**
+ * @typedef {'devanagari' | 'iast' | 'hk' | 'slp1'} Scheme
+ */
+
+/** @type {{ id: Scheme, label: string }[]} */
+export const SCHEMES = [
+  { id: 'devanagari', label: 'Devanagari' },
+  { id: 'iast', label: 'IAST' },
+  { id: 'hk', label: 'Harvard-Kyoto' },
+  { id: 'slp1', label: 'SLP1' },
+];
+
+// Columns: independent vowel, vowel sign, IAST, Harvard-Kyoto, SLP1
+const VOWELS = [
+  ['अ', '', 'a', 'a', 'a'],
+  ['आ', 'ा', 'ā', 'A', 'A'],
+  ['इ', 'ि', 'i', 'i', 'i'],
+  ['ई', 'ी', 'ī', 'I', 'I'],
+  ['उ', 'ु', 'u', 'u', 'u'],
+  ['ऊ', 'ू', 'ū', 'U', 'U'],
+  ['ऋ', 'ृ', 'ṛ', 'R', 'f'],
+  ['ॠ', 'ॄ', 'ṝ', 'RR', 'F'],
+  ['ऌ', 'ॢ', 'ḷ', 'lR', 'x'],
+  ['ॡ', 'ॣ', 'ḹ', 'lRR', 'X'],
+  ['ए', 'े', 'e', 'e', 'e'],
+  ['ऐ', 'ै', 'ai', 'ai', 'E'],
+  ['ओ', 'ो', 'o', 'o', 'o'],
+  ['औ', 'ौ', 'au', 'au', 'O'],
+];
+
+// Columns: Devanagari, IAST, Harvard-Kyoto, SLP1
+const CONSONANTS = [
+  ['क', 'k', 'k', 'k'], ['ख', 'kh', 'kh', 'K'], ['ग', 'g', 'g', 'g'], ['घ', 'gh', 'gh', 'G'], ['ङ', 'ṅ', 'G', 'N'],
+  ['च', 'c', 'c', 'c'], ['छ', 'ch', 'ch', 'C'], ['ज', 'j', 'j', 'j'], ['झ', 'jh', 'jh', 'J'], ['ञ', 'ñ', 'J', 'Y'],
+  ['ट', 'ṭ', 'T', 'w'], ['ठ', 'ṭh', 'Th', 'W'], ['ड', 'ḍ', 'D', 'q'], ['ढ', 'ḍh', 'Dh', 'Q'], ['ण', 'ṇ', 'N', 'R'],
+  ['त', 't', 't', 't'], ['थ', 'th', 'th', 'T'], ['द', 'd', 'd', 'd'], ['ध', 'dh', 'dh', 'D'], ['न', 'n', 'n', 'n'],
+  ['प', 'p', 'p', 'p'], ['फ', 'ph', 'ph', 'P'], ['ब', 'b', 'b', 'b'], ['भ', 'bh', 'bh', 'B'], ['म', 'm', 'm', 'm'],
+  ['य', 'y', 'y', 'y'], ['र', 'r', 'r', 'r'], ['ल', 'l', 'l', 'l'], ['व', 'v', 'v', 'v'],
+  ['श', 'ś', 'z', 'S'], ['ष', 'ṣ', 'S', 'z'], ['स', 's', 's', 's'], ['ह', 'h', 'h', 'h'], ['ळ', 'ḷ', 'L', 'L'],
+];
+
+// Columns: Devanagari, IAST, Harvard-Kyoto, SLP1
+const MARKS = [
+  ['ं', 'ṃ', 'M', 'M'],
+  ['ः', 'ḥ', 'H', 'H'],
+  ['ँ', 'm̐', '~', '~'],
+  ['ᳵ', 'ẖ', 'ẖ', 'Z'], // jihvāmūlīya (no Harvard-Kyoto form)
+  ['ᳶ', 'ḫ', 'ḫ', 'V'], // upadhmānīya
+  ['ऽ', "'", "'", "'"],
+  ['॥', '||', '||', '||'],
+  ['।', '|', '|', '|'],
+  ['०', '0', '0', '0'], ['१', '1', '1', '1'], ['२', '2', '2', '2'], ['३', '3', '3', '3'], ['४', '4', '4', '4'],
+  ['५', '5', '5', '5'], ['६', '6', '6', '6'], ['७', '7', '7', '7'], ['८', '8', '8', '8'], ['९', '9', '9', '9'],
+];
+
+const COLUMN = { iast: 0, hk: 1, slp1: 2 };
+
+/**
+ * Builds the lookup tables for one romanization scheme.
+ * @param {'iast' | 'hk' | 'slp1'} scheme
+ */
+function buildTables(scheme) {
+  const column = COLUMN[scheme];
+  /** @type {Map<string, { type: 'vowel' | 'consonant' | 'mark', deva: string, sign?: string }>} */
+  const tokens = new Map();
+  /** @type {Map<string, string>} Devanagari character -> roman */
+  const roman = new Map();
+
+  for (const [independent, sign, ...romans] of VOWELS) {
+    tokens.set(romans[column], { type: 'vowel', deva: independent, sign });
+    roman.set(independent, romans[column]);
+    if (sign) roman.set(sign, romans[column]);
+  }
+  for (const [deva, ...romans] of CONSONANTS) {
+    // IAST writes both vocalic ऌ and the Vedic ळ as ḷ; the vowel keeps the token and toDevanagari tells them apart.
+    if (!tokens.has(romans[column])) tokens.set(romans[column], { type: 'consonant', deva });
+    roman.set(deva, romans[column]);
+  }
+  for (const [deva, ...romans] of MARKS) {
+    tokens.set(romans[column], { type: 'mark', deva });
+    roman.set(deva, romans[column]);
+  }
+  if (scheme === 'iast') {
+    // Common alternative spellings
+    tokens.set('ṁ', tokens.get('ṃ'));
+    tokens.set('r̥', tokens.get('ṛ'));
+    tokens.set('r̥̄', tokens.get('ṝ'));
+    tokens.set('l̥', tokens.get('ḷ'));
+    tokens.set('ḻ', { type: 'consonant', deva: 'ळ' });
+  }
+
+  const maxLength = Math.max(...Array.from(tokens.keys(), k => k.length));
+  return { tokens, roman, maxLength };
+}
+
+const TABLES = {
+  iast: buildTables('iast'),
+  hk: buildTables('hk'),
+  slp1: buildTables('slp1'),
+};
+
+/**
+ * Guesses the scheme a verse is written in.
+ * @param {string} text
+ * @returns {Scheme}
+ */
+export function detectScheme(text) {
+  if (/[ऀ-ॿ]/.test(text)) return 'devanagari';
+  if (/[āīūṛṝḷḹṅñṭḍṇśṣṃṁḥ]/i.test(text.normalize('NFC'))) return 'iast';
+
+  // SLP1 writes aspirates and several vowels as single letters; Harvard-Kyoto uses digraphs.
+  const slp1Score = (text.match(/[fFxXEOwWqQKCPBY]|kz/g) || []).length;
+  const hkScore = (text.match(/kh|gh|ch|jh|Th|Dh|th|dh|ph|bh|lR|kS/g) || []).length;
+  if (slp1Score > hkScore) return 'slp1';
+  if (hkScore > 0 || /[AIURMHGJTDNSz]/.test(text)) return 'hk';
+  return 'iast';
+}
+
+/**
+ * Converts romanized text to Devanagari. Devanagari input is returned unchanged.
+ * @param {string} text
+ * @param {Scheme} scheme
+ * @returns {string}
+ */
+export function toDevanagari(text, scheme) {
+  if (scheme === 'devanagari') return text;
+  const { tokens, maxLength } = TABLES[scheme];
+  const source = scheme === 'iast' ? text.normalize('NFC').toLowerCase() : text;
+
+  const tokenAt = (i) => {
+    for (let length = Math.min(maxLength, source.length - i); length > 0; length--) {
+      const token = tokens.get(source.slice(i, i + length));
+      if (token) return { token, length };
+    }
+    return { token: null, length: 0 };
+  };
+
+  let out = '';
+  let afterConsonant = false;
+  for (let i = 0; i < source.length;) {
+    let { token, length } = tokenAt(i);
+    // IAST ḷ before a vowel (or before h and a vowel, as in mīḷhuṣe) is the consonant ळ, not vocalic ऌ.
+    if (scheme === 'iast' && token?.deva === 'ऌ') {
+      const after = source[i + length] === 'h' ? i + length + 1 : i + length;
+      if (tokenAt(after).token?.type === 'vowel') token = { type: 'consonant', deva: 'ळ' };
+    }
+
+    if (!token) {
+      // Unknown characters (whitespace, punctuation) end any open consonant cluster.
+      if (afterConsonant) out += HALANT;
+      out += source[i];
+      afterConsonant = false;
+      i++;
+      continue;
+    }
+
+    if (token.type === 'consonant') {
+      if (afterConsonant) out += HALANT;
+      out += token.deva;
+      afterConsonant = true;
+    } else if (token.type === 'vowel') {
+      out += afterConsonant ? token.sign : token.deva;
+      afterConsonant = false;
+    } else {
+      if (afterConsonant) out += HALANT;
+      out += token.deva;
+      afterConsonant = false;
+    }
+    i += length;
+  }
+  if (afterConsonant) out += HALANT;
+  return out;
+}
+
+/**
+ * Converts Devanagari text to a romanization scheme. Characters outside the
+ * tables are passed through unchanged.
+ * @param {string} text
+ * @param {Scheme} scheme
+ * @returns {string}
+ */
+export function fromDevanagari(text, scheme) {
+  if (scheme === 'devanagari') return text;
+  const { roman } = TABLES[scheme];
+
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+    if (isConsonant(char) && roman.has(char)) {
+      out += roman.get(char);
+      if (isHalant(next)) {
+        i++;
+      } else if (isVowelSign(next) && roman.has(next)) {
+        out += roman.get(next);
+        i++;
+      } else {
+        out += 'a';
+      }
+    } else if (isIndependentVowel(char) || roman.has(char)) {
+      out += roman.get(char) ?? char;
+    } else {
+      out += char;
+    }
+  }
+  return out;
+}
+
+/**
+ * Converts text between any two schemes, going through Devanagari.
+ * @param {string} text
+ * @param {Scheme} from
+ * @param {Scheme} to
+ * @returns {string}
+ */
+export function transliterate(text, from, to) {
+  if (from === to) return text;
+  return fromDevanagari(toDevanagari(text, from), to);
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { detectScheme, fromDevanagari, toDevanagari, transliterate } from './transliterate.js';
+
+describe('detectScheme', () => {
+  it('recognises each scheme', () => {
+    expect(detectScheme('धर्मक्षेत्रे')).toBe('devanagari');
+    expect(detectScheme('dharmakṣetre kurukṣetre')).toBe('iast');
+    expect(detectScheme('dharmakSetre kurukSetre')).toBe('hk');
+    expect(detectScheme('Darmakzetre kurukzetre')).toBe('slp1');
+  });
+});
+
+describe('toDevanagari', () => {
+  it('reads IAST, Harvard-Kyoto and SLP1', () => {
+    expect(toDevanagari('dharmakṣetre kurukṣetre', 'iast')).toBe('धर्मक्षेत्रे कुरुक्षेत्रे');
+    expect(toDevanagari('dharmakSetre kurukSetre', 'hk')).toBe('धर्मक्षेत्रे कुरुक्षेत्रे');
+    expect(toDevanagari('Darmakzetre kurukzetre', 'slp1')).toBe('धर्मक्षेत्रे कुरुक्षेत्रे');
+  });
+
+  it('closes a word-final consonant with a virāma', () => {
+    expect(toDevanagari('vāk sā', 'iast')).toBe('वाक् सा');
+  });
+
+  it('reads IAST ḷ before a vowel as ळ and elsewhere as vocalic ऌ', () => {
+    expect(toDevanagari('agnim īḷe', 'iast')).toBe('अग्निम् ईळे');
+    expect(toDevanagari('mīḷhuṣe', 'iast')).toBe('मीळ्हुषे');
+    expect(toDevanagari('kḷpta', 'iast')).toBe('कॢप्त');
+    expect(toDevanagari('īḻe', 'iast')).toBe('ईळे');
+  });
+
+  it('accepts decomposed and alternative IAST spellings', () => {
+    expect(toDevanagari('r̥ṣi'.normalize('NFD'), 'iast')).toBe('ऋषि');
+    expect(toDevanagari('saṁskṛtam', 'iast')).toBe('संस्कृतम्');
+  });
+});
+
+describe('fromDevanagari', () => {
+  it('writes ळ as ḷ in IAST', () => {
+    expect(fromDevanagari('अग्निमीळे', 'iast')).toBe('agnimīḷe');
+    expect(fromDevanagari('अग्निमीळे', 'hk')).toBe('agnimILe');
+  });
+
+  it('round-trips through every scheme', () => {
+    const verse = 'धर्मक्षेत्रे कुरुक्षेत्रे समवेता युयुत्सवः ।';
+    for (const scheme of ['iast', 'hk', 'slp1']) {
+      expect(toDevanagari(fromDevanagari(verse, scheme), scheme)).toBe(verse);
+    }
+    expect(transliterate('agnim īḷe purohitaṃ', 'iast', 'slp1')).toBe('agnim ILe purohitaM');
+  });
+});
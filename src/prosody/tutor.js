@@ -0,0 +1,409 @@
+import { METERS, describeMeter, jatiOf } from './meters.js';
+import { WEIGHT_REASONS, ANCEPS_NOTE, formatPattern } from './scan.js';
+import { ganaFormula } from './gana.js';
+import { rankMeters } from './fuzzy.js';
+import { yatiPositions } from './yati.js';
+import { countMatras } from './matra.js';
+import { fromDevanagari } from './transliterate.js';
+
+/**
+ * A rule-based tutor. Questions about the current verse are sorted into intents
+ * by keywords and answered from its scansion and identification and from the
+ * meter catalogue, so replies cite the actual syllables, rules and deviations.
+ * Everything runs locally.
+ */
+
+/**
+ * @typedef {import('./meters.js').Meter} Meter
+ * @typedef {import('./scan.js').Scansion} Scansion
+ * @typedef {import('./scan.js').Syllable} Syllable
+ * @typedef {import('./identify.js').Identification} Identification
+ */
+
+/**
+ * @typedef {'syllable' | 'deviation' | 'compare' | 'yati' | 'gana' | 'pattern' | 'count'
+ *   | 'rules' | 'example' | 'about' | 'help'} TutorIntent
+ */
+
+/**
+ * @typedef {object} Question
+ * @property {TutorIntent} intent
+ * @property {number | null} pada 1-based pada number the question names, if any.
+ * @property {number | null} syllable 1-based syllable number the question names, if any.
+ * @property {string | null} akshara Devanagari syllable quoted in the question, if any.
+ * @property {Meter | null} meter A catalogue meter named in the question, if any.
+ */
+
+/**
+ * @typedef {object} TutorContext
+ * @property {Scansion | null} [scansion] The verse under discussion.
+ * @property {Identification | null} [identification] Its identification.
+ * @property {Meter[]} [meters] The catalogue (the built-in meters by default).
+ */
+
+/**
+ * @typedef {object} TutorAnswer
+ * @property {TutorIntent} intent
+ * @property {string} text
+ */
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, last: -1,
+};
+const NUMBER = `(\\d+|${Object.keys(ORDINALS).join('|')})(?:st|nd|rd|th)?`;
+const PADA_WORD = '(?:pada|pāda|quarter|line)';
+const SYLLABLE_WORD = '(?:syllable|akshara|akṣara|aksara)';
+
+// Intents in the order they are tried; the first whose keywords match wins.
+const INTENT_KEYWORDS = [
+  ['compare', /\bcompar|\bsimilar|\bdiffer(?:s|ent|ence)? from\b|\bvs\.?\b|\bversus\b|\binstead of\b|\bwhy not\b|\bclosest\b|\bother meters?\b|\bconfus/],
+  ['deviation', /\bbreak|\bwrong\b|\bmistake|\berror|\bdeviat|\bviolat|\bfault|\bmismatch|\bdo(?:es)?n'?t (?:fit|match)|\bnot (?:fit|match)|\bproblem|\birregular|\bwhich pada/],
+  ['yati', /\byati\b|\bcaesura|\bpause/],
+  ['gana', /\bga[nṇ]as?\b|\bformula|\bfeet\b|\bfoot\b/],
+  ['pattern', /\bpattern|\bscansion|\bscan\b|\bl\/g\b|\blaghu.?guru\b/],
+  ['count', /\bhow many\b|\bcount|\bm[aā]tr[aā]s?\b|\blength\b|\bj[aā]ti\b/],
+  ['rules', /\brules?\b|\blaghu\b|\bguru\b|\bheavy\b|\blight\b|\bweight|\bshort\b|\blong\b/],
+  ['example', /\bexample|\banother verse|\bshow me\b|\bsample/],
+  ['about', /\bwhat is\b|\bwhat's\b|\babout\b|\btell me\b|\bdescribe|\btips?\b|\blearn|\blak[sṣ]a[nṇ]a|\blakshana|\bdefinition|\bmeter\b/],
+];
+
+/**
+ * Lowercases and strips diacritics, so "Indravajrā" matches "indravajra".
+ * @param {string} text
+ */
+const fold = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * @param {string} word A number or ordinal word.
+ * @returns {number}
+ */
+const toNumber = (word) => ORDINALS[word] ?? Number(word);
+
+/**
+ * Finds the meter with the longest name written in the question.
+ * @param {string} question
+ * @param {Meter[]} meters
+ * @returns {Meter | null}
+ */
+function namedMeter(question, meters) {
+  const folded = fold(question);
+  let best = null;
+  let bestLength = 0;
+  for (const meter of meters) {
+    for (const name of [fold(meter.iast), meter.deva, meter.id]) {
+      if (name.length >= 4 && name.length > bestLength && folded.includes(name)) {
+        best = meter;
+        bestLength = name.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Sorts a question into an intent and picks out the pada, syllable and meter it names.
+ * @param {string} question
+ * @param {Meter[]} [meters]
+ * @returns {Question}
+ */
+export function classifyQuestion(question, meters = METERS) {
+  const text = question.toLowerCase();
+  const padaMatch = text.match(new RegExp(`${PADA_WORD}\\s*(?:no\\.?\\s*)?(\\d+)`)) || text.match(new RegExp(`\\b${NUMBER}\\s+${PADA_WORD}`));
+  const syllableMatch = text.match(new RegExp(`${SYLLABLE_WORD}\\s*(?:no\\.?\\s*)?(\\d+)`)) || text.match(new RegExp(`\\b${NUMBER}\\s+${SYLLABLE_WORD}`));
+  const akshara = question.match(/[\u0900-\u0963\u0971-\u097F]+/)?.[0] ?? null;
+  const meter = namedMeter(question, meters);
+
+  let intent = 'help';
+  if (syllableMatch || (akshara && !meter)) {
+    intent = 'syllable';
+  } else {
+    intent = INTENT_KEYWORDS.find(([, pattern]) => pattern.test(text))?.[0] ?? (meter ? 'about' : 'help');
+  }
+
+  return {
+    intent,
+    pada: padaMatch ? toNumber(padaMatch[1]) : null,
+    syllable: syllableMatch ? toNumber(syllableMatch[1]) : null,
+    akshara,
+    meter,
+  };
+}
+
+/**
+ * The ranking of one meter against the verse, with the pattern it expects at each pada.
+ * @param {Scansion} scansion
+ * @param {Meter} meter
+ * @param {Meter[]} meters
+ */
+function rankingOf(scansion, meter, meters) {
+  return rankMeters(scansion, meters, { limit: meters.length }).find(r => r.meter.id === meter.id) ?? null;
+}
+
+/**
+ * Explains why one syllable is Laghu or Guru, citing the rule.
+ * @param {Syllable} syllable
+ * @param {Syllable | undefined} next The following syllable, possibly in the next pada.
+ * @param {boolean} nextPada Whether `next` opens the next pada.
+ */
+function explainWeight(syllable, next, nextPada) {
+  const where = nextPada ? ' (at the start of the next pada)' : '';
+  switch (syllable.reason) {
+    case 'long-vowel':
+      return `${WEIGHT_REASONS['long-vowel']} Here the vowel of ${syllable.text} (${fromDevanagari(syllable.text, 'iast')}) is long.`;
+    case 'anusvara-visarga':
+      return `${WEIGHT_REASONS['anusvara-visarga']} Here it ends in ${syllable.modifier}.`;
+    case 'conjunct':
+      return `${WEIGHT_REASONS.conjunct} Here the next syllable ${next.text}${where} opens with ${next.onset} consonants.`;
+    case 'pada-final':
+      return `${WEIGHT_REASONS['pada-final']} Here it is closed by ${syllable.coda}.`;
+    default: {
+      const onset = !next ? 'it ends the verse'
+        : next.onset > 1 ? `the next syllable ${next.text}${where} opens with a conjunct, but the pada ends in a daṇḍa`
+          : `the next syllable ${next.text}${where} opens with ${next.onset === 0 ? 'a vowel' : 'a single consonant'}`;
+      return `The vowel of ${syllable.text} (${fromDevanagari(syllable.text, 'iast')}) is short, it is not closed by anusvāra or visarga, and ${onset}; none of Rules A-C applies.`;
+    }
+  }
+}
+
+/**
+ * Says whether a syllable of a verse is Laghu or Guru and which rule makes it so.
+ * @param {import('./scan.js').Pada[]} padas
+ * @param {number} padaIndex 0-based.
+ * @param {number} index 0-based syllable index in the pada.
+ * @returns {string}
+ */
+export function explainSyllable(padas, padaIndex, index) {
+  const pada = padas[padaIndex];
+  const syllable = pada.syllables[index];
+  const nextPada = index === pada.syllables.length - 1;
+  const next = nextPada ? padas[padaIndex + 1]?.syllables[0] : pada.syllables[index + 1];
+  const lines = [
+    `Pada ${padaIndex + 1}, syllable ${index + 1} (${syllable.text}) is ${syllable.weight === 'G' ? 'Guru' : 'Laghu'}.`,
+    explainWeight(syllable, next, nextPada),
+  ];
+  if (syllable.anceps) lines.push(ANCEPS_NOTE);
+  return lines.join('\n');
+}
+
+/**
+ * @param {Question} question
+ * @param {Required<TutorContext>} context
+ */
+function answerSyllable(question, { scansion, identification, meters }) {
+  const { padas } = scansion;
+  let padaIndex = question.pada === -1 ? padas.length - 1 : (question.pada ?? 1) - 1;
+  let index = -1;
+
+  if (question.syllable !== null) {
+    const pada = padas[padaIndex];
+    if (!pada) return `The verse has ${padas.length} padas; there is no pada ${question.pada}.`;
+    index = question.syllable === -1 ? pada.syllables.length - 1 : question.syllable - 1;
+    if (!pada.syllables[index]) {
+      return `Pada ${padaIndex + 1} has ${pada.syllables.length} syllables; there is no syllable ${question.syllable}.`;
+    }
+  } else {
+    const searchFrom = question.pada ? [padaIndex] : padas.map((_, i) => i);
+    padaIndex = searchFrom.find(i => padas[i]?.syllables.some(s => s.text === question.akshara)) ?? -1;
+    if (padaIndex === -1) {
+      return `I could not find the syllable ${question.akshara} in the verse. Ask about it by number, e.g. "why is syllable 3 of pada 2 guru?"`;
+    }
+    index = padas[padaIndex].syllables.findIndex(s => s.text === question.akshara);
+  }
+
+  const syllable = padas[padaIndex].syllables[index];
+  const lines = [explainSyllable(padas, padaIndex, index)];
+
+  // Without a match, compare with the closest meter.
+  const { meter } = identification;
+  const ranking = meter ? rankingOf(scansion, meter, meters) : identification.candidates[0];
+  const expected = ranking?.expected[padaIndex]?.[index];
+  if (expected) {
+    const name = meter ? (identification.padas[padaIndex]?.meter ?? meter).iast : `The closest meter, ${ranking.meter.iast},`;
+    const fits = expected === syllable.weight || syllable.anceps;
+    lines.push(`${name} expects ${expected === 'G' ? 'Guru' : 'Laghu'} here${fits ? '.' : ', so this syllable breaks the meter.'}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @param {Required<TutorContext>} context
+ */
+function answerDeviation({ scansion, identification }) {
+  const { report, yati, candidates } = identification;
+  const lines = [];
+
+  if (identification.status === 'match') {
+    lines.push(`No pada breaks the meter: the verse is ${identification.label}.`);
+    if (report?.variation) lines.push(`The verse is ${report.classification}: ${report.total} syllables instead of ${report.expectedTotal}, which Vedic metrics allows.`);
+    if (yati?.violations.length > 0) {
+      lines.push('The caesura (yati) is not kept in:', ...yati.violations.map(v => `• ${v.message}`));
+    }
+    return lines.join('\n');
+  }
+
+  if (report?.violations?.length > 0) {
+    lines.push(identification.label, ...report.violations.map(v => `• ${v.message}`));
+  }
+  const closest = candidates[0];
+  if (closest) {
+    const faulty = [...new Set(closest.differences.map(d => d.pada))];
+    lines.push(
+      `The closest meter is ${closest.meter.iast} (${Math.round(closest.score * 100)}% similar). ${faulty.length === 1 ? `Pada ${faulty[0]} breaks` : `Padas ${faulty.join(', ')} break`} it:`,
+      ...closest.differences.map(d => `• ${d.message}`),
+    );
+  } else if (lines.length === 0) {
+    const counts = scansion.padas.map(p => p.syllables.length);
+    lines.push(`${identification.label} The padas have ${counts.join(', ')} syllables, which no meter in the catalogue has.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @param {Question} question
+ * @param {Required<TutorContext>} context
+ */
+function answerCompare(question, { scansion, identification, meters }) {
+  const current = identification?.meter;
+  const other = question.meter && question.meter.id !== current?.id ? question.meter : null;
+
+  if (other && !scansion) {
+    return `${describeMeter(other)}\nAnalyze a verse to compare it with ${other.iast} syllable by syllable.`;
+  }
+  if (other) {
+    const ranking = rankingOf(scansion, other, meters);
+    if (!ranking) {
+      return `${describeMeter(other)} It has no fixed Laghu-Guru pattern for these padas, so the verse cannot be compared with it syllable by syllable.`;
+    }
+    const padas = scansion.padas.map((pada, index) =>
+      `Pada ${index + 1}: ${formatPattern(pada.pattern)}\n   ${other.iast}: ${formatPattern(ranking.expected[index])}`);
+    const verdict = ranking.differences.length === 0
+      ? `The verse also fits ${other.iast}.`
+      : `It differs from ${other.iast} in ${ranking.differences.length} place${ranking.differences.length === 1 ? '' : 's'}:`;
+    return [`Your verse against ${other.iast}:`, ...padas, verdict, ...ranking.differences.map(d => `• ${d.message}`)].join('\n');
+  }
+
+  if (!scansion) return 'Analyze a verse first, or name the meters to compare.';
+  const similar = rankMeters(scansion, meters, { limit: 4 }).filter(r => r.meter.id !== current?.id).slice(0, 3);
+  if (similar.length === 0) return 'No other meter in the catalogue comes close to this verse.';
+  return [
+    `Meters close to this verse${current ? ` besides ${current.iast}` : ''}:`,
+    ...similar.map(r => `• ${r.meter.iast} (${r.meter.deva}): ${r.differences.length === 0 ? 'fits as well' : `${r.differences.length} difference${r.differences.length === 1 ? '' : 's'}, e.g. ${r.differences[0].message}`}`),
+    'Ask "compare with <meter>" for a syllable-by-syllable comparison.',
+  ].join('\n');
+}
+
+/**
+ * @param {Required<TutorContext>} context
+ */
+function answerYati({ identification }) {
+  const { meter, yati } = identification;
+  if (yati) {
+    const intro = meter.yati
+      ? `${meter.iast} has its caesurae after ${yatiPositions(meter.yati).join(' and ')} syllables (yati ${meter.yati.join('-')}).`
+      : 'The caesurae (yati) of the padas:';
+    return [intro, ...yati.points.map(p => `• ${p.message}`)].join('\n');
+  }
+  if (meter) return `${meter.iast} has no caesura inside the pada; the pause comes at the end of each pada.`;
+  return 'Without an identified meter there is no yati to check; the pause comes at the end of each pada.';
+}
+
+/**
+ * @param {Required<TutorContext>} context
+ */
+function answerGana({ scansion, identification }) {
+  const meterFormula = identification.meter?.ganas ? `\n${identification.meter.iast} is defined by the formula ${identification.meter.ganas}.` : '';
+  return `The Gaṇa breakdown of your verse (L: Laghu, G: Guru):\n\n${scansion.padas.map((pada, index) =>
+    `Pāda ${index + 1}: ${formatPattern(pada.pattern)} → ${ganaFormula(pada.ganas)} (${ganaFormula(pada.ganas, 'letter')})`
+  ).join('\n')}${meterFormula}\n\nThe eight Gaṇas follow the mnemonic ya-mā-tā-rā-ja-bhā-na-sa-la-gā; leftover syllables are named la (Laghu) or ga (Guru).`;
+}
+
+/**
+ * @param {Required<TutorContext>} context
+ */
+function answerPattern({ scansion }) {
+  return `The Laghu-Guru pattern of your verse:\n\n${scansion.padas.map((pada, index) =>
+    `Pāda ${index + 1}: ${formatPattern(pada.pattern)} (${pada.syllables.length} syllables)`).join('\n')}`;
+}
+
+/**
+ * @param {Required<TutorContext>} context
+ */
+function answerCount({ scansion }) {
+  return scansion.padas.map((pada, index) => {
+    const jati = jatiOf(pada.syllables.length);
+    return `Pāda ${index + 1}: ${pada.syllables.length} syllables${jati ? ` (${jati})` : ''}, ${countMatras(pada.pattern)} mātrās`;
+  }).join('\n') + '\nA Laghu counts one mātrā and a Guru two.';
+}
+
+const RULES_TEXT = [
+  'A syllable is Guru (G) when one of these rules applies, and Laghu (L) otherwise:',
+  ...Object.values(WEIGHT_REASONS).map(rule => `• ${rule}`),
+  `• ${ANCEPS_NOTE}`,
+  'Ask "why is syllable 3 of pada 2 guru?" to see the rule applied to your verse.',
+].join('\n');
+
+/**
+ * @param {Meter | null} meter
+ */
+function answerExample(meter) {
+  if (!meter) return 'Analyze a verse or name a meter and I will show an example.';
+  const verse = meter.example || meter.lakshana;
+  return verse ? `A verse in ${meter.iast} (${meter.deva}):\n\n${verse}` : `The catalogue has no example of ${meter.iast}.`;
+}
+
+/**
+ * @param {Meter | null} meter
+ */
+function answerAbout(meter) {
+  if (!meter) return 'Analyze a verse or name a meter and I will describe it.';
+  const lines = [`${meter.deva} (${meter.iast}): ${describeMeter(meter)}`];
+  if (meter.lakshana) lines.push(`Its lakṣaṇa: ${meter.lakshana}`);
+  return lines.join('\n');
+}
+
+const HELP_TEXT = [
+  'You can ask me, for example:',
+  '• "Why is syllable 3 of pada 2 guru?"',
+  '• "Which pada breaks the meter?"',
+  '• "What is the gaṇa formula?"',
+  '• "Where is the yati?"',
+  '• "Compare with Upendravajrā" or "Which meters are similar?"',
+  '• "What are the rules for laghu and guru?"',
+  '• "Show an example" or "Tell me about Mandākrāntā"',
+].join('\n');
+
+// Intents that need an analysed verse.
+const VERSE_INTENTS = new Set(['syllable', 'deviation', 'yati', 'gana', 'pattern', 'count']);
+
+/**
+ * Answers a question about the verse under discussion, or about a meter.
+ * @param {string} question
+ * @param {TutorContext} [context]
+ * @returns {TutorAnswer}
+ */
+export function answerQuestion(question, { scansion = null, identification = null, meters = METERS } = {}) {
+  const parsed = classifyQuestion(question, meters);
+  const context = { scansion, identification, meters };
+  const { intent } = parsed;
+
+  if (VERSE_INTENTS.has(intent) && (!scansion || scansion.padas.length === 0)) {
+    return { intent, text: 'Analyze a verse first, and I will answer from its scansion.' };
+  }
+
+  const meter = parsed.meter ?? identification?.meter ?? null;
+  const answers = {
+    syllable: () => answerSyllable(parsed, context),
+    deviation: () => answerDeviation(context),
+    compare: () => answerCompare(parsed, context),
+    yati: () => answerYati(context),
+    gana: () => answerGana(context),
+    pattern: () => answerPattern(context),
+    count: () => answerCount(context),
+    rules: () => RULES_TEXT,
+    example: () => answerExample(meter),
+    about: () => answerAbout(meter),
+    help: () => HELP_TEXT,
+  };
+  return { intent, text: answers[intent]() };
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { answerQuestion, classifyQuestion, explainSyllable } from './tutor.js';
+import { findMeter } from './meters.js';
+import { identify } from './identify.js';
+import { scan } from './scan.js';
+
+const contextOf = (verse) => {
+  const scansion = scan(verse);
+  return { scansion, identification: identify(scansion) };
+};
+
+const INDRAVAJRA = findMeter('indravajra').example;
+// Pada 2 with an extra syllable in front.
+const BROKEN = INDRAVAJRA.replace('रुष्टेन्द्र', 'अरुष्टेन्द्र');
+
+describe('classifyQuestion', () => {
+  it('picks out the pada and syllable, as numbers or ordinals', () => {
+    expect(classifyQuestion('why is syllable 3 of pada 2 guru?')).toMatchObject({ intent: 'syllable', pada: 2, syllable: 3 });
+    expect(classifyQuestion('why is the last syllable of the third pada long?')).toMatchObject({ intent: 'syllable', pada: 3, syllable: -1 });
+    expect(classifyQuestion('why is त्र guru?')).toMatchObject({ intent: 'syllable', akshara: 'त्र', meter: null });
+  });
+
+  it('sorts questions into intents by keyword', () => {
+    expect(classifyQuestion('Which pada breaks the meter?').intent).toBe('deviation');
+    expect(classifyQuestion('where is the yati?').intent).toBe('yati');
+    expect(classifyQuestion('what is the gana formula?').intent).toBe('gana');
+    expect(classifyQuestion('how many matras?').intent).toBe('count');
+    expect(classifyQuestion('what makes a syllable heavy?').intent).toBe('rules');
+    expect(classifyQuestion('hello').intent).toBe('help');
+  });
+
+  it('finds a meter named with or without diacritics', () => {
+    expect(classifyQuestion('compare with upendravajra')).toMatchObject({ intent: 'compare', meter: { id: 'upendravajra' } });
+    expect(classifyQuestion('Mandākrāntā')).toMatchObject({ intent: 'about', meter: { id: 'mandakranta' } });
+  });
+});
+
+describe('explainSyllable', () => {
+  it('cites the rule that makes a syllable Laghu or Guru', () => {
+    const { padas } = scan(INDRAVAJRA);
+    expect(explainSyllable(padas, 1, 0)).toBe('Pada 2, syllable 1 (रु) is Guru.\n'
+      + 'Rule C: the syllable is followed by a conjunct consonant (saṃyuktākṣara), even across a word or pada boundary. Here the next syllable ष्टे opens with 2 consonants.');
+    expect(explainSyllable(padas, 1, 2)).toContain('(न्द्र) is Laghu.\nThe vowel of न्द्र (ndra) is short');
+  });
+});
+
+describe('answerQuestion', () => {
+  it('answers about a syllable of the verse and what the meter expects there', () => {
+    const { intent, text } = answerQuestion('why is syllable 3 of pada 2 guru?', contextOf(INDRAVAJRA));
+    expect(intent).toBe('syllable');
+    expect(text.split('\n').at(-1)).toBe('Indravajrā expects Laghu here.');
+    expect(answerQuestion('why is syllable 30 of pada 2 guru?', contextOf(INDRAVAJRA)).text).toBe('Pada 2 has 11 syllables; there is no syllable 30.');
+  });
+
+  it('points out the pada that breaks the closest meter', () => {
+    expect(answerQuestion('which pada breaks the meter?', contextOf(BROKEN)).text)
+      .toBe('The closest meter is Indravajrā (97% similar). Pada 2 breaks it:\n• Pada 2, syllable 1: extra L.');
+  });
+
+  it('compares the verse with a named meter syllable by syllable', () => {
+    const { text } = answerQuestion('compare with upendravajra', contextOf(INDRAVAJRA));
+    expect(text).toContain('Pada 1: G G L G G L L G L G G\n   Upendravajrā: L G L G G L L G L G G');
+    expect(text).toContain('It differs from Upendravajrā in 4 places:');
+  });
+
+  it('reports the yati, gaṇas and mātrās of the verse', () => {
+    const context = contextOf(INDRAVAJRA);
+    expect(answerQuestion('where is the yati?', context).text).toMatch(/^Indravajrā has its caesurae after 5 syllables \(yati 5-6\)\./);
+    expect(answerQuestion('what is the gana formula?', context).text).toContain('Pāda 1: G G L G G L L G L G G → ta ta ja ga ga');
+    expect(answerQuestion('how many matras?', context).text).toContain('Pāda 1: 11 syllables (triṣṭubh), 18 mātrās');
+  });
+
+  it('answers about meters without a verse, and asks for one otherwise', () => {
+    expect(answerQuestion('tell me about mandakranta').text).toBe(`मन्दाक्रान्ता (Mandākrāntā): ${findMeter('mandakranta').description}\nIts lakṣaṇa: ${findMeter('mandakranta').lakshana}`);
+    expect(answerQuestion('show me an example of upendravajra').text).toBe(`A verse in Upendravajrā (उपेन्द्रवज्रा):\n\n${findMeter('upendravajra').example}`);
+    expect(answerQuestion('where is the yati?')).toEqual({ intent: 'yati', text: 'Analyze a verse first, and I will answer from its scansion.' });
+    expect(answerQuestion('hi').text).toMatch(/^You can ask me/);
+  });
+});
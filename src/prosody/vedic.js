@@ -0,0 +1,106 @@
+/**
+ * Vedic meters are defined by the number of padas and the syllables in each,
+ * not by fixed Laghu-Guru patterns: Gāyatrī is 3 × 8, Anuṣṭubh 4 × 8, Triṣṭubh
+ * 4 × 11, Jagatī 4 × 12. A verse one syllable short of the count is nicṛt, one
+ * syllable over is bhurik. Only the close of each pada (the cadence) tends to a
+ * fixed rhythm, which is reported but not required.
+ */
+
+/**
+ * @typedef {'nicrt' | 'bhurik'} VedicVariation
+ */
+
+/**
+ * @typedef {object} VedicCadence
+ * @property {number} pada 1-based pada number.
+ * @property {string} expected The typical cadence ('x' = either weight).
+ * @property {string} actual The closing syllables of the pada.
+ * @property {boolean} follows
+ */
+
+/**
+ * @typedef {object} VedicReport
+ * @property {boolean} valid The verse has the meter's padas, give or take one syllable in all.
+ * @property {number[]} counts Syllables in each pada.
+ * @property {number} total
+ * @property {number} expectedTotal
+ * @property {VedicVariation | null} variation
+ * @property {string} classification e.g. 'nicṛt Gāyatrī'.
+ * @property {VedicCadence[]} cadences For padas whose length has a typical cadence.
+ * @property {{ pada: number, message: string }[]} violations Why the verse does not fit, when not valid.
+ */
+
+/**
+ * Typical cadences by pada length: iambic for 8 syllables, trochaic for the
+ * Triṣṭubh pada of 11, and the Jagatī pada of 12 one syllable longer.
+ */
+export const VEDIC_CADENCES = {
+  8: 'LGLx',
+  11: 'GLGx',
+  12: 'GLGLx',
+};
+
+/** Display names of the variations. */
+export const VEDIC_VARIATIONS = {
+  nicrt: 'nicṛt',
+  bhurik: 'bhurik',
+};
+
+/**
+ * @param {string} pattern
+ * @param {string} cadence
+ */
+function follows(pattern, cadence) {
+  const tail = pattern.slice(-cadence.length);
+  return tail.length === cadence.length && [...cadence].every((weight, i) => weight === 'x' || weight === tail[i]);
+}
+
+/**
+ * Checks padas against a Vedic meter by syllable count, allowing one syllable
+ * more or fewer in the whole verse.
+ * @param {string[]} patterns One compact Laghu-Guru pattern per pada.
+ * @param {{ iast: string, padaSyllables: number[] }} meter
+ * @returns {VedicReport}
+ */
+export function checkVedic(patterns, meter) {
+  const counts = patterns.map(p => p.length);
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  const expectedTotal = meter.padaSyllables.reduce((sum, n) => sum + n, 0);
+  const violations = [];
+
+  if (patterns.length !== meter.padaSyllables.length) {
+    violations.push({ pada: 0, message: `${meter.iast} has ${meter.padaSyllables.length} padas; the verse has ${patterns.length}.` });
+  } else {
+    const deviation = counts.reduce((sum, n, i) => sum + Math.abs(n - meter.padaSyllables[i]), 0);
+    if (deviation > 1) {
+      counts.forEach((n, i) => {
+        if (n !== meter.padaSyllables[i]) {
+          violations.push({ pada: i + 1, message: `Pada ${i + 1} has ${n} syllables; ${meter.iast} expects ${meter.padaSyllables[i]}.` });
+        }
+      });
+    }
+  }
+
+  let variation = null;
+  if (total === expectedTotal - 1) variation = 'nicrt';
+  if (total === expectedTotal + 1) variation = 'bhurik';
+
+  const cadences = [];
+  patterns.forEach((pattern, index) => {
+    const expected = VEDIC_CADENCES[meter.padaSyllables[index]];
+    if (expected) {
+      cadences.push({ pada: index + 1, expected, actual: pattern.slice(-expected.length), follows: follows(pattern, expected) });
+    }
+  });
+
+  return {
+    valid: violations.length === 0,
+    counts,
+    total,
+    expectedTotal,
+    variation,
+    classification: variation ? `${VEDIC_VARIATIONS[variation]} ${meter.iast}` : meter.iast,
+    cadences,
+    violations,
+  };
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { checkVedic } from './vedic.js';
+import { findMeter, METERS } from './meters.js';
+import { identify } from './identify.js';
+
+const gayatri = findMeter('gayatri');
+
+describe('checkVedic', () => {
+  it('accepts the exact count and reports the cadences', () => {
+    const report = checkVedic(['GLGGLGLG', 'LGGGLGLG', 'GGLGLGGG'], gayatri);
+    expect(report).toMatchObject({ valid: true, counts: [8, 8, 8], total: 24, expectedTotal: 24, variation: null, classification: 'Gāyatrī', violations: [] });
+    expect(report.cadences.map(c => c.follows)).toEqual([true, true, false]);
+    expect(report.cadences[2]).toEqual({ pada: 3, expected: 'LGLx', actual: 'LGGG', follows: false });
+  });
+
+  it('calls a verse one syllable short nicṛt and one over bhurik', () => {
+    expect(checkVedic(['GLGLGLG', 'LGGGLGLG', 'GGLGLGLG'], gayatri)).toMatchObject({ valid: true, variation: 'nicrt', classification: 'nicṛt Gāyatrī' });
+    expect(checkVedic(['GLGGLGLG', 'LGGGGLGLG', 'GGLGLGLG'], gayatri)).toMatchObject({ valid: true, variation: 'bhurik', classification: 'bhurik Gāyatrī' });
+  });
+
+  it('rejects a verse off by more than one syllable, or with the wrong number of padas', () => {
+    expect(checkVedic(['GLGLGLG', 'LGGLGLG', 'GGLGLGLG'], gayatri).violations).toEqual([
+      { pada: 1, message: 'Pada 1 has 7 syllables; Gāyatrī expects 8.' },
+      { pada: 2, message: 'Pada 2 has 7 syllables; Gāyatrī expects 8.' },
+    ]);
+    expect(checkVedic(['GLGGLGLG', 'LGGGLGLG'], gayatri)).toMatchObject({
+      valid: false,
+      violations: [{ pada: 0, message: 'Gāyatrī has 3 padas; the verse has 2.' }],
+    });
+  });
+
+  it('uses the Triṣṭubh cadence for 11-syllable padas', () => {
+    const report = checkVedic(Array(4).fill('LGLGGLLGLGG'), findMeter('trishtubh'));
+    expect(report.cadences.every(c => c.expected === 'GLGx' && c.follows)).toBe(true);
+  });
+});
+
+describe('identify in vedic mode', () => {
+  const scansionOf = (patterns) => ({ anceps: true, padas: patterns.map(pattern => ({ pattern, syllables: [...pattern] })) });
+
+  it('names a nicṛt verse after its meter', () => {
+    const identification = identify(scansionOf(['GLGLGLG', 'LGGGLGLG', 'GGLGLGLG']), METERS, { mode: 'vedic' });
+    expect(identification).toMatchObject({ status: 'match', meter: { id: 'gayatri' }, label: 'गायत्री (nicṛt Gāyatrī): 7 + 8 + 8 = 23 syllables' });
+  });
+
+  it('prefers the exact count to a variation of another meter', () => {
+    expect(identify(scansionOf(Array(4).fill('GGLGLGLG')), METERS, { mode: 'vedic' }).meter.id).toBe('vedic-anushtubh');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Yati (caesura) checking. Long meters require a word to end at fixed points
+ * of every pada, e.g. Mandākrāntā after syllables 4 and 10 (yati 4-6-7). A yati
+ * is kept when a word or compound member ends there. A word-final consonant
+ * carried over to the next word in sandhi ("वाक् सा") still counts, as does a
+ * hyphen marking a compound member in a sandhi-joined compound.
+ *
+ * Compounds and sandhi chains are usually written without spaces, so a caesura
+ * inside a long unbroken run may well fall between its members. Such points are
+ * reported as 'joined' rather than as faults.
+ */
+
+/**
+ * @typedef {import('./scan.js').Pada} Pada
+ * @typedef {import('./meters.js').Meter} Meter
+ */
+
+/**
+ * @typedef {'word' | 'compound' | 'sandhi' | 'joined' | 'none'} YatiStatus
+ */
+
+/**
+ * @typedef {object} YatiPoint
+ * @property {number} pada 1-based pada number.
+ * @property {number} position Number of syllables before the caesura.
+ * @property {YatiStatus} status How the caesura is realised; 'none' when no word ends there.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} YatiReport
+ * @property {boolean} valid Every caesura falls on a word break.
+ * @property {YatiPoint[]} points In pada order.
+ * @property {YatiPoint[]} violations The points with status 'none'.
+ */
+
+// Runs of more syllables than this, written without a break, are taken to be compounds or sandhi chains.
+const JOINED_RUN = 6;
+
+const STATUS_TEXT = {
+  word: 'falls on a word break',
+  compound: 'falls between compound members',
+  sandhi: 'falls on a word break joined by sandhi',
+  joined: 'falls inside a compound or sandhi chain written without breaks; mark the member boundary with "-" to confirm',
+  none: 'falls inside a word (yati-bhaṅga)',
+};
+
+/**
+ * Lists the caesura positions of a yati, e.g. [4, 6, 7] -> [4, 10].
+ * The end of the pada is always a caesura and is not listed.
+ * @param {number[]} yati Syllables between caesuras.
+ * @returns {number[]}
+ */
+export function yatiPositions(yati) {
+  const positions = [];
+  let total = 0;
+  for (const length of yati.slice(0, -1)) {
+    total += length;
+    positions.push(total);
+  }
+  return positions;
+}
+
+/**
+ * Checks the caesuras of one pada.
+ * @param {Pada} pada
+ * @param {number[]} yati Syllables between caesuras.
+ * @param {number} number 1-based pada number.
+ * @returns {YatiPoint[]}
+ */
+export function checkPadaYati(pada, yati, number) {
+  return yatiPositions(yati).map((position) => {
+    const found = pada.breaks.find(b => b.after === position);
+    let status = 'none';
+    if (found) {
+      status = found.inside ? 'sandhi' : found.kind;
+    } else {
+      const runStart = Math.max(0, ...pada.breaks.filter(b => b.after < position).map(b => b.after));
+      const runEnd = Math.min(pada.syllables.length, ...pada.breaks.filter(b => b.after > position).map(b => b.after));
+      if (runEnd - runStart > JOINED_RUN) status = 'joined';
+    }
+    return {
+      pada: number,
+      position,
+      status,
+      message: `Pada ${number}: the yati after syllable ${position} ${STATUS_TEXT[status]}.`,
+    };
+  });
+}
+
+/**
+ * Checks a verse against the yati of its meter. Each pada may name its own meter
+ * (the components of an upajāti); padas whose meter has no yati are skipped.
+ * @param {Pada[]} padas
+ * @param {(Meter | null)[]} meters The meter of each pada.
+ * @returns {YatiReport}
+ */
+export function checkYati(padas, meters) {
+  const points = padas.flatMap((pada, index) => {
+    const yati = meters[index]?.yati;
+    return yati && yati.length > 1 ? checkPadaYati(pada, yati, index + 1) : [];
+  });
+  const violations = points.filter(p => p.status === 'none');
+  return { valid: violations.length === 0, points, violations };
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { checkPadaYati, checkYati, yatiPositions } from './yati.js';
+import { findMeter } from './meters.js';
+import { scan } from './scan.js';
+
+const padaOf = (text) => scan(text).padas[0];
+
+describe('yatiPositions', () => {
+  it('adds up the syllables between caesuras', () => {
+    expect(yatiPositions([4, 6, 7])).toEqual([4, 10]);
+    expect(yatiPositions([12, 7])).toEqual([12]);
+    expect(yatiPositions([11])).toEqual([]);
+  });
+});
+
+describe('checkPadaYati', () => {
+  it('tells word breaks, compound members and sandhi apart', () => {
+    expect(checkPadaYati(padaOf('वाक् सा राम-चन्द्रः'), [1, 1, 2, 2], 3)).toEqual([
+      { pada: 3, position: 1, status: 'sandhi', message: 'Pada 3: the yati after syllable 1 falls on a word break joined by sandhi.' },
+      { pada: 3, position: 2, status: 'word', message: 'Pada 3: the yati after syllable 2 falls on a word break.' },
+      { pada: 3, position: 4, status: 'compound', message: 'Pada 3: the yati after syllable 4 falls between compound members.' },
+    ]);
+  });
+
+  it('reports a caesura inside a word as yati-bhaṅga', () => {
+    const [first, second] = checkPadaYati(padaOf('कश्चित्का न्ताविरह गुरुणा स्वाधिकारात् प्रमत्तः'), [4, 6, 7], 1);
+    expect(first).toMatchObject({ position: 4, status: 'none', message: 'Pada 1: the yati after syllable 4 falls inside a word (yati-bhaṅga).' });
+    expect(second).toMatchObject({ position: 10, status: 'word' });
+  });
+
+  it('gives a long unbroken run the benefit of the doubt', () => {
+    const [first] = checkPadaYati(padaOf('शापेनास्तङ्गमितमहिमा वर्षभोग्येण भर्तुः'), [4, 6, 7], 2);
+    expect(first.status).toBe('joined');
+    expect(checkPadaYati(padaOf('कश्चित्कान्ता-विरहगुरुणा स्वाधिकारात्प्रमत्तः'), [4, 6, 7], 1)[0].status).toBe('compound');
+  });
+});
+
+describe('checkYati', () => {
+  it('checks each pada against the yati of its own meter', () => {
+    const { padas } = scan('कश्चित्का न्ताविरह गुरुणा स्वाधिकारात् प्रमत्तः\nवाक् सा राम-चन्द्रः');
+    const report = checkYati(padas, [findMeter('mandakranta'), null]);
+    expect(report.valid).toBe(false);
+    expect(report.points.map(p => p.pada)).toEqual([1, 1]);
+    expect(report.violations).toEqual([expect.objectContaining({ pada: 1, position: 4 })]);
+  });
+
+  it('is valid when every caesura falls on a break', () => {
+    const { padas } = scan(findMeter('mandakranta').example);
+    const report = checkYati(padas, padas.map(() => findMeter('mandakranta')));
+    expect(report).toMatchObject({ valid: true, violations: [] });
+    expect(report.points).toHaveLength(8);
+  });
+});
@@ -0,0 +1,66 @@
+// Practice scores per learner, kept in the browser.
+
+/**
+ * @typedef {'weights' | 'meter' | 'ganas'} PracticeRound
+ */
+
+/**
+ * @typedef {object} Tally
+ * @property {number} correct
+ * @property {number} total
+ */
+
+/**
+ * @typedef {object} LearnerScore
+ * @property {Record<PracticeRound, Tally>} rounds Syllables marked right (weights) or answers right (meter, gaṇas).
+ * @property {number} verses Verses practised.
+ * @property {number} updatedAt
+ */
+
+const SCORES_KEY = 'chandas-practice-scores';
+
+/** Display names of the rounds. */
+export const ROUND_LABELS = {
+  weights: 'Laghu-Guru marking',
+  meter: 'Naming the meter',
+  ganas: 'Gaṇa split',
+};
+
+/**
+ * @returns {Record<string, LearnerScore>} Scores by learner name.
+ */
+export function loadScores() {
+  try {
+    return JSON.parse(localStorage.getItem(SCORES_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Adds the result of a round to a learner's score and saves all scores.
+ * @param {Record<string, LearnerScore>} scores
+ * @param {string} learner
+ * @param {PracticeRound} round
+ * @param {number} correct
+ * @param {number} total
+ * @returns {Record<string, LearnerScore>} The updated scores.
+ */
+export function recordScore(scores, learner, round, correct, total) {
+  // Own entries only: a learner may be called "constructor" or "toString".
+  const previous = Object.hasOwn(scores, learner) ? scores[learner] : {
+    rounds: { weights: { correct: 0, total: 0 }, meter: { correct: 0, total: 0 }, ganas: { correct: 0, total: 0 } },
+    verses: 0,
+  };
+  const tally = previous.rounds[round];
+  const updated = {
+    ...scores,
+    [learner]: {
+      rounds: { ...previous.rounds, [round]: { correct: tally.correct + correct, total: tally.total + total } },
+      verses: previous.verses + (round === 'weights' ? 1 : 0),
+      updatedAt: Date.now(),
+    },
+  };
+  localStorage.setItem(SCORES_KEY, JSON.stringify(updated));
+  return updated;
+}
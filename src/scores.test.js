@@ -0,0 +1,38 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it } from 'vitest';
+import { loadScores, recordScore } from './scores.js';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('recordScore', () => {
+  it('adds up the rounds of a learner and saves them', () => {
+    let scores = recordScore({}, 'Maitreyī', 'weights', 7, 8);
+    scores = recordScore(scores, 'Maitreyī', 'weights', 8, 8);
+    scores = recordScore(scores, 'Maitreyī', 'meter', 1, 1);
+    expect(scores['Maitreyī']).toMatchObject({
+      rounds: { weights: { correct: 15, total: 16 }, meter: { correct: 1, total: 1 }, ganas: { correct: 0, total: 0 } },
+      verses: 2,
+    });
+    expect(loadScores()).toEqual(scores);
+  });
+
+  it('starts afresh for learners named like object properties', () => {
+    let scores = {};
+    for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+      scores = recordScore(scores, name, 'ganas', 1, 1);
+      expect(Object.hasOwn(scores, name), name).toBe(true);
+      expect(scores[name].rounds.ganas, name).toEqual({ correct: 1, total: 1 });
+    }
+    expect(Object.keys(loadScores())).toEqual(['constructor', 'toString', 'hasOwnProperty', '__proto__']);
+  });
+});
+
+describe('loadScores', () => {
+  it('gives no scores when none or broken ones are saved', () => {
+    expect(loadScores()).toEqual({});
+    localStorage.setItem('chandas-practice-scores', '{');
+    expect(loadScores()).toEqual({});
+  });
+});
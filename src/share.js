@@ -0,0 +1,53 @@
+// Deep links to an analysis: the verse and how to read it go in the query
+// string (?verse=…&scheme=iast), so a result can be shared as a single URL and
+// reproduced without a backend.
+import { SCHEMES } from './prosody/index.js';
+
+/**
+ * @typedef {object} SharedVerse
+ * @property {string} verse One pada per line.
+ * @property {import('./prosody/transliterate.js').Scheme | 'auto'} scheme
+ * @property {'classical' | 'vedic'} mode
+ * @property {boolean} strict Pada-final syllables keep their weight (no anceps).
+ */
+
+const MODES = ['classical', 'vedic'];
+
+/**
+ * Builds a link that opens the app with a verse analysed. Default options are
+ * left out of the URL.
+ * @param {string} base URL of the app.
+ * @param {string} verse
+ * @param {Partial<Omit<SharedVerse, 'verse'>>} [options]
+ * @returns {string}
+ */
+export function shareUrl(base, verse, { scheme = 'auto', mode = 'classical', strict = false } = {}) {
+  const url = new URL(base);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set('verse', verse.trim());
+  if (scheme !== 'auto') url.searchParams.set('scheme', scheme);
+  if (mode !== 'classical') url.searchParams.set('mode', mode);
+  if (strict) url.searchParams.set('strict', '1');
+  return url.toString();
+}
+
+/**
+ * Reads a shared verse from a query string. Unknown schemes and modes fall
+ * back to auto-detection and classical meters.
+ * @param {string} search e.g. `window.location.search`.
+ * @returns {SharedVerse | null} null when the query names no verse.
+ */
+export function readShareUrl(search) {
+  const params = new URLSearchParams(search);
+  const verse = params.get('verse')?.trim();
+  if (!verse) return null;
+  const scheme = params.get('scheme');
+  const mode = params.get('mode');
+  return {
+    verse,
+    scheme: SCHEMES.some(s => s.id === scheme) ? scheme : 'auto',
+    mode: MODES.includes(mode) ? mode : 'classical',
+    strict: ['1', 'true'].includes(params.get('strict')),
+  };
+}
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { readShareUrl, shareUrl } from './share.js';
+
+const VERSE = 'धर्मक्षेत्रे कुरुक्षेत्रे\nसमवेता युयुत्सवः';
+
+describe('shareUrl', () => {
+  it('puts the verse in the query and leaves out the defaults', () => {
+    const link = new URL(shareUrl('https://example.org/chandas/?old=1#top', `  ${VERSE}\n`));
+    expect(link.origin + link.pathname).toBe('https://example.org/chandas/');
+    expect(link.hash).toBe('');
+    expect([...link.searchParams.keys()]).toEqual(['verse']);
+    expect(link.searchParams.get('verse')).toBe(VERSE);
+  });
+
+  it('keeps the options that differ from the defaults', () => {
+    const link = new URL(shareUrl('https://example.org/', 'tat savitur vareṇyaṃ', { scheme: 'iast', mode: 'vedic', strict: true }));
+    expect(Object.fromEntries(link.searchParams)).toEqual({ verse: 'tat savitur vareṇyaṃ', scheme: 'iast', mode: 'vedic', strict: '1' });
+  });
+});
+
+describe('readShareUrl', () => {
+  it('reads back a shared link', () => {
+    const link = new URL(shareUrl('https://example.org/', VERSE, { scheme: 'devanagari', mode: 'vedic', strict: true }));
+    expect(readShareUrl(link.search)).toEqual({ verse: VERSE, scheme: 'devanagari', mode: 'vedic', strict: true });
+  });
+
+  it('falls back to auto-detection, classical meters and anceps', () => {
+    expect(readShareUrl('?verse=राम&scheme=klingon&mode=lyric&strict=no')).toEqual({ verse: 'राम', scheme: 'auto', mode: 'classical', strict: false });
+    expect(readShareUrl('?verse=राम&strict=true').strict).toBe(true);
+  });
+
+  it('needs a verse', () => {
+    expect(readShareUrl('')).toBeNull();
+    expect(readShareUrl('?verse=%20%20&scheme=iast')).toBeNull();
+  });
+});
@@ -0,0 +1,15 @@
+import { defineConfig } from 'vite'
+
+// Builds the <chandas-scan> element and embed API as standalone scripts in dist/embed.
+export default defineConfig({
+  publicDir: false,
+  build: {
+    outDir: 'dist/embed',
+    lib: {
+      entry: 'src/embed.js',
+      name: 'Chandas',
+      formats: ['es', 'iife'],
+      fileName: (format) => `chandas-scan.${format}.js`,
+    },
+  },
+})